@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -12,6 +13,14 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are tied to a login session that can be revoked server-side
+    const session = decoded.sessionId &&
+      await Session.findOne({ _id: decoded.sessionId, user: decoded.userId });
+    if (!session || !session.isActive()) {
+      return res.status(401).json({ message: 'Session has ended' });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
@@ -19,6 +28,7 @@ const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     return res.status(403).json({ message: 'Invalid or expired token' });
@@ -41,6 +51,14 @@ const requireSupplier = (req, res, next) => {
   next();
 };
 
+// Check if user is an admin
+const requireAdmin = (req, res, next) => {
+  if (req.user.userType !== 'admin') {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+  next();
+};
+
 // Check if user is verified
 const requireVerified = (req, res, next) => {
   if (!req.user.isVerified) {
@@ -53,5 +71,6 @@ module.exports = {
   authenticateToken,
   requireVendor,
   requireSupplier,
+  requireAdmin,
   requireVerified
 };
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A catalogue item that suppliers' products are listed under (e.g. Onion),
+// so offers for the same thing can be compared across suppliers
+const commoditySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: [
+      'vegetables',
+      'fruits',
+      'grains',
+      'spices',
+      'dairy',
+      'meat',
+      'seafood',
+      'oils',
+      'packaging',
+      'equipment',
+      'other'
+    ]
+  },
+  // Offers are compared per one of these
+  baseUnit: {
+    type: String,
+    required: true,
+    enum: ['kg', 'liter', 'piece']
+  },
+  // Other names products are listed under, lowercase ("onions", "pyaz")
+  aliases: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for linking products by name
+commoditySchema.index({ aliases: 1 });
+commoditySchema.index({ category: 1, name: 1 });
+
+// The commodity's own name always counts as an alias
+commoditySchema.pre('validate', function(next) {
+  const name = this.name && this.name.toLowerCase().trim();
+  if (name && !this.aliases.includes(name)) {
+    this.aliases.push(name);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Commodity', commoditySchema);
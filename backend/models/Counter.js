@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. one per order-number prefix per day
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Atomically take the next number in a sequence. A new sequence starts after
+// `initialValue()`, which lets it carry on from numbers issued before it existed.
+counterSchema.statics.next = async function(name, initialValue = async () => 0) {
+  const increment = () => this.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true });
+
+  let counter = await increment();
+  if (!counter) {
+    try {
+      await this.create({ _id: name, seq: await initialValue() });
+    } catch (error) {
+      // Another caller created it first; use theirs
+      if (error.code !== 11000) throw error;
+    }
+    counter = await increment();
+  }
+
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -47,12 +47,19 @@ const groupOrderSchema = new mongoose.Schema({
     joinedAt: {
       type: Date,
       default: Date.now
+    },
+    // Set while a payment for this share is being charged
+    paymentClaimedAt: {
+      type: Date,
+      default: null
     }
   }],
+  // Current tier price for the pooled quantity; falls as the group grows
   pricePerUnit: {
     type: Number,
     required: true
   },
+  // Savings on the pooled quantity at the current tier price
   estimatedSavings: {
     type: Number,
     default: 0
@@ -66,6 +73,26 @@ const groupOrderSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // What to do if the deadline passes before the target is reached:
+  // cancel, or order what was pooled if it meets the product's minimum order
+  shortfallPolicy: {
+    type: String,
+    enum: ['cancel', 'fulfil_partial'],
+    default: 'cancel'
+  },
+  // Set while the deadline scheduler is closing the group
+  closingStartedAt: {
+    type: Date,
+    default: null
+  },
+  closedReason: {
+    type: String
+  },
+  // Stock for the pooled quantity was reserved when the group closed
+  stockReserved: {
+    type: Boolean,
+    default: false
+  },
   deliveryDate: {
     type: Date
   },
@@ -78,7 +105,7 @@ const groupOrderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'partial', 'completed'],
+    enum: ['pending', 'partial', 'completed', 'refunded'],
     default: 'pending'
   },
   orderPlacedAt: {
@@ -104,9 +131,23 @@ const groupOrderSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     }
+  }],
+  // When each member last read the chat, for unread counts
+  chatReads: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    lastReadAt: {
+      type: Date,
+      required: true
+    }
   }]
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Index for efficient queries
@@ -125,6 +166,28 @@ groupOrderSchema.virtual('isTargetReached').get(function() {
   return this.currentQuantity >= this.targetQuantity;
 });
 
+// Live pricing from the product's discount tiers (when the product is populated)
+groupOrderSchema.virtual('pricing').get(function() {
+  const product = this.product;
+  if (!product || typeof product.getPriceTiers !== 'function') return undefined;
+
+  const tiers = product.getPriceTiers();
+  const nextTier = tiers.find(tier => tier.minQuantity > this.currentQuantity && tier.price < this.pricePerUnit);
+
+  return {
+    basePrice: product.price,
+    currentPrice: this.pricePerUnit,
+    tiers,
+    nextTier: nextTier ? { ...nextTier, quantityNeeded: nextTier.minQuantity - this.currentQuantity } : null
+  };
+});
+
+// Re-price the group at the discount tier its pooled quantity has reached
+groupOrderSchema.methods.applyTierPricing = function(product) {
+  this.pricePerUnit = product.getBulkPrice(this.currentQuantity);
+  this.estimatedSavings = (product.price - this.pricePerUnit) * this.currentQuantity;
+};
+
 // Add participant to group order
 groupOrderSchema.methods.addParticipant = function(vendorId, quantity) {
   // Check if vendor already participated
@@ -163,12 +226,236 @@ groupOrderSchema.methods.removeParticipant = function(vendorId) {
   }
 };
 
+// Groups vendors can still join or leave
+const OPEN_STATUSES = ['active', 'target_reached'];
+
+// Filter matching the group only while vendors can still join or leave
+const openFilter = (groupOrderId) => ({
+  _id: groupOrderId,
+  status: { $in: OPEN_STATUSES },
+  deadline: { $gt: new Date() }
+});
+
+// Add a vendor's quantity to an open group. The open, full and
+// already-joined checks are part of each update's filter, so two vendors
+// joining at once can't both take the last place or overwrite each other's
+// quantity. Resolves to the updated group, or null if it closed or filled up.
+// The routes use this and leave rather than addParticipant/removeParticipant,
+// whose in-memory changes would be saved over concurrent joins.
+groupOrderSchema.statics.join = async function(groupOrderId, vendorId, quantity) {
+  const addToExisting = () => this.findOneAndUpdate(
+    { ...openFilter(groupOrderId), 'participants.vendor': vendorId },
+    { $inc: { currentQuantity: quantity, 'participants.$.quantity': quantity } },
+    { new: true }
+  );
+
+  let groupOrder = await addToExisting();
+  if (!groupOrder) {
+    groupOrder = await this.findOneAndUpdate(
+      {
+        ...openFilter(groupOrderId),
+        'participants.vendor': { $ne: vendorId },
+        $expr: { $lt: [{ $size: '$participants' }, '$maxParticipants'] }
+      },
+      { $inc: { currentQuantity: quantity }, $push: { participants: { vendor: vendorId, quantity } } },
+      { new: true }
+    );
+  }
+  // The vendor's own request from another tab may have added them in between
+  if (!groupOrder) {
+    groupOrder = await addToExisting();
+  }
+
+  if (groupOrder) await groupOrder.syncTargetStatus();
+  return groupOrder;
+};
+
+// Take a vendor out of an open group. Only applies if their quantity is
+// still `quantity`, so a concurrent top-up isn't lost; resolves to the
+// updated group, or null if anything changed.
+groupOrderSchema.statics.leave = async function(groupOrderId, vendorId, quantity) {
+  const groupOrder = await this.findOneAndUpdate(
+    { ...openFilter(groupOrderId), participants: { $elemMatch: { vendor: vendorId, quantity } } },
+    { $inc: { currentQuantity: -quantity }, $pull: { participants: { vendor: vendorId } } },
+    { new: true }
+  );
+
+  if (groupOrder) await groupOrder.syncTargetStatus();
+  return groupOrder;
+};
+
+// Cancel an open group for its creator. Only applies while the group is
+// open and the scheduler hasn't started closing it, so a cancel and a close
+// can't both go ahead. Resolves to the cancelled group, or null.
+groupOrderSchema.statics.cancel = function(groupOrderId, creatorId) {
+  return this.findOneAndUpdate(
+    { ...openFilter(groupOrderId), creator: creatorId, closingStartedAt: null },
+    { status: 'cancelled' },
+    { new: true }
+  );
+};
+
+// Groups vendors can still pay their share into
+const PAYABLE_STATUSES = ['active', 'target_reached', 'ordered'];
+
+// A claim older than this is from a request that never finished
+const PAYMENT_CLAIM_TTL_MS = 5 * 60 * 1000;
+
+// Claim a vendor's share for payment, so only one charge for it runs at a
+// time. Resolves to the group, or null if the share is already being paid
+// for or the group can no longer be paid into.
+groupOrderSchema.statics.claimPayment = function(groupOrderId, vendorId) {
+  return this.findOneAndUpdate(
+    {
+      _id: groupOrderId,
+      status: { $in: PAYABLE_STATUSES },
+      participants: {
+        $elemMatch: {
+          vendor: vendorId,
+          $or: [
+            { paymentClaimedAt: null },
+            { paymentClaimedAt: { $lt: new Date(Date.now() - PAYMENT_CLAIM_TTL_MS) } }
+          ]
+        }
+      }
+    },
+    { 'participants.$.paymentClaimedAt': new Date() },
+    { new: true }
+  ).select('-chatMessages');
+};
+
+// Let the vendor pay again once their payment has been recorded
+groupOrderSchema.statics.releasePaymentClaim = function(groupOrderId, vendorId) {
+  return this.updateOne(
+    { _id: groupOrderId, 'participants.vendor': vendorId },
+    { 'participants.$.paymentClaimedAt': null }
+  );
+};
+
+// Move between active and target_reached to match the pooled quantity. Only
+// applies while the quantity is still the one checked; a request that changed
+// it since syncs the status itself.
+groupOrderSchema.methods.syncTargetStatus = async function() {
+  const [from, to] = this.currentQuantity >= this.targetQuantity
+    ? ['active', 'target_reached']
+    : ['target_reached', 'active'];
+  if (this.status !== from) return;
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, status: from, currentQuantity: this.currentQuantity },
+    { status: to }
+  );
+  if (result.modifiedCount > 0) this.status = to;
+};
+
+// Price the group at its current tier. Only applies while the quantity is
+// still the one priced, so a slower request can't write back an older price.
+groupOrderSchema.methods.savePricing = async function(product) {
+  this.applyTierPricing(product);
+  await this.constructor.updateOne(
+    { _id: this._id, currentQuantity: this.currentQuantity },
+    { pricePerUnit: this.pricePerUnit, estimatedSavings: this.estimatedSavings }
+  );
+};
+
 // Add chat message
 groupOrderSchema.methods.addMessage = function(senderId, message) {
   this.chatMessages.push({
     sender: senderId,
     message: message
   });
+  return this.chatMessages[this.chatMessages.length - 1];
+};
+
+// Append a chat message from a member while the group is still open. A
+// $push, so it can't overwrite a concurrent join, leave or close. Resolves to
+// the message, or null if the group no longer takes chat or they left it.
+groupOrderSchema.statics.postMessage = async function(groupOrderId, senderId, message) {
+  const chatMessage = {
+    _id: new mongoose.Types.ObjectId(),
+    sender: senderId,
+    message,
+    timestamp: new Date()
+  };
+
+  const result = await this.updateOne(
+    {
+      _id: groupOrderId,
+      status: { $in: OPEN_STATUSES },
+      $or: [{ creator: senderId }, { 'participants.vendor': senderId }]
+    },
+    { $push: { chatMessages: chatMessage } }
+  );
+  return result.modifiedCount > 0 ? chatMessage : null;
+};
+
+// Check if a user is the creator or a participant
+groupOrderSchema.methods.isMember = function(userId) {
+  return this.creator.toString() === userId.toString() ||
+    this.participants.some(p => p.vendor.toString() === userId.toString());
+};
+
+// Record that a user has read the chat up to a point in time.
+// Done with atomic updates so it never conflicts with a concurrent save.
+groupOrderSchema.statics.markChatRead = async function(groupOrderId, userId, readAt = new Date()) {
+  const result = await this.updateOne(
+    { _id: groupOrderId, 'chatReads.user': userId },
+    { $max: { 'chatReads.$.lastReadAt': readAt } }
+  );
+  if (result.matchedCount === 0) {
+    await this.updateOne(
+      { _id: groupOrderId, 'chatReads.user': { $ne: userId } },
+      { $push: { chatReads: { user: userId, lastReadAt: readAt } } }
+    );
+  }
+};
+
+// Count unread chat messages per group order for a user
+groupOrderSchema.statics.unreadCounts = async function(userId, groupOrderIds) {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const results = await this.aggregate([
+    { $match: { _id: { $in: groupOrderIds.map(id => new mongoose.Types.ObjectId(id)) } } },
+    {
+      $project: {
+        lastReadAt: {
+          $ifNull: [
+            {
+              $arrayElemAt: [
+                {
+                  $map: {
+                    input: { $filter: { input: '$chatReads', cond: { $eq: ['$$this.user', userObjectId] } } },
+                    in: '$$this.lastReadAt'
+                  }
+                },
+                0
+              ]
+            },
+            new Date(0)
+          ]
+        },
+        chatMessages: 1
+      }
+    },
+    {
+      $project: {
+        unreadCount: {
+          $size: {
+            $filter: {
+              input: '$chatMessages',
+              cond: {
+                $and: [
+                  { $ne: ['$$this.sender', userObjectId] },
+                  { $gt: ['$$this.timestamp', '$lastReadAt'] }
+                ]
+              }
+            }
+          }
+        }
+      }
+    }
+  ]);
+
+  return new Map(results.map(r => [r._id.toString(), r.unreadCount]));
 };
 
 module.exports = mongoose.model('GroupOrder', groupOrderSchema);
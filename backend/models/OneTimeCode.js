@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A short numeric code sent to a user for a single use. Only an HMAC of the
+// code is stored, keyed with a server secret so a leaked hash can't be brute-forced.
+const oneTimeCodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'login'],
+    required: true
+  },
+  // Email address or phone number the code was sent to
+  target: {
+    type: String,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  consumedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+oneTimeCodeSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+oneTimeCodeSchema.index({ target: 1, purpose: 1, createdAt: -1 });
+// Let MongoDB remove codes a day after they expire; recent ones are
+// still needed to count sends for rate limiting
+oneTimeCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Generate a random numeric code
+oneTimeCodeSchema.statics.generateCode = function(length = 6) {
+  return crypto.randomInt(0, 10 ** length).toString().padStart(length, '0');
+};
+
+// Hash a code for storage and comparison
+oneTimeCodeSchema.statics.hashCode = function(code) {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(String(code)).digest('hex');
+};
+
+// Issue a new code for a target, superseding any earlier unused ones.
+// Resolves to the plain code, which is never stored.
+oneTimeCodeSchema.statics.issue = async function({ user, purpose, target, ttlMinutes = 10, maxAttempts = 5 }) {
+  await this.updateMany(
+    { purpose, target, consumedAt: null },
+    { expiresAt: new Date() }
+  );
+
+  const code = this.generateCode();
+  await this.create({
+    user,
+    purpose,
+    target,
+    codeHash: this.hashCode(code),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    maxAttempts
+  });
+
+  return code;
+};
+
+// Check a code against the latest live one for a target and use it up.
+// Each call counts as an attempt. Resolves to the code document, or null.
+oneTimeCodeSchema.statics.consume = async function({ purpose, target, code }) {
+  // Count the attempt atomically so parallel guesses can't exceed the limit
+  const record = await this.findOneAndUpdate(
+    {
+      purpose,
+      target,
+      consumedAt: null,
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ['$attempts', '$maxAttempts'] }
+    },
+    { $inc: { attempts: 1 } },
+    { sort: { createdAt: -1 }, new: true }
+  );
+
+  if (!record) return null;
+
+  const expected = Buffer.from(record.codeHash, 'hex');
+  const actual = Buffer.from(this.hashCode(code), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  // Only one request may use the code
+  return this.findOneAndUpdate(
+    { _id: record._id, consumedAt: null },
+    { consumedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('OneTimeCode', oneTimeCodeSchema);
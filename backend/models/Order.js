@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { DEFAULT_PREFIX, orderNumberFormat, orderCounterName, orderNumberPattern, formatOrderNumber } = require('../utils/orderNumber');
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -67,9 +69,22 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
     default: 'pending'
   },
+  cancelledBy: {
+    type: String,
+    enum: ['vendor', 'supplier']
+  },
+  // Stock reserved for the order is released if it is cancelled and
+  // fulfilled (counted as sold) when it is delivered
+  stockStatus: {
+    type: String,
+    enum: ['none', 'reserved', 'released', 'fulfilled'],
+    default: 'none'
+  },
+  // refund_pending: cancelled after payment, but the money hasn't gone back
+  // yet (paid outside escrow, e.g. by UPI, or the escrow refund failed)
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'paid', 'failed', 'refund_pending', 'refunded'],
     default: 'pending'
   },
   paymentMethod: {
@@ -77,6 +92,38 @@ const orderSchema = new mongoose.Schema({
     enum: ['cash', 'upi', 'card', 'bank_transfer'],
     default: 'cash'
   },
+  // UPI payment requests made for this order; a new one replaces a failed one
+  upiRequests: [{
+    reference: {
+      type: String,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    vpa: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['created', 'paid', 'failed'],
+      default: 'created'
+    },
+    failureReason: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Bank reference (UTR) of the payment that settled the order
+  paymentReference: {
+    type: String
+  },
+  paidAt: {
+    type: Date
+  },
   deliveryAddress: {
     street: String,
     city: String,
@@ -124,26 +171,28 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Generate order number before saving
-orderSchema.pre('save', async function(next) {
+// Generate order number before validation so the required check passes.
+// The sequence comes from an atomic counter, so concurrent saves never share a number.
+orderSchema.pre('validate', async function(next) {
   if (!this.orderNumber) {
-    const date = new Date();
-    const dateStr = date.getFullYear().toString() + 
-                   (date.getMonth() + 1).toString().padStart(2, '0') + 
-                   date.getDate().toString().padStart(2, '0');
-    
-    // Find the last order of the day
-    const lastOrder = await this.constructor.findOne({
-      orderNumber: new RegExp(`^VC${dateStr}`)
-    }).sort({ orderNumber: -1 });
-    
-    let sequence = 1;
-    if (lastOrder) {
-      const lastSequence = parseInt(lastOrder.orderNumber.slice(-4));
-      sequence = lastSequence + 1;
-    }
-    
-    this.orderNumber = `VC${dateStr}${sequence.toString().padStart(4, '0')}`;
+    const supplier = await mongoose.model('User').findById(this.supplier).select('orderPrefix');
+    const parts = {
+      prefix: (supplier && supplier.orderPrefix) || DEFAULT_PREFIX,
+      date: new Date()
+    };
+    const format = orderNumberFormat();
+
+    // A new counter carries on from numbers issued before it existed. The
+    // sequence numbers are compared as numbers: once they outgrow the padding,
+    // "...9999" sorts after "...10000" as a string.
+    const lastIssued = async () => {
+      const pattern = orderNumberPattern(parts, format);
+      const issued = await this.constructor.distinct('orderNumber', { orderNumber: pattern });
+      return issued.reduce((last, orderNumber) => Math.max(last, parseInt(pattern.exec(orderNumber)[1])), 0);
+    };
+
+    const seq = await Counter.next(orderCounterName(parts, format), lastIssued);
+    this.orderNumber = formatOrderNumber({ ...parts, seq }, format);
   }
   next();
 });
@@ -154,6 +203,40 @@ orderSchema.index({ supplier: 1, createdAt: -1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ groupOrder: 1 });
+orderSchema.index({ 'upiRequests.reference': 1 });
+orderSchema.index({ supplier: 1, paymentStatus: 1 });
+orderSchema.index({ supplier: 1, status: 1, createdAt: -1 });
+
+// Allowed status transitions in the order lifecycle
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Check whether the order may move to the given status
+orderSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move an order to a new status, but only if it is still in a status that
+// may move there. The check is part of the update, so of two requests racing
+// (say a cancel and a delivery) only one wins. Resolves to the updated
+// order, or null if it had already moved on.
+orderSchema.statics.transition = function(filter, status, { set = {}, message, location = null } = {}) {
+  const allowedFrom = Object.keys(STATUS_TRANSITIONS).filter(from => STATUS_TRANSITIONS[from].includes(status));
+  return this.findOneAndUpdate(
+    { ...filter, status: { $in: allowedFrom } },
+    {
+      $set: { ...set, status },
+      $push: { 'trackingInfo.updates': { status, message, location } }
+    },
+    { new: true }
+  );
+};
 
 // Add tracking update
 orderSchema.methods.addTrackingUpdate = function(status, message, location = null) {
@@ -164,6 +247,31 @@ orderSchema.methods.addTrackingUpdate = function(status, message, location = nul
   });
 };
 
+// Move the order's reserved stock on: 'released' back to available, or
+// 'fulfilled' into totalSold. The status is claimed atomically first so the
+// stock only moves once, however many times this is called.
+orderSchema.methods.settleStock = async function(outcome) {
+  const claimed = await this.constructor.updateOne(
+    { _id: this._id, stockStatus: 'reserved' },
+    { stockStatus: outcome }
+  );
+  if (claimed.modifiedCount === 0) return false;
+
+  this.stockStatus = outcome;
+  const Product = mongoose.model('Product');
+  if (outcome === 'released') {
+    await Product.releaseStock(this.items);
+  } else {
+    await Product.fulfilStock(this.items);
+  }
+  return true;
+};
+
+// Find one of the order's UPI payment requests by its reference
+orderSchema.methods.findUpiRequest = function(reference) {
+  return this.upiRequests.find(request => request.reference === reference);
+};
+
 // Calculate savings compared to individual pricing
 orderSchema.methods.calculateSavings = function() {
   let totalSavings = 0;
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// One money movement in a group order's escrow ledger: a vendor paying in,
+// a refund back to a vendor, or a release of held funds to the supplier.
+const paymentSchema = new mongoose.Schema({
+  groupOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupOrder',
+    required: true
+  },
+  // The participant's supplier order, once the group has closed
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Vendor whose share this is
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['collection', 'refund', 'release'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'upi', 'card', 'bank_transfer'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // Provider's transaction reference
+  reference: {
+    type: String
+  },
+  // Payer's own reference, e.g. a UPI transaction id they entered
+  payerReference: {
+    type: String
+  },
+  // For a refund, the collection it was refunded against
+  refundOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  reason: {
+    type: String
+  },
+  failureReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+paymentSchema.index({ groupOrder: 1, vendor: 1, createdAt: 1 });
+paymentSchema.index({ order: 1 });
+paymentSchema.index({ supplier: 1, type: 1, createdAt: -1 });
+
+// Net amounts per vendor for a group order, from successful payments only.
+// Resolves to a Map of vendor id -> { collected, refunded, released, held }.
+paymentSchema.statics.ledgerFor = async function(groupOrderId) {
+  const totals = await this.aggregate([
+    { $match: { groupOrder: new mongoose.Types.ObjectId(groupOrderId), status: 'succeeded' } },
+    { $group: { _id: { vendor: '$vendor', type: '$type' }, amount: { $sum: '$amount' } } }
+  ]);
+
+  const ledger = new Map();
+  totals.forEach(({ _id, amount }) => {
+    const vendorId = _id.vendor.toString();
+    if (!ledger.has(vendorId)) {
+      ledger.set(vendorId, { collected: 0, refunded: 0, released: 0, held: 0 });
+    }
+    const entry = ledger.get(vendorId);
+    entry[{ collection: 'collected', refund: 'refunded', release: 'released' }[_id.type]] = amount;
+  });
+
+  ledger.forEach(entry => {
+    entry.held = Math.round((entry.collected - entry.refunded - entry.released) * 100) / 100;
+  });
+
+  return ledger;
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
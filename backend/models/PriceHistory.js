@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One change to a product's price. `previous` holds what the product cost
+// before, so a trend can start from before its first recorded change.
+const priceHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit: {
+    type: String,
+    required: true
+  },
+  unitSize: Number,
+  // Empty for a new listing
+  previous: {
+    price: Number,
+    unit: String,
+    unitSize: Number
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+priceHistorySchema.index({ product: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
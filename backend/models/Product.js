@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { ratingChange } = require('../utils/rating');
+const { PRIOR_SCORE } = require('../utils/reputation');
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -45,16 +47,43 @@ const productSchema = new mongoose.Schema({
     required: true,
     enum: ['kg', 'gram', 'liter', 'ml', 'piece', 'dozen', 'packet', 'box']
   },
+  // For packets and boxes: how many of the commodity's base unit one holds, e.g. 0.5 for a 500 g packet
+  unitSize: {
+    type: Number,
+    min: 0
+  },
+  // Catalogue item the product is compared under
+  commodity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Commodity'
+  },
   minimumOrderQuantity: {
     type: Number,
     required: true,
     min: 1
   },
+  // Stock left to sell; stock held for open orders moves to reservedQuantity
   availableQuantity: {
     type: Number,
     required: true,
     min: 0
   },
+  reservedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Low stock at or below this, critical at or below half of it
+  reorderThreshold: {
+    type: Number,
+    default: 50,
+    min: 0
+  },
+  // Set when the supplier is told stock is low; cleared once it is back above the threshold
+  lowStockAlertedAt: {
+    type: Date,
+    default: null
+  },
   bulkDiscounts: [{
     minQuantity: {
       type: Number,
@@ -95,6 +124,11 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Copy of the supplier's reputation score so search can sort by it
+  supplierReputation: {
+    type: Number,
+    default: PRIOR_SCORE
+  },
   totalSold: {
     type: Number,
     default: 0
@@ -107,6 +141,11 @@ const productSchema = new mongoose.Schema({
 productSchema.index({ name: 'text', description: 'text', tags: 'text' });
 productSchema.index({ category: 1, supplier: 1 });
 productSchema.index({ price: 1 });
+productSchema.index({ supplierReputation: -1 });
+productSchema.index({ commodity: 1, isActive: 1 });
+
+// Index for the low stock list
+productSchema.index({ supplier: 1, availableQuantity: 1 });
 
 // Calculate bulk discount price
 productSchema.methods.getBulkPrice = function(quantity) {
@@ -121,10 +160,71 @@ productSchema.methods.getBulkPrice = function(quantity) {
   return this.price * (1 - applicableDiscount / 100);
 };
 
-// Update rating
-productSchema.methods.updateRating = function(newRating) {
-  this.totalRatings += 1;
-  this.rating = ((this.rating * (this.totalRatings - 1)) + newRating) / this.totalRatings;
+// Price at each bulk discount tier, smallest quantity first
+productSchema.methods.getPriceTiers = function() {
+  return [...this.bulkDiscounts]
+    .sort((a, b) => a.minQuantity - b.minQuantity)
+    .map(discount => ({
+      minQuantity: discount.minQuantity,
+      discountPercentage: discount.discountPercentage,
+      price: this.getBulkPrice(discount.minQuantity)
+    }));
+};
+
+// Reserve stock for order items, moving it from available to reserved.
+// Each product is updated only if it still has enough stock, so concurrent
+// orders can't oversell. All or nothing: resolves to null once every item is
+// reserved, or to the first item that couldn't be (after undoing the rest).
+productSchema.statics.reserveStock = async function(items) {
+  const reserved = [];
+
+  for (const item of items) {
+    const result = await this.updateOne(
+      { _id: item.product, isActive: true, availableQuantity: { $gte: item.quantity } },
+      { $inc: { availableQuantity: -item.quantity, reservedQuantity: item.quantity } }
+    );
+    if (result.modifiedCount === 0) {
+      await this.releaseStock(reserved);
+      return item;
+    }
+    reserved.push(item);
+  }
+
+  return null;
+};
+
+// Put reserved stock back on sale (order cancelled)
+productSchema.statics.releaseStock = async function(items) {
+  if (items.length === 0) return;
+  await this.bulkWrite(items.map(item => ({
+    updateOne: {
+      filter: { _id: item.product },
+      update: { $inc: { availableQuantity: item.quantity, reservedQuantity: -item.quantity } }
+    }
+  })));
+};
+
+// Reserved stock has been delivered and counts as sold
+productSchema.statics.fulfilStock = async function(items) {
+  if (items.length === 0) return;
+  await this.bulkWrite(items.map(item => ({
+    updateOne: {
+      filter: { _id: item.product },
+      update: { $inc: { reservedQuantity: -item.quantity, totalSold: item.quantity } }
+    }
+  })));
+};
+
+// 'ok', 'low' or 'critical' against the reorder threshold
+productSchema.methods.stockLevel = function() {
+  if (this.availableQuantity <= this.reorderThreshold / 2) return 'critical';
+  if (this.availableQuantity <= this.reorderThreshold) return 'low';
+  return 'ok';
+};
+
+// Atomically add a review score to (direction 1) or take it out of (-1) each product's average
+productSchema.statics.adjustRating = function(ids, score, direction = 1) {
+  return this.updateMany({ _id: { $in: ids } }, ratingChange(score, direction));
 };
 
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// A vendor's review of a delivered order, counted towards the supplier's
+// rating and the rating of every product on the order
+const reviewSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  // The supplier's public response
+  reply: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    repliedAt: Date
+  },
+  reports: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: ['spam', 'offensive', 'fake', 'irrelevant', 'other'],
+      required: true
+    },
+    details: String,
+    reportedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Hidden reviews wait for an admin; removed ones no longer count towards ratings
+  status: {
+    type: String,
+    enum: ['visible', 'hidden', 'removed'],
+    default: 'visible'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+reviewSchema.index({ supplier: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ products: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, 'reports.0': 1 });
+
+// Whether a user has already reported this review
+reviewSchema.methods.isReportedBy = function(userId) {
+  return this.reports.some(report => report.user.toString() === userId.toString());
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -1,5 +1,19 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { UPI_ID_PATTERN } = require('../utils/upi');
+const { ORDER_PREFIX_PATTERN } = require('../utils/orderNumber');
+const { ratingChange } = require('../utils/rating');
+const { PRIOR_SCORE } = require('../utils/reputation');
+
+// Reduce a phone number to digits, dropping the +91 / 0 prefix on Indian
+// mobile numbers so the same number is always stored the same way
+const normalizePhone = (phone) => {
+  if (typeof phone !== 'string') return phone;
+  const digits = phone.replace(/\D/g, '');
+  if (digits.length === 12 && digits.startsWith('91')) return digits.slice(2);
+  if (digits.length === 11 && digits.startsWith('0')) return digits.slice(1);
+  return digits;
+};
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -21,17 +35,32 @@ const userSchema = new mongoose.Schema({
   },
   phone: {
     type: String,
-    required: true
+    required: true,
+    set: normalizePhone
   },
   userType: {
     type: String,
-    enum: ['vendor', 'supplier'],
+    enum: ['vendor', 'supplier', 'admin'],
     required: true
   },
   isVerified: {
     type: Boolean,
     default: false
   },
+  // Admin review of a supplier's GST number and business license
+  verification: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected']
+    },
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String
+  },
   profileImage: {
     type: String,
     default: null
@@ -44,6 +73,17 @@ const userSchema = new mongoose.Schema({
     coordinates: {
       lat: Number,
       lng: Number
+    },
+    // GeoJSON copy of coordinates, kept in sync for geospatial queries
+    location: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
     }
   },
   // Vendor specific fields
@@ -69,6 +109,20 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: function() { return this.userType === 'supplier'; }
   },
+  // UPI ID (VPA) vendors pay the supplier at, e.g. freshfarms@okaxis
+  upiId: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [UPI_ID_PATTERN, 'Please provide a valid UPI ID']
+  },
+  // Starts the supplier's order numbers instead of VC, e.g. FRF202610180001
+  orderPrefix: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [ORDER_PREFIX_PATTERN, 'Order prefix must be 2-6 letters or digits, starting with a letter']
+  },
   rating: {
     type: Number,
     default: 0,
@@ -79,6 +133,20 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Supplier reputation, recalculated by services/reputation.js
+  reputation: {
+    score: {
+      type: Number,
+      default: PRIOR_SCORE,
+      min: 0,
+      max: 100
+    },
+    bayesianRating: Number,
+    onTimeRate: Number,
+    cancellationRate: Number,
+    deliveredOrders: Number,
+    calculatedAt: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -88,7 +156,44 @@ const userSchema = new mongoose.Schema({
 });
 
 // Index for geospatial queries
-userSchema.index({ "address.coordinates": "2dsphere" });
+userSchema.index({ "address.location": "2dsphere" });
+// Vendors log in by phone, so a number may belong to one vendor only.
+// Also serves phone login lookups.
+userSchema.index({ phone: 1 }, { unique: true, partialFilterExpression: { userType: 'vendor' } });
+// Index for the supplier verification queue
+userSchema.index({ userType: 1, 'verification.status': 1, 'verification.submittedAt': 1 });
+// Index for sorting suppliers by reputation
+userSchema.index({ userType: 1, 'reputation.score': -1 });
+
+// Normalize a phone number the same way it is stored
+userSchema.statics.normalizePhone = normalizePhone;
+
+// Build a GeoJSON point from { lat, lng } coordinates
+userSchema.statics.toGeoPoint = function(coordinates) {
+  if (!coordinates || coordinates.lat == null || coordinates.lng == null) {
+    return undefined;
+  }
+  return {
+    type: 'Point',
+    coordinates: [coordinates.lng, coordinates.lat]
+  };
+};
+
+// Keep the GeoJSON location in sync with the address coordinates
+userSchema.pre('save', function(next) {
+  if (this.isModified('address.coordinates')) {
+    this.address.location = this.constructor.toGeoPoint(this.address.coordinates);
+  }
+  next();
+});
+
+// New suppliers join the verification queue
+userSchema.pre('save', function(next) {
+  if (this.isNew && this.userType === 'supplier' && !this.verification?.status) {
+    this.verification = { status: 'pending', submittedAt: new Date() };
+  }
+  next();
+});
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -108,10 +213,9 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Calculate average rating
-userSchema.methods.updateRating = function(newRating) {
-  this.totalRatings += 1;
-  this.rating = ((this.rating * (this.totalRatings - 1)) + newRating) / this.totalRatings;
+// Atomically add a review score to (direction 1) or take it out of (-1) the average
+userSchema.statics.adjustRating = function(id, score, direction = 1) {
+  return this.updateOne({ _id: id }, ratingChange(score, direction));
 };
 
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// How many times each frequency occurs in a month
+const FREQUENCY_PER_MONTH = {
+  daily: 30,
+  weekly: 52 / 12,
+  fortnightly: 26 / 12,
+  monthly: 1
+};
+
+const vendorRequirementSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  item: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: [
+      'vegetables',
+      'fruits',
+      'grains',
+      'spices',
+      'dairy',
+      'meat',
+      'seafood',
+      'oils',
+      'packaging',
+      'equipment',
+      'other'
+    ]
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit: {
+    type: String,
+    required: true,
+    enum: ['kg', 'gram', 'liter', 'ml', 'piece', 'dozen', 'packet', 'box']
+  },
+  frequency: {
+    type: String,
+    required: true,
+    enum: Object.keys(FREQUENCY_PER_MONTH)
+  },
+  notes: {
+    type: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for efficient queries
+vendorRequirementSchema.index({ vendor: 1, isActive: 1 });
+vendorRequirementSchema.index({ category: 1, isActive: 1 });
+vendorRequirementSchema.index({ item: 'text', notes: 'text' });
+
+// Quantity needed per month, for comparing requirements across frequencies
+vendorRequirementSchema.virtual('monthlyQuantity').get(function() {
+  return this.quantity * FREQUENCY_PER_MONTH[this.frequency];
+});
+
+module.exports = mongoose.model('VendorRequirement', vendorRequirementSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Audit trail of supplier verification decisions. Entries are only ever added.
+const verificationLogSchema = new mongoose.Schema({
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Admin who made the decision
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['approved', 'rejected'],
+    required: true
+  },
+  reason: {
+    type: String
+  },
+  // Documents as they were when the decision was made
+  gstNumber: {
+    type: String
+  },
+  businessLicense: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+verificationLogSchema.index({ supplier: 1, createdAt: -1 });
+verificationLogSchema.index({ reviewedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('VerificationLog', verificationLogSchema);
@@ -0,0 +1,336 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+const VerificationLog = require('../models/VerificationLog');
+const notifier = require('../services/notifier');
+const { refreshReputation } = require('../services/reputation');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Supplier fields an admin needs to review a registration
+const SUPPLIER_REVIEW_FIELDS = 'name email phone companyName gstNumber businessLicense address isVerified isActive verification createdAt';
+
+// Filter for suppliers in a verification status. Suppliers who registered
+// before verification existed have no status yet: they count as approved if
+// already verified and as pending otherwise.
+const verificationStatusFilter = (status) => {
+  if (status === 'rejected') {
+    return { 'verification.status': 'rejected' };
+  }
+  return {
+    $or: [
+      { 'verification.status': status },
+      { 'verification.status': null, isVerified: status === 'approved' ? true : { $ne: true } }
+    ]
+  };
+};
+
+// Approve or reject a pending supplier and record the decision
+const reviewSupplier = async (req, res, action) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const reason = req.body.reason;
+
+  // Only a pending registration can be decided, so two admins can't both act on it
+  const supplier = await User.findOneAndUpdate(
+    { _id: req.params.supplierId, userType: 'supplier', ...verificationStatusFilter('pending') },
+    {
+      isVerified: action === 'approved',
+      'verification.status': action,
+      'verification.reviewedAt': new Date(),
+      'verification.reviewedBy': req.user._id,
+      'verification.reason': reason
+    },
+    { new: true }
+  ).select(SUPPLIER_REVIEW_FIELDS);
+
+  if (!supplier) {
+    const exists = await User.exists({ _id: req.params.supplierId, userType: 'supplier' });
+    return exists
+      ? res.status(409).json({ message: 'Supplier is not awaiting verification' })
+      : res.status(404).json({ message: 'Supplier not found' });
+  }
+
+  const log = await VerificationLog.create({
+    supplier: supplier._id,
+    reviewedBy: req.user._id,
+    action,
+    reason,
+    gstNumber: supplier.gstNumber,
+    businessLicense: supplier.businessLicense
+  });
+
+  const text = action === 'approved'
+    ? `Hi ${supplier.name},\n\nYour VendorConnect supplier account for ${supplier.companyName} has been verified. You can now list products.`
+    : `Hi ${supplier.name},\n\nWe couldn't verify your VendorConnect supplier account for ${supplier.companyName}.\n\nReason: ${reason}\n\nUpdate your GST number or business license from your profile to submit it for review again.`;
+
+  await notifier.send({
+    channel: 'email',
+    to: supplier.email,
+    subject: action === 'approved' ? 'Your supplier account is verified' : 'Your supplier verification needs attention',
+    text
+  });
+
+  res.json({
+    message: action === 'approved' ? 'Supplier approved' : 'Supplier rejected',
+    supplier,
+    log
+  });
+};
+
+// Supplier verification queue, oldest submissions first (admins only)
+router.get('/verifications', authenticateToken, requireAdmin, [
+  query('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Status must be pending, approved or rejected'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {
+      userType: 'supplier',
+      ...verificationStatusFilter(req.query.status || 'pending')
+    };
+
+    const [suppliers, total] = await Promise.all([
+      User.find(filter)
+        .select(SUPPLIER_REVIEW_FIELDS)
+        .populate('verification.reviewedBy', 'name email')
+        .sort({ 'verification.submittedAt': 1 })
+        .skip(skip)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      suppliers,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Verification queue fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a supplier's registration details and verification history (admins only)
+router.get('/verifications/:supplierId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const supplier = await User.findOne({ _id: req.params.supplierId, userType: 'supplier' })
+      .select(SUPPLIER_REVIEW_FIELDS)
+      .populate('verification.reviewedBy', 'name email');
+
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    const history = await VerificationLog.find({ supplier: supplier._id })
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({ supplier, history });
+  } catch (error) {
+    console.error('Verification fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve a supplier (admins only)
+router.post('/verifications/:supplierId/approve', authenticateToken, requireAdmin, [
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    await reviewSupplier(req, res, 'approved');
+  } catch (error) {
+    console.error('Supplier approval error:', error);
+    res.status(500).json({ message: 'Server error during supplier approval' });
+  }
+});
+
+// Reject a supplier with a reason they can act on (admins only)
+router.post('/verifications/:supplierId/reject', authenticateToken, requireAdmin, [
+  body('reason').trim().isLength({ min: 5 }).withMessage('A reason of at least 5 characters is required')
+], async (req, res) => {
+  try {
+    await reviewSupplier(req, res, 'rejected');
+  } catch (error) {
+    console.error('Supplier rejection error:', error);
+    res.status(500).json({ message: 'Server error during supplier rejection' });
+  }
+});
+
+// Audit trail of verification decisions, newest first (admins only)
+router.get('/audit-log', authenticateToken, requireAdmin, [
+  query('supplier').optional().isMongoId().withMessage('Invalid supplier id'),
+  query('reviewedBy').optional().isMongoId().withMessage('Invalid admin id'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.supplier) filter.supplier = req.query.supplier;
+    if (req.query.reviewedBy) filter.reviewedBy = req.query.reviewedBy;
+
+    const [logs, total] = await Promise.all([
+      VerificationLog.find(filter)
+        .populate('supplier', 'name companyName email')
+        .populate('reviewedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      VerificationLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Audit log fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reviews with abuse reports, most reported first (admins only)
+router.get('/reviews/reported', authenticateToken, requireAdmin, [
+  query('status').optional().isIn(['visible', 'hidden', 'removed']).withMessage('Status must be visible, hidden or removed'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { 'reports.0': { $exists: true } };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [reviews, total] = await Promise.all([
+      Review.aggregate([
+        { $match: filter },
+        { $addFields: { reportCount: { $size: '$reports' } } },
+        { $sort: { reportCount: -1, createdAt: -1 } },
+        { $skip: skip },
+        { $limit: limit }
+      ]),
+      Review.countDocuments(filter)
+    ]);
+
+    await Review.populate(reviews, [
+      { path: 'vendor', select: 'name businessName email' },
+      { path: 'supplier', select: 'name companyName email' },
+      { path: 'reports.user', select: 'name email' }
+    ]);
+
+    res.json({
+      reviews,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Reported reviews fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore a hidden or removed review and dismiss its reports (admins only)
+router.put('/reviews/:id/restore', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    // Returns the review as it was, so we know whether it still counted towards ratings
+    const previous = await Review.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['hidden', 'removed'] } },
+      { status: 'visible', reports: [], moderatedBy: req.user._id, moderatedAt: new Date() }
+    );
+
+    if (!previous) {
+      const exists = await Review.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ message: 'Review is already visible' })
+        : res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (previous.status === 'removed') {
+      await Promise.all([
+        User.adjustRating(previous.supplier, previous.rating),
+        Product.adjustRating(previous.products, previous.rating)
+      ]);
+      await refreshReputation(previous.supplier);
+    }
+
+    res.json({ message: 'Review restored' });
+  } catch (error) {
+    console.error('Review restore error:', error);
+    res.status(500).json({ message: 'Server error during review restore' });
+  }
+});
+
+// Remove an abusive review so it no longer counts towards ratings (admins only)
+router.put('/reviews/:id/remove', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const review = await Review.findOneAndUpdate(
+      { _id: req.params.id, status: { $ne: 'removed' } },
+      { status: 'removed', moderatedBy: req.user._id, moderatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!review) {
+      const exists = await Review.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ message: 'Review is already removed' })
+        : res.status(404).json({ message: 'Review not found' });
+    }
+
+    await Promise.all([
+      User.adjustRating(review.supplier, review.rating, -1),
+      Product.adjustRating(review.products, review.rating, -1)
+    ]);
+    await refreshReputation(review.supplier);
+
+    res.json({ message: 'Review removed' });
+  } catch (error) {
+    console.error('Review removal error:', error);
+    res.status(500).json({ message: 'Server error during review removal' });
+  }
+});
+
+module.exports = router;
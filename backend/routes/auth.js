@@ -2,13 +2,67 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const OneTimeCode = require('../models/OneTimeCode');
+const notifier = require('../services/notifier');
+const smsGateway = require('../services/smsGateway');
+const { gstinProblem } = require('../utils/gstin');
+const { UPI_ID_PATTERN } = require('../utils/upi');
+const { ORDER_PREFIX_PATTERN } = require('../utils/orderNumber');
 const { authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const RESET_CODE_TTL_MINUTES = 15;
+const RESET_CODE_COOLDOWN_SECONDS = 60;
+const LOGIN_CODE_TTL_MINUTES = 5;
+const LOGIN_CODE_COOLDOWN_SECONDS = 60;
+const LOGIN_CODES_PER_HOUR = 5;
+
+// Generate a short-lived JWT access token for a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Start a login session and issue its access and refresh tokens
+const createSession = async (user, req) => {
+  const refreshToken = Session.generateRefreshToken();
+
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: Session.hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
+  });
+  await session.save();
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Validate a GSTIN and that it matches the state in the address being saved
+const checkGstin = (value, { req }) => {
+  const state = req.body.address?.state || req.user?.address?.state;
+  const problem = gstinProblem(value, state);
+  if (problem) {
+    throw new Error(problem);
+  }
+  return true;
+};
+
+// The same answers as the existence checks below, for a duplicate that got
+// past them at the same moment and was caught by a unique index
+const duplicateKeyMessage = (error) => {
+  if (error.code !== 11000) return null;
+  if (error.keyPattern?.phone) return 'A vendor account already exists with this phone number';
+  if (error.keyPattern?.email) return 'User already exists with this email';
+  return null;
 };
 
 // Register new user
@@ -20,7 +74,10 @@ router.post('/register', [
   body('userType').isIn(['vendor', 'supplier']).withMessage('User type must be vendor or supplier'),
   body('businessName').if(body('userType').equals('vendor')).notEmpty().withMessage('Business name is required for vendors'),
   body('companyName').if(body('userType').equals('supplier')).notEmpty().withMessage('Company name is required for suppliers'),
-  body('gstNumber').if(body('userType').equals('supplier')).notEmpty().withMessage('GST number is required for suppliers')
+  body('gstNumber').if(body('userType').equals('supplier'))
+    .notEmpty().withMessage('GST number is required for suppliers').bail()
+    .customSanitizer(value => String(value).trim().toUpperCase())
+    .custom(checkGstin)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -36,6 +93,14 @@ router.post('/register', [
       return res.status(400).json({ message: 'User already exists with this email' });
     }
 
+    // Vendors can log in by phone, so each number may belong to one vendor
+    if (userType === 'vendor') {
+      const phoneTaken = await User.exists({ phone: User.normalizePhone(phone), userType: 'vendor' });
+      if (phoneTaken) {
+        return res.status(400).json({ message: 'A vendor account already exists with this phone number' });
+      }
+    }
+
     // Create new user
     const userData = {
       name,
@@ -58,11 +123,11 @@ router.post('/register', [
     const user = new User(userData);
     await user.save();
 
-    const token = generateToken(user._id);
+    const tokens = await createSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
@@ -72,6 +137,10 @@ router.post('/register', [
       }
     });
   } catch (error) {
+    const duplicate = duplicateKeyMessage(error);
+    if (duplicate) {
+      return res.status(400).json({ message: duplicate });
+    }
     console.error('Registration error:', error);
     res.status(500).json({ message: 'Server error during registration' });
   }
@@ -102,11 +171,11 @@ router.post('/login', [
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    const token = generateToken(user._id);
+    const tokens = await createSession(user, req);
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
@@ -137,7 +206,26 @@ router.get('/profile', authenticateToken, async (req, res) => {
 // Update user profile
 router.put('/profile', authenticateToken, [
   body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
-  body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number')
+  body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number'),
+  body('gstNumber').optional().trim().notEmpty().withMessage('GST number cannot be empty').bail()
+    .toUpperCase()
+    .custom(checkGstin),
+  // A supplier moving state must still match their GST registration
+  body('address.state').optional().custom((state, { req }) => {
+    if (req.user.userType !== 'supplier' || req.body.gstNumber !== undefined || !req.user.gstNumber) {
+      return true;
+    }
+    const problem = gstinProblem(req.user.gstNumber, state);
+    if (problem) {
+      throw new Error(problem);
+    }
+    return true;
+  }),
+  body('businessLicense').optional().trim().notEmpty().withMessage('Business license cannot be empty'),
+  body('upiId').optional().trim().toLowerCase()
+    .matches(UPI_ID_PATTERN).withMessage('Please provide a valid UPI ID, e.g. yourshop@okaxis'),
+  body('orderPrefix').optional().trim().toUpperCase()
+    .matches(ORDER_PREFIX_PATTERN).withMessage('Order prefix must be 2-6 letters or digits, starting with a letter')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -146,6 +234,9 @@ router.put('/profile', authenticateToken, [
     }
 
     const allowedUpdates = ['name', 'phone', 'address', 'businessName', 'businessType', 'companyName', 'profileImage'];
+    if (req.user.userType === 'supplier') {
+      allowedUpdates.push('gstNumber', 'businessLicense', 'upiId', 'orderPrefix');
+    }
     const updates = {};
 
     allowedUpdates.forEach(field => {
@@ -154,6 +245,32 @@ router.put('/profile', authenticateToken, [
       }
     });
 
+    // Vendors can log in by phone, so each number may belong to one vendor
+    if (updates.phone !== undefined && req.user.userType === 'vendor') {
+      const phoneTaken = await User.exists({
+        _id: { $ne: req.user._id },
+        phone: User.normalizePhone(updates.phone),
+        userType: 'vendor'
+      });
+      if (phoneTaken) {
+        return res.status(400).json({ message: 'A vendor account already exists with this phone number' });
+      }
+    }
+
+    // New verification documents go back into the admin review queue
+    const documentsChanged = ['gstNumber', 'businessLicense'].some(field =>
+      updates[field] !== undefined && updates[field] !== req.user[field]
+    );
+    if (documentsChanged) {
+      updates.isVerified = false;
+      updates.verification = { status: 'pending', submittedAt: new Date() };
+    }
+
+    // findByIdAndUpdate skips save hooks, so sync the GeoJSON location here
+    if (updates.address) {
+      updates.address.location = User.toGeoPoint(updates.address.coordinates);
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user._id,
       updates,
@@ -161,10 +278,16 @@ router.put('/profile', authenticateToken, [
     ).select('-password');
 
     res.json({
-      message: 'Profile updated successfully',
+      message: documentsChanged
+        ? 'Profile updated. Your account will be verified again before you can list new products.'
+        : 'Profile updated successfully',
       user
     });
   } catch (error) {
+    const duplicate = duplicateKeyMessage(error);
+    if (duplicate) {
+      return res.status(400).json({ message: duplicate });
+    }
     console.error('Profile update error:', error);
     res.status(500).json({ message: 'Server error during profile update' });
   }
@@ -194,13 +317,313 @@ router.put('/change-password', authenticateToken, [
     user.password = newPassword;
     await user.save();
 
-    res.json({ message: 'Password changed successfully' });
+    // Sign out every device, then start a fresh session for this one
+    await Session.revokeAllForUser(user._id, 'password changed');
+    const tokens = await createSession(user, req);
+
+    res.json({
+      message: 'Password changed successfully',
+      ...tokens
+    });
   } catch (error) {
     console.error('Password change error:', error);
     res.status(500).json({ message: 'Server error during password change' });
   }
 });
 
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokenHash = Session.hashToken(req.body.refreshToken);
+    const refreshToken = Session.generateRefreshToken();
+
+    // Rotate atomically so a token can only ever be exchanged once
+    const session = await Session.findOneAndUpdate(
+      { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      {
+        $set: { refreshTokenHash: Session.hashToken(refreshToken), lastUsedAt: new Date() },
+        $push: { rotatedTokenHashes: tokenHash }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      // A token that was already rotated out is being replayed, so it has leaked
+      await Session.updateOne(
+        { rotatedTokenHashes: tokenHash, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'refresh token reuse' }
+      );
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(session.user).select('-password');
+    if (!user || !user.isActive) {
+      session.revoke('account unavailable');
+      await session.save();
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      token: generateToken(user._id, session._id),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+// Log out by revoking the session behind a refresh token
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await Session.updateOne(
+      { refreshTokenHash: Session.hashToken(req.body.refreshToken), revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+
+    // Respond the same whether or not the session existed
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// Request a password reset code by email
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Reset codes can't reach anyone without a way to send them
+    if (!notifier.isConfigured()) {
+      return res.status(503).json({ message: 'Password reset is not available right now. Please contact support.' });
+    }
+
+    const email = req.body.email.toLowerCase().trim();
+
+    // Same response either way so the endpoint can't be used to find accounts
+    const response = { message: 'If an account exists for this email, a reset code has been sent' };
+
+    const user = await User.findOne({ email, isActive: true });
+    if (!user) {
+      return res.json(response);
+    }
+
+    // Don't resend while a recent code is still live
+    const recentCode = await OneTimeCode.findOne({
+      purpose: 'password_reset',
+      target: email,
+      consumedAt: null,
+      expiresAt: { $gt: new Date() },
+      createdAt: { $gt: new Date(Date.now() - RESET_CODE_COOLDOWN_SECONDS * 1000) }
+    });
+    if (recentCode) {
+      return res.json(response);
+    }
+
+    const code = await OneTimeCode.issue({
+      user: user._id,
+      purpose: 'password_reset',
+      target: email,
+      ttlMinutes: RESET_CODE_TTL_MINUTES
+    });
+
+    await notifier.send({
+      channel: 'email',
+      to: email,
+      subject: 'Your VendorConnect password reset code',
+      text: `Hi ${user.name},\n\nYour password reset code is ${code}. It expires in ${RESET_CODE_TTL_MINUTES} minutes and can only be used once.\n\nIf you didn't ask to reset your password, you can ignore this message.`
+    });
+
+    res.json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error during password reset request' });
+  }
+});
+
+// Reset a password with a code from /forgot-password
+router.post('/reset-password', [
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  body('code').trim().matches(/^\d{6}$/).withMessage('Reset code must be 6 digits'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const email = req.body.email.toLowerCase().trim();
+
+    const resetCode = await OneTimeCode.consume({
+      purpose: 'password_reset',
+      target: email,
+      code: req.body.code
+    });
+    if (!resetCode) {
+      return res.status(400).json({ message: 'Invalid or expired reset code' });
+    }
+
+    const user = await User.findById(resetCode.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Invalid or expired reset code' });
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    // Anyone holding the old password may also hold a session
+    await Session.revokeAllForUser(user._id, 'password reset');
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ message: 'Server error during password reset' });
+  }
+});
+
+// Phone login is switched off when there is no SMS gateway to send codes
+const requirePhoneLogin = (req, res, next) => {
+  if (!smsGateway.isConfigured()) {
+    return res.status(503).json({ message: 'Phone login is not available right now. Please log in with your email.' });
+  }
+  next();
+};
+
+// Request a login code by SMS (vendors only)
+router.post('/otp/request', requirePhoneLogin, [
+  body('phone').isMobilePhone().withMessage('Please provide a valid phone number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const phone = User.normalizePhone(req.body.phone);
+
+    // Same response either way so the endpoint can't be used to find accounts
+    const response = {
+      message: 'If a vendor account uses this number, a login code has been sent',
+      expiresIn: LOGIN_CODE_TTL_MINUTES * 60
+    };
+
+    const user = await User.findOne({ phone, userType: 'vendor', isActive: true });
+    if (!user) {
+      return res.json(response);
+    }
+
+    // Rate limit per phone: one code a minute and a few an hour
+    const now = Date.now();
+    const recentCodes = await OneTimeCode.find({
+      purpose: 'login',
+      target: phone,
+      createdAt: { $gt: new Date(now - 60 * 60 * 1000) }
+    })
+      .sort({ createdAt: -1 })
+      .limit(LOGIN_CODES_PER_HOUR)
+      .select('createdAt');
+
+    let retryAfterMs = 0;
+    if (recentCodes.length > 0) {
+      retryAfterMs = recentCodes[0].createdAt.getTime() + LOGIN_CODE_COOLDOWN_SECONDS * 1000 - now;
+    }
+    if (recentCodes.length >= LOGIN_CODES_PER_HOUR) {
+      const oldest = recentCodes[recentCodes.length - 1];
+      retryAfterMs = Math.max(retryAfterMs, oldest.createdAt.getTime() + 60 * 60 * 1000 - now);
+    }
+    // Don't send another code yet, and don't answer differently: only numbers
+    // with an account ever get rate limited
+    if (retryAfterMs > 0) {
+      return res.json(response);
+    }
+
+    const code = await OneTimeCode.issue({
+      user: user._id,
+      purpose: 'login',
+      target: phone,
+      ttlMinutes: LOGIN_CODE_TTL_MINUTES
+    });
+
+    await smsGateway.sendSms({
+      to: phone,
+      text: `${code} is your VendorConnect login code. It expires in ${LOGIN_CODE_TTL_MINUTES} minutes. Do not share it with anyone.`
+    });
+
+    res.json(response);
+  } catch (error) {
+    console.error('OTP request error:', error);
+    res.status(500).json({ message: 'Server error while sending login code' });
+  }
+});
+
+// Log in with a code from /otp/request
+router.post('/otp/verify', requirePhoneLogin, [
+  body('phone').isMobilePhone().withMessage('Please provide a valid phone number'),
+  body('code').trim().matches(/^\d{6}$/).withMessage('Login code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const loginCode = await OneTimeCode.consume({
+      purpose: 'login',
+      target: User.normalizePhone(req.body.phone),
+      code: req.body.code
+    });
+    if (!loginCode) {
+      return res.status(401).json({ message: 'Invalid or expired login code' });
+    }
+
+    const user = await User.findById(loginCode.user);
+    if (!user || !user.isActive || user.userType !== 'vendor') {
+      return res.status(401).json({ message: 'Invalid or expired login code' });
+    }
+
+    const tokens = await createSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        userType: user.userType,
+        isVerified: user.isVerified,
+        businessName: user.businessName,
+        companyName: user.companyName
+      }
+    });
+  } catch (error) {
+    console.error('OTP verify error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
 // Verify token
 router.get('/verify', authenticateToken, (req, res) => {
   res.json({
@@ -0,0 +1,230 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Commodity = require('../models/Commodity');
+const Product = require('../models/Product');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { commodityOffers, linkUnlinkedProducts } = require('../services/commodities');
+const { commodityPriceHistory, PRICE_HISTORY_RANGES, DEFAULT_PRICE_HISTORY_DAYS } = require('../services/priceHistory');
+const { getSearchOrigin } = require('../utils/geo');
+
+const router = express.Router();
+
+const CATEGORIES = ['vegetables', 'fruits', 'grains', 'spices', 'dairy', 'meat', 'seafood', 'oils', 'packaging', 'equipment', 'other'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// List catalogue commodities with how many active offers each has
+router.get('/', [
+  query('search').optional().isString().isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+  query('category').optional().isIn(CATEGORIES).withMessage('Invalid category'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = { isActive: true };
+    if (req.query.category) filter.category = req.query.category;
+    if (req.query.search) {
+      const regex = new RegExp(escapeRegex(req.query.search.trim()), 'i');
+      filter.$or = [{ name: regex }, { aliases: regex }];
+    }
+
+    const [commodities, total] = await Promise.all([
+      Commodity.aggregate([
+        { $match: filter },
+        { $sort: { name: 1 } },
+        { $skip: skip },
+        { $limit: limit },
+        {
+          $lookup: {
+            from: 'products',
+            let: { commodityId: '$_id' },
+            pipeline: [
+              { $match: { $expr: { $eq: ['$commodity', '$$commodityId'] }, isActive: true } },
+              { $count: 'count' }
+            ],
+            as: 'offers'
+          }
+        },
+        { $addFields: { offerCount: { $ifNull: [{ $first: '$offers.count' }, 0] } } },
+        { $project: { offers: 0 } }
+      ]),
+      Commodity.countDocuments(filter)
+    ]);
+
+    res.json({
+      commodities,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Commodities fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Compare every supplier's offer for a commodity per kg, liter or piece.
+// `quantity` (in base units) prices each offer at its bulk tier for that order.
+router.get('/:id/offers', [
+  query('quantity').optional().isFloat({ min: 0.001 }).withMessage('Quantity must be a positive number'),
+  query('sort').optional().isIn(['price', 'distance']).withMessage('Sort must be price or distance'),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('pincode').optional().matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+  query('radius').optional().isFloat({ min: 0.1, max: 500 }).withMessage('Radius must be between 0.1 and 500 km')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const commodity = await Commodity.findOne({ _id: req.params.id, isActive: true });
+    if (!commodity) {
+      return res.status(404).json({ message: 'Commodity not found' });
+    }
+
+    const origin = await getSearchOrigin(req.query);
+    if (origin === null) {
+      return res.status(400).json({ message: 'Could not locate this pincode. Please share your location instead.' });
+    }
+    if (req.query.sort === 'distance' && !origin) {
+      return res.status(400).json({ message: 'A location is required to sort by distance' });
+    }
+
+    const quantity = req.query.quantity ? parseFloat(req.query.quantity) : undefined;
+    const { offers, summary } = await commodityOffers(commodity, {
+      quantity,
+      origin,
+      radiusKm: req.query.radius ? parseFloat(req.query.radius) : undefined,
+      sort: req.query.sort
+    });
+
+    res.json({
+      commodity,
+      quantity: quantity || null,
+      origin: origin || null,
+      offers,
+      summary
+    });
+  } catch (error) {
+    console.error('Commodity offers fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Daily lowest, average and highest price per base unit across a commodity's
+// offers over the last 7, 30 or 90 days
+router.get('/:id/price-history', [
+  query('days').optional().isIn(PRICE_HISTORY_RANGES.map(String)).withMessage(`Days must be one of ${PRICE_HISTORY_RANGES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const commodity = await Commodity.findOne({ _id: req.params.id, isActive: true });
+    if (!commodity) {
+      return res.status(404).json({ message: 'Commodity not found' });
+    }
+
+    const history = await commodityPriceHistory(commodity, parseInt(req.query.days) || DEFAULT_PRICE_HISTORY_DAYS);
+
+    res.json({ commodity, ...history });
+  } catch (error) {
+    console.error('Commodity price history fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a commodity to the catalogue and link matching products (admins only)
+router.post('/', authenticateToken, requireAdmin, [
+  body('name').trim().isLength({ min: 2 }).withMessage('Commodity name must be at least 2 characters'),
+  body('category').isIn(CATEGORIES).withMessage('Invalid category'),
+  body('baseUnit').isIn(['kg', 'liter', 'piece']).withMessage('Base unit must be kg, liter or piece'),
+  body('aliases').optional().isArray().withMessage('Aliases must be a list'),
+  body('aliases.*').isString().trim().notEmpty().withMessage('Aliases must be non-empty text')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, category, baseUnit, aliases } = req.body;
+
+    if (await Commodity.exists({ name })) {
+      return res.status(409).json({ message: 'A commodity with this name already exists' });
+    }
+
+    const commodity = await Commodity.create({ name, category, baseUnit, aliases });
+    const linkedProducts = await linkUnlinkedProducts();
+
+    res.status(201).json({
+      message: 'Commodity created successfully',
+      commodity,
+      linkedProducts
+    });
+  } catch (error) {
+    console.error('Commodity creation error:', error);
+    res.status(500).json({ message: 'Server error during commodity creation' });
+  }
+});
+
+// Update a commodity (admins only)
+router.put('/:id', authenticateToken, requireAdmin, [
+  body('name').optional().trim().isLength({ min: 2 }).withMessage('Commodity name must be at least 2 characters'),
+  body('category').optional().isIn(CATEGORIES).withMessage('Invalid category'),
+  body('baseUnit').optional().isIn(['kg', 'liter', 'piece']).withMessage('Base unit must be kg, liter or piece'),
+  body('aliases').optional().isArray().withMessage('Aliases must be a list'),
+  body('aliases.*').isString().trim().notEmpty().withMessage('Aliases must be non-empty text'),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const commodity = await Commodity.findById(req.params.id);
+    if (!commodity) {
+      return res.status(404).json({ message: 'Commodity not found' });
+    }
+
+    ['name', 'category', 'baseUnit', 'aliases', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        commodity[field] = req.body[field];
+      }
+    });
+    await commodity.save();
+
+    // New aliases may match products that weren't linked before
+    const linkedProducts = await linkUnlinkedProducts();
+    const products = await Product.countDocuments({ commodity: commodity._id });
+
+    res.json({
+      message: 'Commodity updated successfully',
+      commodity,
+      products,
+      linkedProducts
+    });
+  } catch (error) {
+    console.error('Commodity update error:', error);
+    res.status(500).json({ message: 'Server error during commodity update' });
+  }
+});
+
+module.exports = router;
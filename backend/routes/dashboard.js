@@ -0,0 +1,173 @@
+const express = require('express');
+const Order = require('../models/Order');
+const GroupOrder = require('../models/GroupOrder');
+const Product = require('../models/Product');
+const { authenticateToken, requireVendor, requireSupplier } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Start of the current and previous calendar months
+const getMonthBoundaries = () => {
+  const now = new Date();
+  return {
+    currentMonthStart: new Date(now.getFullYear(), now.getMonth(), 1),
+    previousMonthStart: new Date(now.getFullYear(), now.getMonth() - 1, 1)
+  };
+};
+
+// Month-over-month trend for a figure
+const buildTrend = (current, previous) => {
+  const change = previous === 0
+    ? (current === 0 ? 0 : 100)
+    : Math.round(((current - previous) / previous) * 100);
+
+  return { current, previous, change };
+};
+
+// Label a date field as belonging to the current or previous month
+const periodOf = (field, currentMonthStart) => ({
+  $cond: [{ $gte: [field, currentMonthStart] }, 'current', 'previous']
+});
+
+// Turn [{ _id: 'current', ... }, { _id: 'previous', ... }] into a lookup
+const byPeriod = (results) => {
+  const periods = { current: {}, previous: {} };
+  results.forEach(result => {
+    periods[result._id] = result;
+  });
+  return periods;
+};
+
+// Vendor dashboard figures
+router.get('/vendor', authenticateToken, requireVendor, async (req, res) => {
+  try {
+    const vendorId = req.user._id;
+    const { currentMonthStart, previousMonthStart } = getMonthBoundaries();
+
+    const activeOrders = await Order.countDocuments({
+      vendor: vendorId,
+      status: { $nin: ['delivered', 'cancelled'] }
+    });
+
+    const groupOrders = await GroupOrder.countDocuments({
+      'participants.vendor': vendorId,
+      status: { $in: ['active', 'target_reached', 'ordered'] }
+    });
+
+    const orderTotals = await Order.aggregate([
+      { $match: { vendor: vendorId, status: { $ne: 'cancelled' }, createdAt: { $gte: previousMonthStart } } },
+      {
+        $group: {
+          _id: periodOf('$createdAt', currentMonthStart),
+          orders: { $sum: 1 },
+          spend: { $sum: '$finalAmount' },
+          // Group order savings are counted from the group itself below
+          savings: { $sum: { $cond: [{ $eq: ['$orderType', 'individual'] }, '$discountAmount', 0] } }
+        }
+      }
+    ]);
+
+    // Savings from group orders: list price minus the pooled price, per kg pledged.
+    // Only groups that were ordered count; an open group can still be
+    // cancelled or re-priced at its deadline.
+    const groupSavings = await GroupOrder.aggregate([
+      { $match: { 'participants.vendor': vendorId, status: { $in: ['ordered', 'delivered'] } } },
+      { $unwind: '$participants' },
+      { $match: { 'participants.vendor': vendorId, 'participants.joinedAt': { $gte: previousMonthStart } } },
+      { $lookup: { from: 'products', localField: 'product', foreignField: '_id', as: 'product' } },
+      { $unwind: '$product' },
+      {
+        $group: {
+          _id: periodOf('$participants.joinedAt', currentMonthStart),
+          savings: {
+            $sum: {
+              $multiply: [
+                '$participants.quantity',
+                { $max: [0, { $subtract: ['$product.price', '$pricePerUnit'] }] }
+              ]
+            }
+          }
+        }
+      }
+    ]);
+
+    const orders = byPeriod(orderTotals);
+    const groups = byPeriod(groupSavings);
+
+    const savingsFor = (period) => (orders[period].savings || 0) + (groups[period].savings || 0);
+
+    res.json({
+      stats: {
+        activeOrders,
+        groupOrders,
+        totalSavings: savingsFor('current'),
+        monthlySpend: orders.current.spend || 0
+      },
+      trends: {
+        ordersPlaced: buildTrend(orders.current.orders || 0, orders.previous.orders || 0),
+        totalSavings: buildTrend(savingsFor('current'), savingsFor('previous')),
+        monthlySpend: buildTrend(orders.current.spend || 0, orders.previous.spend || 0)
+      }
+    });
+  } catch (error) {
+    console.error('Vendor dashboard fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Supplier dashboard figures
+router.get('/supplier', authenticateToken, requireSupplier, async (req, res) => {
+  try {
+    const supplierId = req.user._id;
+    const { currentMonthStart, previousMonthStart } = getMonthBoundaries();
+
+    const productsListed = await Product.countDocuments({ supplier: supplierId, isActive: true });
+
+    const pendingOrders = await Order.countDocuments({
+      supplier: supplierId,
+      status: { $in: ['pending', 'confirmed', 'processing'] }
+    });
+
+    const revenueTotals = await Order.aggregate([
+      { $match: { supplier: supplierId, status: 'delivered', actualDeliveryDate: { $gte: previousMonthStart } } },
+      {
+        $group: {
+          _id: periodOf('$actualDeliveryDate', currentMonthStart),
+          revenue: { $sum: '$finalAmount' }
+        }
+      }
+    ]);
+
+    const vendorTotals = await Order.aggregate([
+      { $match: { supplier: supplierId, status: { $ne: 'cancelled' }, createdAt: { $gte: previousMonthStart } } },
+      {
+        $group: {
+          _id: periodOf('$createdAt', currentMonthStart),
+          vendors: { $addToSet: '$vendor' }
+        }
+      },
+      { $project: { activeVendors: { $size: '$vendors' } } }
+    ]);
+
+    const revenue = byPeriod(revenueTotals);
+    const vendors = byPeriod(vendorTotals);
+
+    res.json({
+      stats: {
+        productsListed,
+        pendingOrders,
+        monthlyRevenue: revenue.current.revenue || 0,
+        activeVendors: vendors.current.activeVendors || 0
+      },
+      trends: {
+        monthlyRevenue: buildTrend(revenue.current.revenue || 0, revenue.previous.revenue || 0),
+        activeVendors: buildTrend(vendors.current.activeVendors || 0, vendors.previous.activeVendors || 0)
+      }
+    });
+  } catch (error) {
+    console.error('Supplier dashboard fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
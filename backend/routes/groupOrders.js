@@ -0,0 +1,639 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const GroupOrder = require('../models/GroupOrder');
+const Product = require('../models/Product');
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+const { authenticateToken, requireVendor } = require('../middleware/auth');
+const { emitGroupOrderEvent, emitToGroupOrderMembers } = require('../services/realtime');
+const escrow = require('../services/escrow');
+const paymentProvider = require('../services/paymentProvider');
+
+const router = express.Router();
+
+// Fields populated whenever a group order is returned
+const populateGroupOrder = (queryOrDoc) => {
+  return queryOrDoc.populate([
+    { path: 'product', select: 'name price unit category bulkDiscounts supplier commodity' },
+    { path: 'creator', select: 'name businessName' },
+    { path: 'participants.vendor', select: 'name businessName' }
+  ]);
+};
+
+// Get all group orders with filtering and pagination
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['active', 'target_reached', 'ordered', 'delivered', 'cancelled']),
+  query('product').optional().isMongoId().withMessage('Invalid product ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Only open groups are listed unless a status is asked for
+    const filter = {};
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    } else {
+      filter.status = { $in: ['active', 'target_reached'] };
+      filter.deadline = { $gt: new Date() };
+    }
+
+    if (req.query.product) {
+      filter.product = req.query.product;
+    }
+
+    const groupOrders = await populateGroupOrder(
+      GroupOrder.find(filter)
+        .select('-chatMessages')
+        .sort({ deadline: 1 })
+        .skip(skip)
+        .limit(limit)
+    );
+
+    const total = await GroupOrder.countDocuments(filter);
+
+    res.json({
+      groupOrders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Group orders fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get group orders the current user created or joined
+router.get('/my/groups', authenticateToken, async (req, res) => {
+  try {
+    const groupOrders = await populateGroupOrder(
+      GroupOrder.find({
+        $or: [
+          { creator: req.user._id },
+          { 'participants.vendor': req.user._id }
+        ]
+      })
+        .select('-chatMessages')
+        .sort({ createdAt: -1 })
+    );
+
+    const unreadCounts = await GroupOrder.unreadCounts(req.user._id, groupOrders.map(g => g._id));
+
+    res.json({
+      groupOrders: groupOrders.map(groupOrder => ({
+        ...groupOrder.toJSON(),
+        unreadCount: unreadCounts.get(groupOrder._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('My group orders fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get unread chat message counts across my group orders
+router.get('/my/unread', authenticateToken, async (req, res) => {
+  try {
+    const groupOrders = await GroupOrder.find({
+      $or: [
+        { creator: req.user._id },
+        { 'participants.vendor': req.user._id }
+      ]
+    }).select('_id');
+
+    const unreadCounts = await GroupOrder.unreadCounts(req.user._id, groupOrders.map(g => g._id));
+    const groups = Object.fromEntries(unreadCounts);
+    const total = Object.values(groups).reduce((sum, count) => sum + count, 0);
+
+    res.json({ total, groups });
+  } catch (error) {
+    console.error('Unread count fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single group order by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const groupOrder = await populateGroupOrder(
+      GroupOrder.findById(req.params.id).select('-chatMessages')
+    );
+
+    if (!groupOrder) {
+      return res.status(404).json({ message: 'Group order not found' });
+    }
+
+    res.json({ groupOrder });
+  } catch (error) {
+    console.error('Group order fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create new group order (vendors only)
+router.post('/', authenticateToken, requireVendor, [
+  body('title').trim().isLength({ min: 3 }).withMessage('Title must be at least 3 characters'),
+  body('description').trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
+  body('product').isMongoId().withMessage('Valid product ID is required'),
+  body('targetQuantity').isInt({ min: 1 }).withMessage('Target quantity must be at least 1'),
+  body('maxParticipants').optional().isInt({ min: 2, max: 50 }).withMessage('Maximum participants must be between 2 and 50'),
+  body('deadline').isISO8601().withMessage('Deadline must be a valid date'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('shortfallPolicy').optional().isIn(['cancel', 'fulfil_partial']).withMessage('Shortfall policy must be cancel or fulfil_partial')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, description, targetQuantity, maxParticipants, deadline, deliveryLocation, notes, quantity, shortfallPolicy } = req.body;
+
+    if (new Date(deadline) <= new Date()) {
+      return res.status(400).json({ message: 'Deadline must be in the future' });
+    }
+
+    const product = await Product.findById(req.body.product);
+    if (!product || !product.isActive) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const groupOrder = new GroupOrder({
+      title,
+      description,
+      product: product._id,
+      creator: req.user._id,
+      targetQuantity,
+      maxParticipants,
+      deadline,
+      shortfallPolicy,
+      deliveryLocation,
+      notes
+    });
+
+    // The creator can pledge their own quantity up front
+    if (quantity) {
+      groupOrder.addParticipant(req.user._id, parseInt(quantity));
+    }
+    groupOrder.applyTierPricing(product);
+
+    await groupOrder.save();
+    await populateGroupOrder(groupOrder);
+
+    res.status(201).json({
+      message: 'Group order created successfully',
+      groupOrder
+    });
+  } catch (error) {
+    console.error('Group order creation error:', error);
+    res.status(500).json({ message: 'Server error during group order creation' });
+  }
+});
+
+// Join a group order, or add to an existing pledge (vendors only)
+router.post('/:id/join', authenticateToken, requireVendor, [
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const groupOrder = await GroupOrder.findById(req.params.id);
+
+    if (!groupOrder) {
+      return res.status(404).json({ message: 'Group order not found' });
+    }
+
+    if (!['active', 'target_reached'].includes(groupOrder.status)) {
+      return res.status(400).json({ message: 'This group order is no longer accepting participants' });
+    }
+
+    if (groupOrder.deadline <= new Date()) {
+      return res.status(400).json({ message: 'The deadline for this group order has passed' });
+    }
+
+    const isParticipant = groupOrder.participants.some(p => p.vendor.toString() === req.user._id.toString());
+    if (!isParticipant && groupOrder.participants.length >= groupOrder.maxParticipants) {
+      return res.status(400).json({ message: 'This group order is full' });
+    }
+
+    const product = await Product.findById(groupOrder.product);
+    if (!product || !product.isActive) {
+      return res.status(400).json({ message: 'This product is no longer available' });
+    }
+
+    const quantity = parseInt(req.body.quantity);
+    const previousStatus = groupOrder.status;
+    const previousPrice = groupOrder.pricePerUnit;
+
+    // The checks above are repeated inside the update, which is what makes
+    // them hold when vendors join at the same moment
+    const joined = await GroupOrder.join(groupOrder._id, req.user._id, quantity);
+    if (!joined) {
+      return res.status(409).json({ message: 'This group order has just filled up or closed' });
+    }
+
+    await joined.savePricing(product);
+    await escrow.refreshPaymentStatus(joined);
+    await populateGroupOrder(joined);
+
+    const io = req.app.get('io');
+    const vendor = { id: req.user._id, name: req.user.businessName || req.user.name };
+    emitGroupOrderEvent(io, isParticipant ? 'quantity-changed' : 'joined', joined, { vendor, quantity });
+    if (joined.pricePerUnit !== previousPrice) {
+      emitGroupOrderEvent(io, 'price-changed', joined, { previousPrice });
+    }
+    if (previousStatus === 'active' && joined.status === 'target_reached') {
+      emitGroupOrderEvent(io, 'target-reached', joined);
+    }
+
+    res.json({
+      message: 'Joined group order successfully',
+      groupOrder: joined
+    });
+  } catch (error) {
+    console.error('Group order join error:', error);
+    res.status(500).json({ message: 'Server error while joining group order' });
+  }
+});
+
+// Leave a group order (vendors only)
+router.post('/:id/leave', authenticateToken, requireVendor, async (req, res) => {
+  try {
+    const groupOrder = await GroupOrder.findById(req.params.id);
+
+    if (!groupOrder) {
+      return res.status(404).json({ message: 'Group order not found' });
+    }
+
+    if (!['active', 'target_reached'].includes(groupOrder.status)) {
+      return res.status(400).json({ message: 'You can no longer leave this group order' });
+    }
+
+    // Once the deadline passes the group is being closed
+    if (groupOrder.deadline <= new Date()) {
+      return res.status(400).json({ message: 'The deadline for this group order has passed' });
+    }
+
+    const participant = groupOrder.participants.find(p => p.vendor.toString() === req.user._id.toString());
+    if (!participant) {
+      return res.status(400).json({ message: 'You are not part of this group order' });
+    }
+
+    const product = await Product.findById(groupOrder.product);
+    const previousPrice = groupOrder.pricePerUnit;
+
+    // Removed in one conditional update, so a join at the same moment isn't lost
+    const left = await GroupOrder.leave(groupOrder._id, req.user._id, participant.quantity);
+    if (!left) {
+      return res.status(409).json({ message: 'This group order has just changed. Please refresh and try again.' });
+    }
+    // A withdrawn product keeps its last price; there is nothing to reprice from
+    if (product) {
+      await left.savePricing(product);
+    }
+
+    // Give back whatever the vendor already paid into escrow
+    const refunds = await escrow.refundVendor(left._id, req.user._id, 'Left the group order');
+    await escrow.refreshPaymentStatus(left);
+    await populateGroupOrder(left);
+
+    const io = req.app.get('io');
+    emitGroupOrderEvent(io, 'left', left, {
+      vendor: { id: req.user._id, name: req.user.businessName || req.user.name }
+    });
+    if (left.pricePerUnit !== previousPrice) {
+      emitGroupOrderEvent(io, 'price-changed', left, { previousPrice });
+    }
+
+    res.json({
+      message: 'Left group order successfully',
+      groupOrder: left,
+      refunds
+    });
+  } catch (error) {
+    console.error('Group order leave error:', error);
+    res.status(500).json({ message: 'Server error while leaving group order' });
+  }
+});
+
+// Cancel a group order (creator only)
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const groupOrder = await GroupOrder.findById(req.params.id);
+
+    if (!groupOrder) {
+      return res.status(404).json({ message: 'Group order not found' });
+    }
+
+    if (groupOrder.creator.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to cancel this group order' });
+    }
+
+    if (!['active', 'target_reached'].includes(groupOrder.status)) {
+      return res.status(400).json({ message: `Cannot cancel a group order that is ${groupOrder.status}` });
+    }
+
+    if (groupOrder.deadline <= new Date()) {
+      return res.status(400).json({ message: 'The deadline for this group order has passed' });
+    }
+
+    // Conditional on the group still being open, so it can't race the
+    // scheduler closing it at the deadline
+    const cancelled = await GroupOrder.cancel(groupOrder._id, req.user._id);
+    if (!cancelled) {
+      return res.status(409).json({ message: 'This group order has just closed' });
+    }
+    await escrow.refundGroupOrder(cancelled, 'Group order cancelled by its creator');
+
+    emitGroupOrderEvent(req.app.get('io'), 'cancelled', cancelled);
+
+    await populateGroupOrder(cancelled);
+
+    res.json({
+      message: 'Group order cancelled successfully',
+      groupOrder: cancelled
+    });
+  } catch (error) {
+    console.error('Group order cancellation error:', error);
+    res.status(500).json({ message: 'Server error during group order cancellation' });
+  }
+});
+
+// Page through a group order's chat, newest first (members only)
+router.get('/:id/messages', authenticateToken, [
+  query('before').optional().isISO8601().withMessage('Before must be a date'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const groupOrder = await GroupOrder.findById(req.params.id).select('creator participants.vendor chatMessages');
+
+    if (!groupOrder) {
+      return res.status(404).json({ message: 'Group order not found' });
+    }
+
+    if (!groupOrder.isMember(req.user._id)) {
+      return res.status(403).json({ message: 'Only members of this group order can read its chat' });
+    }
+
+    const limit = parseInt(req.query.limit) || 30;
+    const before = req.query.before ? new Date(req.query.before) : null;
+
+    const earlier = groupOrder.chatMessages
+      .filter(m => !before || m.timestamp < before)
+      .sort((a, b) => a.timestamp - b.timestamp);
+    const page = earlier.slice(-limit).map(m => m.toObject());
+
+    // Oldest first within the page, ready to display
+    const messages = await GroupOrder.populate(page, { path: 'sender', model: 'User', select: 'name businessName' });
+
+    res.json({
+      messages,
+      hasMore: earlier.length > page.length
+    });
+  } catch (error) {
+    console.error('Group chat fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Post a chat message (members only)
+router.post('/:id/messages', authenticateToken, [
+  body('message').trim().isLength({ min: 1, max: 1000 }).withMessage('Message must be between 1 and 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const groupOrder = await GroupOrder.findById(req.params.id);
+
+    if (!groupOrder) {
+      return res.status(404).json({ message: 'Group order not found' });
+    }
+
+    if (!groupOrder.isMember(req.user._id)) {
+      return res.status(403).json({ message: 'Only members of this group order can chat' });
+    }
+
+    const chatMessage = await GroupOrder.postMessage(groupOrder._id, req.user._id, req.body.message);
+    if (!chatMessage) {
+      return res.status(409).json({ message: 'This group order is no longer taking messages' });
+    }
+    await GroupOrder.markChatRead(groupOrder._id, req.user._id, chatMessage.timestamp);
+
+    const message = {
+      ...chatMessage,
+      sender: {
+        _id: req.user._id,
+        name: req.user.name,
+        businessName: req.user.businessName
+      }
+    };
+
+    await emitToGroupOrderMembers(req.app.get('io'), groupOrder, 'group-order:message', {
+      groupOrderId: groupOrder._id.toString(),
+      message
+    });
+
+    res.status(201).json({
+      message: 'Message sent',
+      chatMessage: message
+    });
+  } catch (error) {
+    console.error('Group chat post error:', error);
+    res.status(500).json({ message: 'Server error while sending message' });
+  }
+});
+
+// Mark a group order's chat as read (members only)
+router.post('/:id/messages/read', authenticateToken, async (req, res) => {
+  try {
+    const groupOrder = await GroupOrder.findById(req.params.id).select('creator participants.vendor');
+
+    if (!groupOrder) {
+      return res.status(404).json({ message: 'Group order not found' });
+    }
+
+    if (!groupOrder.isMember(req.user._id)) {
+      return res.status(403).json({ message: 'Only members of this group order can read its chat' });
+    }
+
+    await GroupOrder.markChatRead(groupOrder._id, req.user._id);
+
+    res.json({ message: 'Chat marked as read', unreadCount: 0 });
+  } catch (error) {
+    console.error('Group chat read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pay your share of a group order into escrow (participants only)
+router.post('/:id/payments', authenticateToken, requireVendor, [
+  body('method').isIn(['upi', 'card', 'bank_transfer']).withMessage('Invalid payment method'),
+  body('payerReference').optional().trim().isLength({ max: 100 }).withMessage('Payer reference is too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!paymentProvider.isConfigured()) {
+      return res.status(503).json({ message: 'Online payments are not available right now' });
+    }
+
+    const groupOrder = await GroupOrder.findById(req.params.id).select('-chatMessages');
+
+    if (!groupOrder) {
+      return res.status(404).json({ message: 'Group order not found' });
+    }
+
+    if (!['active', 'target_reached', 'ordered'].includes(groupOrder.status)) {
+      return res.status(400).json({ message: `Cannot pay for a group order that is ${groupOrder.status}` });
+    }
+
+    const isParticipant = groupOrder.participants.some(p => p.vendor.toString() === req.user._id.toString());
+    if (!isParticipant) {
+      return res.status(400).json({ message: 'You are not part of this group order' });
+    }
+
+    // Claim the share before working out what is owed, so two requests at
+    // once can't both charge for it
+    const claimed = await GroupOrder.claimPayment(groupOrder._id, req.user._id);
+    if (!claimed) {
+      return res.status(409).json({ message: 'A payment for your share is already in progress' });
+    }
+
+    try {
+      // Paying after the group closed settles the vendor's supplier order,
+      // so there has to be a live one before any money is taken
+      let order = null;
+      if (claimed.status === 'ordered') {
+        order = await Order.findOne({ groupOrder: claimed._id, vendor: req.user._id });
+        if (!order || order.status === 'cancelled') {
+          return res.status(400).json({ message: 'Your order for this group has been cancelled' });
+        }
+      }
+
+      const ledger = await Payment.ledgerFor(claimed._id);
+      const entry = ledger.get(req.user._id.toString());
+      const paid = entry ? entry.collected - entry.refunded : 0;
+      const amount = Math.round((escrow.amountDue(claimed, req.user._id) - paid) * 100) / 100;
+
+      if (amount <= 0) {
+        return res.status(400).json({ message: 'Your share is already paid' });
+      }
+
+      const payment = await escrow.collect({
+        groupOrder: claimed,
+        vendorId: req.user._id,
+        amount,
+        method: req.body.method,
+        payerReference: req.body.payerReference
+      });
+
+      if (payment.status === 'failed') {
+        return res.status(402).json({
+          message: payment.failureReason || 'Payment failed',
+          payment
+        });
+      }
+
+      if (order) {
+        await escrow.settleAtClose(claimed, [order]);
+      }
+
+      res.status(201).json({
+        message: 'Payment received and held in escrow',
+        payment,
+        paymentStatus: claimed.paymentStatus
+      });
+    } finally {
+      await GroupOrder.releasePaymentClaim(claimed._id, req.user._id);
+    }
+  } catch (error) {
+    console.error('Group order payment error:', error);
+    res.status(500).json({ message: 'Server error while taking payment' });
+  }
+});
+
+// Escrow ledger for a group order. Participants see their own payments;
+// the creator and the supplier see everyone's.
+router.get('/:id/payments', authenticateToken, async (req, res) => {
+  try {
+    const groupOrder = await GroupOrder.findById(req.params.id)
+      .select('-chatMessages')
+      .populate('product', 'supplier');
+
+    if (!groupOrder) {
+      return res.status(404).json({ message: 'Group order not found' });
+    }
+
+    const userId = req.user._id.toString();
+    const seesAll = groupOrder.creator.toString() === userId ||
+      groupOrder.product.supplier.toString() === userId;
+    const isParticipant = groupOrder.participants.some(p => p.vendor.toString() === userId);
+
+    if (!seesAll && !isParticipant) {
+      return res.status(403).json({ message: 'Not authorized to view these payments' });
+    }
+
+    const filter = { groupOrder: groupOrder._id };
+    if (!seesAll) filter.vendor = req.user._id;
+
+    const payments = await Payment.find(filter)
+      .populate('vendor', 'name businessName')
+      .sort({ createdAt: -1 });
+
+    const ledger = await Payment.ledgerFor(groupOrder._id);
+    const totals = { collected: 0, refunded: 0, released: 0, held: 0 };
+    ledger.forEach((entry, vendorId) => {
+      if (!seesAll && vendorId !== userId) return;
+      Object.keys(totals).forEach(key => {
+        totals[key] = Math.round((totals[key] + entry[key]) * 100) / 100;
+      });
+    });
+
+    const mine = ledger.get(userId);
+    const due = escrow.amountDue(groupOrder, userId);
+    const paid = mine ? Math.round((mine.collected - mine.refunded) * 100) / 100 : 0;
+
+    res.json({
+      paymentStatus: groupOrder.paymentStatus,
+      totals,
+      share: isParticipant ? {
+        due,
+        paid,
+        outstanding: Math.max(Math.round((due - paid) * 100) / 100, 0)
+      } : null,
+      payments
+    });
+  } catch (error) {
+    console.error('Group order payments fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
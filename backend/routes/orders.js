@@ -0,0 +1,383 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { authenticateToken, requireVendor, requireSupplier } = require('../middleware/auth');
+const escrow = require('../services/escrow');
+const { requestUpiPayment } = require('../services/upiPayments');
+const { checkStockLevels } = require('../services/stockAlerts');
+const { refreshReputation } = require('../services/reputation');
+
+const router = express.Router();
+
+// Fields populated whenever an order is returned. Passed as one list:
+// a document's populate() returns a promise, so calls can't be chained on it.
+const populateOrder = (queryOrDoc) => {
+  return queryOrDoc.populate([
+    { path: 'vendor', select: 'name businessName phone' },
+    { path: 'supplier', select: 'name companyName phone' },
+    { path: 'items.product', select: 'name unit category' }
+  ]);
+};
+
+// Check whether the user is the vendor or supplier on an order
+const isOrderParty = (order, userId) => {
+  const id = userId.toString();
+  const vendorId = order.vendor._id ? order.vendor._id.toString() : order.vendor.toString();
+  const supplierId = order.supplier._id ? order.supplier._id.toString() : order.supplier.toString();
+  return vendorId === id || supplierId === id;
+};
+
+// Get my orders (vendors see orders placed, suppliers see orders received)
+router.get('/', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = req.user.userType === 'supplier'
+      ? { supplier: req.user._id }
+      : { vendor: req.user._id };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const orders = await populateOrder(
+      Order.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+    );
+
+    const total = await Order.countDocuments(filter);
+
+    res.json({
+      orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Orders fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get single order by ID (vendor or supplier on the order only)
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const order = await populateOrder(Order.findById(req.params.id));
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (!isOrderParty(order, req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to view this order' });
+    }
+
+    res.json({ order });
+  } catch (error) {
+    console.error('Order fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a UPI payment request (deep link / QR payload) for an order (the ordering vendor only)
+router.post('/:id/upi-request', authenticateToken, requireVendor, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.vendor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to pay for this order' });
+    }
+
+    if (order.orderType === 'group') {
+      return res.status(400).json({ message: 'Pay for group orders from the group order' });
+    }
+
+    if (order.status === 'cancelled') {
+      return res.status(400).json({ message: 'This order has been cancelled' });
+    }
+
+    if (['paid', 'refunded'].includes(order.paymentStatus)) {
+      return res.status(400).json({ message: `This order is already ${order.paymentStatus}` });
+    }
+
+    const upiRequest = await requestUpiPayment(order);
+    if (!upiRequest) {
+      return res.status(400).json({ message: 'This supplier has not set up UPI payments yet' });
+    }
+
+    res.json({ upiRequest });
+  } catch (error) {
+    console.error('UPI request error:', error);
+    res.status(500).json({ message: 'Server error while creating the payment request' });
+  }
+});
+
+// Place an individual order (vendors only)
+router.post('/', authenticateToken, requireVendor, [
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('paymentMethod').optional().isIn(['cash', 'upi', 'card', 'bank_transfer']),
+  body('expectedDeliveryDate').optional().isISO8601().withMessage('Expected delivery date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { deliveryAddress, expectedDeliveryDate, paymentMethod, notes } = req.body;
+
+    const productIds = req.body.items.map(item => item.product);
+    const products = await Product.find({ _id: { $in: productIds }, isActive: true });
+
+    if (products.length !== new Set(productIds).size) {
+      return res.status(404).json({ message: 'One or more products were not found' });
+    }
+
+    // An order goes to a single supplier
+    const supplierIds = new Set(products.map(p => p.supplier.toString()));
+    if (supplierIds.size > 1) {
+      return res.status(400).json({ message: 'All items in an order must be from the same supplier' });
+    }
+
+    const items = [];
+    let totalAmount = 0;
+    let discountAmount = 0;
+
+    for (const item of req.body.items) {
+      const product = products.find(p => p._id.toString() === item.product);
+      const quantity = parseInt(item.quantity);
+
+      if (quantity < product.minimumOrderQuantity) {
+        return res.status(400).json({
+          message: `Minimum order quantity for ${product.name} is ${product.minimumOrderQuantity} ${product.unit}`
+        });
+      }
+
+      const unitPrice = product.getBulkPrice(quantity);
+      const discountApplied = product.price - unitPrice;
+
+      items.push({
+        product: product._id,
+        quantity,
+        unitPrice,
+        totalPrice: unitPrice * quantity,
+        discountApplied
+      });
+
+      totalAmount += product.price * quantity;
+      discountAmount += discountApplied * quantity;
+    }
+
+    const order = new Order({
+      vendor: req.user._id,
+      supplier: products[0].supplier,
+      orderType: 'individual',
+      items,
+      totalAmount,
+      discountAmount,
+      finalAmount: totalAmount - discountAmount,
+      paymentMethod,
+      deliveryAddress: deliveryAddress || req.user.address,
+      expectedDeliveryDate,
+      notes: { vendorNotes: notes }
+    });
+
+    // Hold the stock for this order; fails if another order got there first
+    const shortItem = await Product.reserveStock(items);
+    if (shortItem) {
+      const product = await Product.findById(shortItem.product).select('name unit availableQuantity');
+      return res.status(409).json({
+        message: `Only ${product.availableQuantity} ${product.unit} of ${product.name} left in stock`
+      });
+    }
+    order.stockStatus = 'reserved';
+
+    order.addTrackingUpdate('pending', 'Order placed by vendor');
+    try {
+      await order.save();
+    } catch (error) {
+      await Product.releaseStock(items);
+      throw error;
+    }
+    await checkStockLevels(items.map(item => item.product));
+    await populateOrder(order);
+
+    res.status(201).json({
+      message: 'Order placed successfully',
+      order
+    });
+  } catch (error) {
+    console.error('Order creation error:', error);
+    res.status(500).json({ message: 'Server error during order creation' });
+  }
+});
+
+// Move an order forward through its lifecycle (suppliers only, own orders)
+router.put('/:id/status', authenticateToken, requireSupplier, [
+  body('status').isIn(['confirmed', 'processing', 'shipped', 'delivered']).withMessage('Invalid order status'),
+  body('message').optional().trim(),
+  body('location').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.supplier.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to update this order' });
+    }
+
+    const { status, message, location, trackingNumber, carrier, supplierNotes } = req.body;
+
+    if (!order.canTransitionTo(status)) {
+      return res.status(400).json({ message: `Cannot change order status from ${order.status} to ${status}` });
+    }
+
+    const set = {};
+
+    if (status === 'shipped') {
+      if (trackingNumber) set['trackingInfo.trackingNumber'] = trackingNumber;
+      if (carrier) set['trackingInfo.carrier'] = carrier;
+    }
+
+    if (status === 'delivered') {
+      set.actualDeliveryDate = new Date();
+    }
+
+    if (supplierNotes !== undefined) {
+      set['notes.supplierNotes'] = supplierNotes;
+    }
+
+    const updated = await Order.transition(
+      { _id: order._id, supplier: req.user._id },
+      status,
+      { set, message: message || `Order ${status}`, location }
+    );
+    if (!updated) {
+      return res.status(409).json({ message: 'This order has just changed. Please refresh and try again.' });
+    }
+
+    if (status === 'delivered') {
+      await updated.settleStock('fulfilled');
+      await refreshReputation(updated.supplier);
+    }
+
+    // Group order shares are held in escrow until delivery
+    if (status === 'delivered' && updated.groupOrder) {
+      await escrow.releaseForOrder(updated);
+    }
+    await populateOrder(updated);
+
+    res.json({
+      message: 'Order status updated successfully',
+      order: updated
+    });
+  } catch (error) {
+    console.error('Order status update error:', error);
+    res.status(500).json({ message: 'Server error during order status update' });
+  }
+});
+
+// Cancel an order (vendor or supplier on the order)
+router.put('/:id/cancel', authenticateToken, [
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (!isOrderParty(order, req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to cancel this order' });
+    }
+
+    if (!order.canTransitionTo('cancelled')) {
+      return res.status(400).json({ message: `Cannot cancel an order that is ${order.status}` });
+    }
+
+    const cancelledBy = req.user.userType === 'supplier' ? 'supplier' : 'vendor';
+    const reason = req.body.reason ? `: ${req.body.reason}` : '';
+
+    const cancelled = await Order.transition({ _id: order._id }, 'cancelled', {
+      set: { cancelledBy },
+      message: `Order cancelled by ${cancelledBy}${reason}`
+    });
+    if (!cancelled) {
+      return res.status(409).json({ message: 'This order has just changed. Please refresh and try again.' });
+    }
+
+    if (await cancelled.settleStock('released')) {
+      await checkStockLevels(cancelled.items.map(item => item.product));
+    }
+
+    // Refund the vendor's escrowed share of a group order
+    if (cancelled.groupOrder) {
+      const refunds = await escrow.refundVendor(cancelled.groupOrder, cancelled.vendor, `Order cancelled by ${cancelledBy}`);
+      if (refunds.length > 0) {
+        // A refund the provider declined is left pending to try again
+        cancelled.paymentStatus = refunds.every(refund => refund.status === 'succeeded') ? 'refunded' : 'refund_pending';
+        await Order.updateOne({ _id: cancelled._id }, { paymentStatus: cancelled.paymentStatus });
+      }
+    } else if (cancelled.paymentStatus === 'paid') {
+      // Paid directly to the supplier, so there is nothing to refund from
+      // here; flag it so the supplier refunds the vendor
+      const flagged = await Order.findOneAndUpdate(
+        { _id: cancelled._id, paymentStatus: 'paid' },
+        {
+          $set: { paymentStatus: 'refund_pending' },
+          $push: { 'trackingInfo.updates': { status: 'cancelled', message: `Order was paid (ref ${cancelled.paymentReference || 'none'}); refund ₹${cancelled.finalAmount} to the vendor` } }
+        },
+        { new: true }
+      );
+      if (flagged) {
+        console.error(`Paid order ${flagged.orderNumber} was cancelled and needs a refund`);
+        cancelled.paymentStatus = flagged.paymentStatus;
+        cancelled.trackingInfo = flagged.trackingInfo;
+      }
+    }
+    await refreshReputation(cancelled.supplier);
+    await populateOrder(cancelled);
+
+    res.json({
+      message: 'Order cancelled successfully',
+      order: cancelled
+    });
+  } catch (error) {
+    console.error('Order cancellation error:', error);
+    res.status(500).json({ message: 'Server error during order cancellation' });
+  }
+});
+
+module.exports = router;
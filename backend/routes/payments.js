@@ -0,0 +1,77 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireSupplier } = require('../middleware/auth');
+const { verifyCallbackSignature, recordUpiResult } = require('../services/upiPayments');
+const { statementColumns, reconcileStatement } = require('../services/reconciliation');
+const { parseCsv } = require('../utils/csv');
+
+const router = express.Router();
+
+// UPI payment result from the payment gateway, signed with UPI_WEBHOOK_SECRET
+// in the X-UPI-Signature header (`npm run simulate-upi` sends one locally)
+router.post('/upi/callback', [
+  body('reference').trim().notEmpty().withMessage('Reference is required'),
+  body('status').isIn(['SUCCESS', 'FAILURE']).withMessage('Status must be SUCCESS or FAILURE'),
+  body('amount').isFloat({ min: 0 }).withMessage('Amount must be a number'),
+  body('utr').if(body('status').equals('SUCCESS')).trim().notEmpty().withMessage('UTR is required for a successful payment'),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    if (!process.env.UPI_WEBHOOK_SECRET) {
+      return res.status(503).json({ message: 'UPI callbacks are not configured' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reference, status, amount, utr, reason } = req.body;
+
+    if (!verifyCallbackSignature({ reference, status, amount, utr }, req.get('X-UPI-Signature'))) {
+      return res.status(401).json({ message: 'Invalid signature' });
+    }
+
+    const { order, outcome } = await recordUpiResult({ reference, status, amount, utr, reason });
+
+    // Acknowledge anything correctly signed so the gateway stops retrying
+    res.json({
+      received: true,
+      outcome,
+      orderNumber: order ? order.orderNumber : undefined
+    });
+  } catch (error) {
+    console.error('UPI callback error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Bank statements are uploaded as the raw CSV text
+const readStatement = express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
+
+// Match an uploaded bank statement (CSV) against your unpaid orders (suppliers only)
+router.post('/reconciliation', authenticateToken, requireSupplier, readStatement, async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ message: 'Upload the statement as text/csv' });
+    }
+
+    const [header, ...rows] = parseCsv(req.body);
+    const columns = header && statementColumns(header);
+    if (!columns) {
+      return res.status(400).json({ message: 'Could not find the amount and narration columns in the statement header' });
+    }
+
+    const report = await reconcileStatement(req.user._id, rows, columns);
+
+    res.json({
+      message: `${report.summary.matched} payments matched to orders`,
+      ...report
+    });
+  } catch (error) {
+    console.error('Statement reconciliation error:', error);
+    res.status(500).json({ message: 'Server error during reconciliation' });
+  }
+});
+
+module.exports = router;
@@ -2,18 +2,33 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Product = require('../models/Product');
 const User = require('../models/User');
-const { authenticateToken, requireSupplier } = require('../middleware/auth');
+const Commodity = require('../models/Commodity');
+const { authenticateToken, requireSupplier, requireVerified } = require('../middleware/auth');
+const { salesVelocity, restockSuggestion, checkStockLevels, DEFAULT_SALES_WINDOW_DAYS, DEFAULT_COVER_DAYS } = require('../services/stockAlerts');
+const { searchProducts, SORT_OPTIONS } = require('../services/productSearch');
+const { findCommodityFor } = require('../services/commodities');
+const { recordPriceChange, productPriceHistory, PRICE_HISTORY_RANGES, DEFAULT_PRICE_HISTORY_DAYS } = require('../services/priceHistory');
+const { getSearchOrigin } = require('../utils/geo');
 
 const router = express.Router();
 
-// Get all products with filtering and pagination
+// Search products with facet counts, filtering and pagination. Searches
+// understand regional names and tolerate typos; see services/productSearch.js.
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('category').optional().isString(),
+  query('unit').optional().isIn(['kg', 'gram', 'liter', 'ml', 'piece', 'dozen', 'packet', 'box']).withMessage('Invalid unit'),
+  query('quality').optional().isIn(['premium', 'standard', 'economy']).withMessage('Quality must be premium, standard or economy'),
+  query('supplier').optional().isMongoId().withMessage('Invalid supplier id'),
   query('minPrice').optional().isFloat({ min: 0 }),
   query('maxPrice').optional().isFloat({ min: 0 }),
-  query('search').optional().isString()
+  query('search').optional().isString().isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+  query('sort').optional().isIn(SORT_OPTIONS).withMessage(`Sort must be one of ${SORT_OPTIONS.join(', ')}`),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('pincode').optional().matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+  query('radius').optional().isFloat({ min: 0.1, max: 500 }).withMessage('Radius must be between 0.1 and 500 km')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -25,33 +40,35 @@ router.get('/', [
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    // Build filter object
-    const filter = { isActive: true };
-    
-    if (req.query.category) {
-      filter.category = req.query.category;
+    const origin = await getSearchOrigin(req.query);
+    if (origin === null) {
+      return res.status(400).json({ message: 'Could not locate this pincode. Please share your location instead.' });
     }
-    
-    if (req.query.minPrice || req.query.maxPrice) {
-      filter.price = {};
-      if (req.query.minPrice) filter.price.$gte = parseFloat(req.query.minPrice);
-      if (req.query.maxPrice) filter.price.$lte = parseFloat(req.query.maxPrice);
+    if (req.query.sort === 'distance' && !origin) {
+      return res.status(400).json({ message: 'A location is required to sort by distance' });
     }
 
-    if (req.query.search) {
-      filter.$text = { $search: req.query.search };
-    }
-
-    const products = await Product.find(filter)
-      .populate('supplier', 'name companyName rating isVerified')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const total = await Product.countDocuments(filter);
+    const { products, total, facets, search } = await searchProducts({
+      search: req.query.search,
+      filters: {
+        category: req.query.category,
+        unit: req.query.unit,
+        quality: req.query.quality,
+        supplier: req.query.supplier,
+        minPrice: req.query.minPrice !== undefined ? parseFloat(req.query.minPrice) : undefined,
+        maxPrice: req.query.maxPrice !== undefined ? parseFloat(req.query.maxPrice) : undefined
+      },
+      sort: req.query.sort,
+      origin,
+      radiusKm: req.query.radius ? parseFloat(req.query.radius) : undefined,
+      skip,
+      limit
+    });
 
     res.json({
       products,
+      facets,
+      search,
       pagination: {
         page,
         limit,
@@ -65,11 +82,36 @@ router.get('/', [
   }
 });
 
+// A product's daily price over the last 7, 30 or 90 days, with each change
+router.get('/:id/price-history', [
+  query('days').optional().isIn(PRICE_HISTORY_RANGES.map(String)).withMessage(`Days must be one of ${PRICE_HISTORY_RANGES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await Product.findById(req.params.id).select('name price unit unitSize');
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const history = await productPriceHistory(product, parseInt(req.query.days) || DEFAULT_PRICE_HISTORY_DAYS);
+
+    res.json({ product, ...history });
+  } catch (error) {
+    console.error('Price history fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get single product by ID
 router.get('/:id', async (req, res) => {
   try {
     const product = await Product.findById(req.params.id)
-      .populate('supplier', 'name companyName rating isVerified address phone');
+      .populate('supplier', 'name companyName rating isVerified address phone')
+      .populate('commodity', 'name baseUnit');
 
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
@@ -82,15 +124,18 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create new product (suppliers only)
-router.post('/', authenticateToken, requireSupplier, [
+// Create new product (verified suppliers only)
+router.post('/', authenticateToken, requireSupplier, requireVerified, [
   body('name').trim().isLength({ min: 2 }).withMessage('Product name must be at least 2 characters'),
   body('description').trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
   body('category').isIn(['vegetables', 'fruits', 'grains', 'spices', 'dairy', 'meat', 'seafood', 'oils', 'packaging', 'equipment', 'other']),
   body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
   body('unit').isIn(['kg', 'gram', 'liter', 'ml', 'piece', 'dozen', 'packet', 'box']),
   body('minimumOrderQuantity').isInt({ min: 1 }).withMessage('Minimum order quantity must be at least 1'),
-  body('availableQuantity').isInt({ min: 0 }).withMessage('Available quantity must be non-negative')
+  body('availableQuantity').isInt({ min: 0 }).withMessage('Available quantity must be non-negative'),
+  body('reorderThreshold').optional().isInt({ min: 0 }).withMessage('Reorder threshold must be non-negative'),
+  body('commodity').optional().isMongoId().withMessage('Invalid commodity id'),
+  body('unitSize').optional().isFloat({ min: 0.001 }).withMessage('Unit size must be a positive number')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -98,15 +143,38 @@ router.post('/', authenticateToken, requireSupplier, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const productData = {
-      ...req.body,
-      supplier: req.user._id
-    };
+    // Only what a supplier describes; ratings, stock counters and the active
+    // flag are maintained by reviews and orders, not set by hand
+    const allowedFields = [
+      'name', 'description', 'category', 'price', 'unit', 'unitSize', 'commodity',
+      'minimumOrderQuantity', 'availableQuantity', 'reorderThreshold',
+      'bulkDiscounts', 'specifications', 'tags', 'images'
+    ];
+
+    const productData = { supplier: req.user._id };
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        productData[field] = req.body[field];
+      }
+    });
+
+    // Catalogue the product under the commodity given, or the one its name matches
+    if (productData.commodity) {
+      if (!await Commodity.exists({ _id: productData.commodity, isActive: true })) {
+        return res.status(400).json({ message: 'Commodity not found' });
+      }
+    } else {
+      const commodity = await findCommodityFor(productData);
+      if (commodity) productData.commodity = commodity._id;
+    }
 
     const product = new Product(productData);
     await product.save();
+    await recordPriceChange(product);
+    await checkStockLevels([product._id]);
 
     await product.populate('supplier', 'name companyName rating isVerified');
+    await product.populate('commodity', 'name baseUnit');
 
     res.status(201).json({
       message: 'Product created successfully',
@@ -119,8 +187,16 @@ router.post('/', authenticateToken, requireSupplier, [
 });
 
 // Update product (suppliers only, own products)
-router.put('/:id', authenticateToken, requireSupplier, async (req, res) => {
+router.put('/:id', authenticateToken, requireSupplier, [
+  // An empty commodity unlinks the product from the catalogue
+  body('commodity').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid commodity id')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const product = await Product.findById(req.params.id);
 
     if (!product) {
@@ -133,8 +209,9 @@ router.put('/:id', authenticateToken, requireSupplier, async (req, res) => {
     }
 
     const allowedUpdates = [
-      'name', 'description', 'price', 'availableQuantity', 'minimumOrderQuantity',
-      'bulkDiscounts', 'specifications', 'tags', 'isActive', 'images'
+      'name', 'description', 'price', 'minimumOrderQuantity',
+      'reorderThreshold', 'bulkDiscounts', 'specifications', 'tags', 'isActive', 'images',
+      'commodity', 'unitSize'
     ];
 
     const updates = {};
@@ -144,11 +221,27 @@ router.put('/:id', authenticateToken, requireSupplier, async (req, res) => {
       }
     });
 
+    if (updates.commodity) {
+      if (!await Commodity.exists({ _id: updates.commodity, isActive: true })) {
+        return res.status(400).json({ message: 'Commodity not found' });
+      }
+    } else if (updates.commodity !== undefined) {
+      updates.commodity = null;
+    } else if (updates.name && !product.commodity) {
+      // A renamed product may now match the catalogue
+      const commodity = await findCommodityFor({ name: updates.name, category: product.category });
+      if (commodity) updates.commodity = commodity._id;
+    }
+
     const updatedProduct = await Product.findByIdAndUpdate(
       req.params.id,
       updates,
       { new: true, runValidators: true }
-    ).populate('supplier', 'name companyName rating isVerified');
+    )
+      .populate('supplier', 'name companyName rating isVerified')
+      .populate('commodity', 'name baseUnit');
+    await recordPriceChange(updatedProduct, product);
+    await checkStockLevels([updatedProduct._id]);
 
     res.json({
       message: 'Product updated successfully',
@@ -160,6 +253,93 @@ router.put('/:id', authenticateToken, requireSupplier, async (req, res) => {
   }
 });
 
+// Correct a product's stock count (suppliers only, own products). Stock edits
+// don't go through PUT /:id: `expectedQuantity` is the count the supplier was
+// looking at, and if orders have reserved stock since then nothing is changed.
+router.put('/:id/stock', authenticateToken, requireSupplier, [
+  body('availableQuantity').isInt({ min: 0 }).withMessage('Available quantity must be non-negative'),
+  body('expectedQuantity').isInt({ min: 0 }).withMessage('Expected quantity must be non-negative')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await Product.findById(req.params.id).select('supplier');
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    if (product.supplier.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to update this product' });
+    }
+
+    const updated = await Product.findOneAndUpdate(
+      { _id: req.params.id, availableQuantity: parseInt(req.body.expectedQuantity) },
+      { availableQuantity: parseInt(req.body.availableQuantity) },
+      { new: true }
+    );
+
+    if (!updated) {
+      const current = await Product.findById(req.params.id).select('availableQuantity');
+      return res.status(409).json({
+        message: `Stock has changed to ${current.availableQuantity} since you loaded it. Please check the count and try again.`,
+        availableQuantity: current.availableQuantity
+      });
+    }
+
+    await checkStockLevels([updated._id]);
+
+    res.json({
+      message: 'Stock updated successfully',
+      product: updated
+    });
+  } catch (error) {
+    console.error('Product stock update error:', error);
+    res.status(500).json({ message: 'Server error during stock update' });
+  }
+});
+
+// Add stock to a product (suppliers only, own products)
+router.post('/:id/restock', authenticateToken, requireSupplier, [
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await Product.findById(req.params.id).select('supplier');
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    if (product.supplier.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to restock this product' });
+    }
+
+    // Increment rather than overwrite, so stock reserved meanwhile isn't lost
+    const restocked = await Product.findByIdAndUpdate(
+      req.params.id,
+      { $inc: { availableQuantity: parseInt(req.body.quantity) } },
+      { new: true }
+    );
+    await checkStockLevels([restocked._id]);
+
+    res.json({
+      message: 'Product restocked successfully',
+      product: restocked
+    });
+  } catch (error) {
+    console.error('Product restock error:', error);
+    res.status(500).json({ message: 'Server error during restock' });
+  }
+});
+
 // Delete product (suppliers only, own products)
 router.delete('/:id', authenticateToken, requireSupplier, async (req, res) => {
   try {
@@ -211,6 +391,41 @@ router.get('/my/products', authenticateToken, requireSupplier, async (req, res)
   }
 });
 
+// My products at or below their reorder threshold, with restock suggestions (for suppliers)
+router.get('/my/low-stock', authenticateToken, requireSupplier, [
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365'),
+  query('cover').optional().isInt({ min: 1, max: 90 }).withMessage('Cover must be between 1 and 90 days')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const days = parseInt(req.query.days) || DEFAULT_SALES_WINDOW_DAYS;
+    const coverDays = parseInt(req.query.cover) || DEFAULT_COVER_DAYS;
+
+    const products = await Product.find({
+      supplier: req.user._id,
+      isActive: true,
+      $expr: { $lte: ['$availableQuantity', '$reorderThreshold'] }
+    }).sort({ availableQuantity: 1 });
+
+    const velocity = await salesVelocity(products.map(p => p._id), days);
+
+    res.json({
+      products: products.map(product => ({
+        ...product.toObject(),
+        stockLevel: product.stockLevel(),
+        restock: restockSuggestion(product, velocity.get(product._id.toString()), { days, coverDays })
+      }))
+    });
+  } catch (error) {
+    console.error('Low stock fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get product categories
 router.get('/meta/categories', (req, res) => {
   const categories = [
@@ -0,0 +1,244 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult, query } = require('express-validator');
+const Review = require('../models/Review');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { authenticateToken, requireVendor, requireSupplier } = require('../middleware/auth');
+const { refreshReputation } = require('../services/reputation');
+
+const router = express.Router();
+
+// A review is hidden for moderation once this many users have reported it
+const REPORTS_TO_HIDE = 3;
+
+// Fields populated whenever a review is returned
+const populateReview = (queryOrDoc) => {
+  return queryOrDoc.populate([
+    { path: 'vendor', select: 'name businessName' },
+    { path: 'supplier', select: 'name companyName' },
+    { path: 'products', select: 'name unit' }
+  ]);
+};
+
+// Review a delivered order (vendors only, one review per order)
+router.post('/', authenticateToken, requireVendor, [
+  body('order').isMongoId().withMessage('Valid order ID is required'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5'),
+  body('comment').optional().trim().isLength({ max: 2000 }).withMessage('Comment must be at most 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rating = parseInt(req.body.rating);
+    const comment = req.body.comment;
+
+    // Claim the order's rating so the same order can't be reviewed twice
+    const order = await Order.findOneAndUpdate(
+      { _id: req.body.order, vendor: req.user._id, status: 'delivered', 'rating.score': null },
+      { rating: { score: rating, review: comment, ratedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!order) {
+      const existing = await Order.findById(req.body.order).select('vendor status rating');
+      if (!existing) {
+        return res.status(404).json({ message: 'Order not found' });
+      }
+      if (existing.vendor.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: 'Not authorized to review this order' });
+      }
+      if (existing.status !== 'delivered') {
+        return res.status(400).json({ message: 'Only delivered orders can be reviewed' });
+      }
+      return res.status(409).json({ message: 'This order has already been reviewed' });
+    }
+
+    const productIds = [...new Set(order.items.map(item => item.product.toString()))];
+
+    let review;
+    try {
+      review = await Review.create({
+        order: order._id,
+        vendor: req.user._id,
+        supplier: order.supplier,
+        products: productIds,
+        rating,
+        comment
+      });
+    } catch (error) {
+      // Give the claim back so the order can still be reviewed
+      await Order.updateOne(
+        { _id: order._id, 'rating.ratedAt': order.rating.ratedAt },
+        { $unset: { rating: 1 } }
+      );
+      throw error;
+    }
+
+    await Promise.all([
+      User.adjustRating(order.supplier, rating),
+      Product.adjustRating(productIds, rating)
+    ]);
+    await refreshReputation(order.supplier);
+
+    await populateReview(review);
+
+    res.status(201).json({
+      message: 'Review submitted successfully',
+      review
+    });
+  } catch (error) {
+    console.error('Review creation error:', error);
+    res.status(500).json({ message: 'Server error during review submission' });
+  }
+});
+
+// List visible reviews for a supplier or a product, newest first, with a rating breakdown
+router.get('/', [
+  query('supplier').optional().isMongoId().withMessage('Invalid supplier id'),
+  query('product').optional().isMongoId().withMessage('Invalid product id'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.query.supplier && !req.query.product) {
+      return res.status(400).json({ message: 'A supplier or product is required' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = { status: 'visible' };
+    if (req.query.supplier) filter.supplier = new mongoose.Types.ObjectId(req.query.supplier);
+    if (req.query.product) filter.products = new mongoose.Types.ObjectId(req.query.product);
+
+    const [reviews, total, breakdown] = await Promise.all([
+      populateReview(Review.find(filter).select('-reports'))
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Review.countDocuments(filter),
+      Review.aggregate([
+        { $match: filter },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    breakdown.forEach(({ _id, count }) => {
+      distribution[_id] = count;
+    });
+    const ratingSum = breakdown.reduce((sum, { _id, count }) => sum + _id * count, 0);
+
+    res.json({
+      reviews,
+      summary: {
+        averageRating: total > 0 ? Math.round((ratingSum / total) * 10) / 10 : 0,
+        totalReviews: total,
+        distribution
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Reviews fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reply to a review, or edit the reply (the reviewed supplier only)
+router.put('/:id/reply', authenticateToken, requireSupplier, [
+  body('text').trim().isLength({ min: 1, max: 1000 }).withMessage('Reply must be between 1 and 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review || review.status === 'removed') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.supplier.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to reply to this review' });
+    }
+
+    review.reply = { text: req.body.text, repliedAt: new Date() };
+    await review.save();
+    await populateReview(review);
+
+    res.json({
+      message: 'Reply saved successfully',
+      review
+    });
+  } catch (error) {
+    console.error('Review reply error:', error);
+    res.status(500).json({ message: 'Server error during review reply' });
+  }
+});
+
+// Report an abusive review; it is hidden for moderation after enough reports
+router.post('/:id/report', authenticateToken, [
+  body('reason').isIn(['spam', 'offensive', 'fake', 'irrelevant', 'other']).withMessage('Invalid report reason'),
+  body('details').optional().trim().isLength({ max: 500 }).withMessage('Details must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const review = await Review.findById(req.params.id).select('vendor status reports.user');
+
+    if (!review || review.status === 'removed') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.vendor.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot report your own review' });
+    }
+
+    if (review.isReportedBy(req.user._id)) {
+      return res.status(409).json({ message: 'You have already reported this review' });
+    }
+
+    // The filter checks again, so two reports sent at once still count once
+    const reported = await Review.findOneAndUpdate(
+      { _id: review._id, 'reports.user': { $ne: req.user._id } },
+      { $push: { reports: { user: req.user._id, reason: req.body.reason, details: req.body.details } } },
+      { new: true }
+    ).select('status reports.user');
+
+    if (!reported) {
+      return res.status(409).json({ message: 'You have already reported this review' });
+    }
+
+    if (reported.status === 'visible' && reported.reports.length >= REPORTS_TO_HIDE) {
+      await Review.updateOne({ _id: review._id, status: 'visible' }, { status: 'hidden' });
+    }
+
+    res.json({ message: 'Review reported. Thanks for letting us know.' });
+  } catch (error) {
+    console.error('Review report error:', error);
+    res.status(500).json({ message: 'Server error during review report' });
+  }
+});
+
+module.exports = router;
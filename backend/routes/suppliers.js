@@ -0,0 +1,187 @@
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const { authenticateToken } = require('../middleware/auth');
+const { getSearchOrigin, geoNearStage, distanceKmField } = require('../utils/geo');
+
+const router = express.Router();
+
+// Supplier fields safe to show in the public directory
+const SUPPLIER_PUBLIC_FIELDS = {
+  name: 1,
+  companyName: 1,
+  profileImage: 1,
+  rating: 1,
+  totalRatings: 1,
+  reputation: 1,
+  isVerified: 1,
+  'address.street': 1,
+  'address.city': 1,
+  'address.state': 1,
+  'address.pincode': 1,
+  'address.coordinates': 1
+};
+
+// Phone numbers only go to the vendors (and admins) buying from suppliers
+const SUPPLIER_CONTACT_ROLES = ['vendor', 'admin'];
+
+// List verified suppliers, nearest first when a location is given
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('pincode').optional().matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+  query('radius').optional().isFloat({ min: 0.1, max: 500 }).withMessage('Radius must be between 0.1 and 500 km'),
+  query('category').optional().isIn(['vegetables', 'fruits', 'grains', 'spices', 'dairy', 'meat', 'seafood', 'oils', 'packaging', 'equipment', 'other']),
+  query('minRating').optional().isFloat({ min: 0, max: 5 }).withMessage('Minimum rating must be between 0 and 5'),
+  query('sort').optional().isIn(['distance', 'reputation', 'rating']).withMessage('Sort must be distance, reputation or rating')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const origin = await getSearchOrigin(req.query);
+    if (origin === null) {
+      return res.status(400).json({ message: 'Could not locate this pincode. Please share your location instead.' });
+    }
+
+    const filter = {
+      userType: 'supplier',
+      isVerified: true,
+      isActive: true
+    };
+
+    if (req.query.minRating) {
+      filter.rating = { $gte: parseFloat(req.query.minRating) };
+    }
+
+    // Nearest first when a location is given, otherwise most reputable first
+    const sort = req.query.sort || (origin ? 'distance' : 'reputation');
+    if (sort === 'distance' && !origin) {
+      return res.status(400).json({ message: 'A location is required to sort by distance' });
+    }
+
+    const pipeline = [];
+
+    if (origin) {
+      // Results come back nearest first
+      pipeline.push(geoNearStage(origin, parseFloat(req.query.radius), filter));
+    } else {
+      pipeline.push({ $match: filter });
+    }
+
+    if (sort === 'reputation') {
+      pipeline.push({ $sort: { 'reputation.score': -1, totalRatings: -1 } });
+    } else if (sort === 'rating') {
+      pipeline.push({ $sort: { rating: -1, totalRatings: -1 } });
+    }
+
+    const productMatch = { $expr: { $eq: ['$supplier', '$$supplierId'] }, isActive: true };
+    if (req.query.category) {
+      productMatch.category = req.query.category;
+    }
+
+    pipeline.push({
+      $lookup: {
+        from: 'products',
+        let: { supplierId: '$_id' },
+        pipeline: [
+          { $match: productMatch },
+          { $project: { name: 1, price: 1, unit: 1, category: 1, commodity: 1 } }
+        ],
+        as: 'products'
+      }
+    });
+
+    if (req.query.category) {
+      pipeline.push({ $match: { 'products.0': { $exists: true } } });
+    }
+
+    const projection = { ...SUPPLIER_PUBLIC_FIELDS, products: 1 };
+    if (origin) {
+      projection.distanceKm = distanceKmField;
+    }
+    pipeline.push({ $project: projection });
+
+    pipeline.push({
+      $facet: {
+        suppliers: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    });
+
+    const [result] = await User.aggregate(pipeline);
+    const total = result.total.length ? result.total[0].count : 0;
+
+    res.json({
+      suppliers: result.suppliers,
+      origin: origin || null,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Suppliers fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a supplier's public profile with their active products
+router.get('/:id', async (req, res) => {
+  try {
+    const supplier = await User.findOne({
+      _id: req.params.id,
+      userType: 'supplier',
+      isActive: true
+    }).select(SUPPLIER_PUBLIC_FIELDS);
+
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    const products = await Product.find({ supplier: supplier._id, isActive: true })
+      .select('name price unit category minimumOrderQuantity bulkDiscounts rating');
+
+    res.json({ supplier, products });
+  } catch (error) {
+    console.error('Supplier fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a supplier's contact details (signed-in vendors and admins)
+router.get('/:id/contact', authenticateToken, async (req, res) => {
+  try {
+    if (!SUPPLIER_CONTACT_ROLES.includes(req.user.userType)) {
+      return res.status(403).json({ message: 'Vendor access required' });
+    }
+
+    const supplier = await User.findOne({
+      _id: req.params.id,
+      userType: 'supplier',
+      isActive: true
+    }).select('name companyName phone');
+
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    res.json({ supplier });
+  } catch (error) {
+    console.error('Supplier contact fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,279 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const User = require('../models/User');
+const VendorRequirement = require('../models/VendorRequirement');
+const { authenticateToken, requireVendor } = require('../middleware/auth');
+const { getSearchOrigin, geoNearStage, distanceKmField } = require('../utils/geo');
+
+const router = express.Router();
+
+const CATEGORIES = ['vegetables', 'fruits', 'grains', 'spices', 'dairy', 'meat', 'seafood', 'oils', 'packaging', 'equipment', 'other'];
+const UNITS = ['kg', 'gram', 'liter', 'ml', 'piece', 'dozen', 'packet', 'box'];
+const FREQUENCIES = ['daily', 'weekly', 'fortnightly', 'monthly'];
+
+// Vendor fields shown to signed-in users browsing the marketplace
+const VENDOR_PUBLIC_FIELDS = {
+  name: 1,
+  businessName: 1,
+  businessType: 1,
+  phone: 1,
+  profileImage: 1,
+  rating: 1,
+  totalRatings: 1,
+  isVerified: 1,
+  'address.street': 1,
+  'address.city': 1,
+  'address.state': 1,
+  'address.pincode': 1
+};
+
+// Phone numbers and street addresses only go to the suppliers (and admins) selling to vendors
+const VENDOR_CONTACT_FIELDS = ['phone', 'address.street'];
+
+const vendorFieldsFor = (user) => {
+  if (['supplier', 'admin'].includes(user.userType)) {
+    return VENDOR_PUBLIC_FIELDS;
+  }
+  const fields = { ...VENDOR_PUBLIC_FIELDS };
+  VENDOR_CONTACT_FIELDS.forEach(field => delete fields[field]);
+  return fields;
+};
+
+// Validation shared by requirement create and update
+const requirementValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('item').trim().isLength({ min: 2 }).withMessage('Item name must be at least 2 characters'),
+    field('category').isIn(CATEGORIES).withMessage('Invalid category'),
+    field('quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+    field('unit').isIn(UNITS).withMessage('Invalid unit'),
+    field('frequency').isIn(FREQUENCIES).withMessage('Frequency must be daily, weekly, fortnightly or monthly'),
+    body('notes').optional().trim()
+  ];
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// List vendors with active requirements, nearest first when a location is given
+router.get('/', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('category').optional().isIn(CATEGORIES),
+  query('search').optional().isString(),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('pincode').optional().matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+  query('radius').optional().isFloat({ min: 0.1, max: 500 }).withMessage('Radius must be between 0.1 and 500 km')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const origin = await getSearchOrigin(req.query);
+    if (origin === null) {
+      return res.status(400).json({ message: 'Could not locate this pincode. Please share your location instead.' });
+    }
+
+    const filter = { userType: 'vendor', isActive: true };
+    const pipeline = [];
+
+    if (origin) {
+      pipeline.push(geoNearStage(origin, parseFloat(req.query.radius), filter));
+    } else {
+      pipeline.push({ $match: filter });
+      pipeline.push({ $sort: { rating: -1, createdAt: -1 } });
+    }
+
+    const requirementMatch = { $expr: { $eq: ['$vendor', '$$vendorId'] }, isActive: true };
+    if (req.query.category) {
+      requirementMatch.category = req.query.category;
+    }
+
+    pipeline.push({
+      $lookup: {
+        from: 'vendorrequirements',
+        let: { vendorId: '$_id' },
+        pipeline: [
+          { $match: requirementMatch },
+          { $project: { vendor: 0 } }
+        ],
+        as: 'requirements'
+      }
+    });
+
+    // Only vendors with live demand are listed
+    const demandMatch = { 'requirements.0': { $exists: true } };
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), 'i');
+      demandMatch.$or = [
+        { name: pattern },
+        { businessName: pattern },
+        { 'requirements.item': pattern }
+      ];
+    }
+    pipeline.push({ $match: demandMatch });
+
+    const projection = { ...vendorFieldsFor(req.user), requirements: 1 };
+    if (origin) {
+      projection.distanceKm = distanceKmField;
+    }
+    pipeline.push({ $project: projection });
+
+    pipeline.push({
+      $facet: {
+        vendors: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    });
+
+    const [result] = await User.aggregate(pipeline);
+    const total = result.total.length ? result.total[0].count : 0;
+
+    res.json({
+      vendors: result.vendors,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Vendors fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get my requirements (vendors only)
+router.get('/me/requirements', authenticateToken, requireVendor, async (req, res) => {
+  try {
+    const requirements = await VendorRequirement.find({ vendor: req.user._id })
+      .sort({ isActive: -1, createdAt: -1 });
+
+    res.json({ requirements });
+  } catch (error) {
+    console.error('My requirements fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a recurring requirement (vendors only)
+router.post('/me/requirements', authenticateToken, requireVendor, requirementValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { item, category, quantity, unit, frequency, notes } = req.body;
+
+    const requirement = new VendorRequirement({
+      vendor: req.user._id,
+      item,
+      category,
+      quantity,
+      unit,
+      frequency,
+      notes
+    });
+    await requirement.save();
+
+    res.status(201).json({
+      message: 'Requirement added successfully',
+      requirement
+    });
+  } catch (error) {
+    console.error('Requirement creation error:', error);
+    res.status(500).json({ message: 'Server error during requirement creation' });
+  }
+});
+
+// Update a requirement (vendors only, own requirements)
+router.put('/me/requirements/:requirementId', authenticateToken, requireVendor, [
+  ...requirementValidators(true),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const allowedUpdates = ['item', 'category', 'quantity', 'unit', 'frequency', 'notes', 'isActive'];
+    const updates = {};
+
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const requirement = await VendorRequirement.findOneAndUpdate(
+      { _id: req.params.requirementId, vendor: req.user._id },
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    if (!requirement) {
+      return res.status(404).json({ message: 'Requirement not found' });
+    }
+
+    res.json({
+      message: 'Requirement updated successfully',
+      requirement
+    });
+  } catch (error) {
+    console.error('Requirement update error:', error);
+    res.status(500).json({ message: 'Server error during requirement update' });
+  }
+});
+
+// Delete a requirement (vendors only, own requirements)
+router.delete('/me/requirements/:requirementId', authenticateToken, requireVendor, async (req, res) => {
+  try {
+    const requirement = await VendorRequirement.findOneAndDelete({
+      _id: req.params.requirementId,
+      vendor: req.user._id
+    });
+
+    if (!requirement) {
+      return res.status(404).json({ message: 'Requirement not found' });
+    }
+
+    res.json({ message: 'Requirement deleted successfully' });
+  } catch (error) {
+    console.error('Requirement deletion error:', error);
+    res.status(500).json({ message: 'Server error during requirement deletion' });
+  }
+});
+
+// Get a vendor's profile with their active requirements
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const vendor = await User.findOne({
+      _id: req.params.id,
+      userType: 'vendor',
+      isActive: true
+    }).select(vendorFieldsFor(req.user));
+
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    const requirements = await VendorRequirement.find({ vendor: vendor._id, isActive: true })
+      .sort({ createdAt: -1 });
+
+    res.json({ vendor, requirements });
+  } catch (error) {
+    console.error('Vendor fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+// Fill in address.location for users saved before it existed, so they show
+// up in distance searches. Safe to re-run: users who already have a location
+// or have no coordinates are left alone.
+//
+//   npm run backfill-locations
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+
+const backfillUserLocations = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/vendorconnect');
+
+  // Built from the stored coordinates inside the update, the same way the
+  // save hook does: GeoJSON points are [lng, lat]
+  const result = await User.updateMany(
+    {
+      'address.location.coordinates': { $exists: false },
+      'address.coordinates.lat': { $type: 'number' },
+      'address.coordinates.lng': { $type: 'number' }
+    },
+    [{
+      $set: {
+        'address.location': {
+          type: 'Point',
+          coordinates: ['$address.coordinates.lng', '$address.coordinates.lat']
+        }
+      }
+    }]
+  );
+
+  console.log(`Added a location to ${result.modifiedCount} users`);
+};
+
+backfillUserLocations()
+  .catch(error => {
+    console.error('Backfill user locations error:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,48 @@
+// Create an admin account, or promote an existing user to admin.
+// Registration only allows vendors and suppliers, so admins are made here.
+//
+//   npm run create-admin -- <email> <name> <phone> <password>
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+
+const [email, name, phone, password] = process.argv.slice(2);
+
+const createAdmin = async () => {
+  if (!email) {
+    throw new Error('Usage: npm run create-admin -- <email> <name> <phone> <password>');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/vendorconnect');
+
+  const existing = await User.findOne({ email: email.toLowerCase() });
+  if (existing) {
+    existing.userType = 'admin';
+    existing.isVerified = true;
+    await existing.save();
+    console.log(`${existing.email} is now an admin`);
+    return;
+  }
+
+  if (!name || !phone || !password) {
+    throw new Error('Name, phone and password are required for a new admin');
+  }
+
+  const admin = new User({
+    name,
+    email,
+    phone,
+    password,
+    userType: 'admin',
+    isVerified: true
+  });
+  await admin.save();
+  console.log(`Created admin ${admin.email}`);
+};
+
+createAdmin()
+  .catch(error => {
+    console.error('Create admin error:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,66 @@
+// Load the starter commodity catalogue and link existing products to it.
+// Safe to re-run: commodities are matched by name and only gain aliases.
+//
+//   npm run seed-commodities
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Commodity = require('../models/Commodity');
+const { linkUnlinkedProducts } = require('../services/commodities');
+
+const COMMODITIES = [
+  { name: 'Onion', category: 'vegetables', baseUnit: 'kg', aliases: ['pyaz', 'kanda', 'red onion'] },
+  { name: 'Potato', category: 'vegetables', baseUnit: 'kg', aliases: ['aloo', 'batata'] },
+  { name: 'Tomato', category: 'vegetables', baseUnit: 'kg', aliases: ['tamatar'] },
+  { name: 'Green Chilli', category: 'vegetables', baseUnit: 'kg', aliases: ['green chili', 'hari mirch'] },
+  { name: 'Ginger', category: 'vegetables', baseUnit: 'kg', aliases: ['adrak'] },
+  { name: 'Garlic', category: 'vegetables', baseUnit: 'kg', aliases: ['lahsun'] },
+  { name: 'Coriander Leaves', category: 'vegetables', baseUnit: 'kg', aliases: ['dhaniya', 'coriander'] },
+  { name: 'Lemon', category: 'fruits', baseUnit: 'kg', aliases: ['nimbu', 'lime'] },
+  { name: 'Gram Flour', category: 'grains', baseUnit: 'kg', aliases: ['besan'] },
+  { name: 'Wheat Flour', category: 'grains', baseUnit: 'kg', aliases: ['atta'] },
+  { name: 'Refined Flour', category: 'grains', baseUnit: 'kg', aliases: ['maida'] },
+  { name: 'Semolina', category: 'grains', baseUnit: 'kg', aliases: ['sooji', 'suji', 'rava'] },
+  { name: 'Rice', category: 'grains', baseUnit: 'kg', aliases: ['chawal', 'basmati rice'] },
+  { name: 'Flattened Rice', category: 'grains', baseUnit: 'kg', aliases: ['poha'] },
+  { name: 'Turmeric Powder', category: 'spices', baseUnit: 'kg', aliases: ['turmeric', 'haldi'] },
+  { name: 'Red Chilli Powder', category: 'spices', baseUnit: 'kg', aliases: ['red chili powder', 'lal mirch'] },
+  { name: 'Cumin Seeds', category: 'spices', baseUnit: 'kg', aliases: ['cumin', 'jeera'] },
+  { name: 'Garam Masala', category: 'spices', baseUnit: 'kg', aliases: [] },
+  { name: 'Chaat Masala', category: 'spices', baseUnit: 'kg', aliases: [] },
+  { name: 'Salt', category: 'spices', baseUnit: 'kg', aliases: ['namak'] },
+  { name: 'Tamarind Paste', category: 'spices', baseUnit: 'kg', aliases: ['tamarind', 'imli'] },
+  { name: 'Sunflower Oil', category: 'oils', baseUnit: 'liter', aliases: [] },
+  { name: 'Mustard Oil', category: 'oils', baseUnit: 'liter', aliases: ['sarson tel'] },
+  { name: 'Groundnut Oil', category: 'oils', baseUnit: 'liter', aliases: ['peanut oil', 'moongfali tel'] },
+  { name: 'Milk', category: 'dairy', baseUnit: 'liter', aliases: ['doodh'] },
+  { name: 'Paneer', category: 'dairy', baseUnit: 'kg', aliases: ['cottage cheese'] },
+  { name: 'Curd', category: 'dairy', baseUnit: 'kg', aliases: ['dahi', 'yogurt'] },
+  { name: 'Butter', category: 'dairy', baseUnit: 'kg', aliases: ['makhan'] },
+  { name: 'Eggs', category: 'other', baseUnit: 'piece', aliases: ['egg', 'anda', 'ande'] },
+  { name: 'Sugar', category: 'other', baseUnit: 'kg', aliases: ['cheeni', 'chini'] }
+];
+
+const seedCommodities = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/vendorconnect');
+
+  let created = 0;
+  for (const { name, category, baseUnit, aliases } of COMMODITIES) {
+    const existing = await Commodity.findOne({ name });
+    if (existing) {
+      await Commodity.updateOne({ _id: existing._id }, { $addToSet: { aliases: { $each: aliases } } });
+      continue;
+    }
+    await Commodity.create({ name, category, baseUnit, aliases });
+    created += 1;
+  }
+
+  const linked = await linkUnlinkedProducts();
+  console.log(`Added ${created} commodities (${COMMODITIES.length - created} already existed) and linked ${linked} products`);
+};
+
+seedCommodities()
+  .catch(error => {
+    console.error('Seed commodities error:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
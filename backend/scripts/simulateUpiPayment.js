@@ -0,0 +1,39 @@
+// Pretend to be the payment gateway: send a signed UPI callback to the local
+// server, as if the vendor had paid (or failed to pay) a payment request.
+//
+//   npm run simulate-upi -- <reference> <amount> [success|failure] [utr]
+require('dotenv').config();
+const crypto = require('crypto');
+const { signCallback } = require('../services/upiPayments');
+
+const [reference, amount, result = 'success', utr = `SIM${crypto.randomInt(1e9, 1e10)}`] = process.argv.slice(2);
+
+const simulateUpiPayment = async () => {
+  if (!reference || !amount) {
+    throw new Error('Usage: npm run simulate-upi -- <reference> <amount> [success|failure] [utr]');
+  }
+  if (!process.env.UPI_WEBHOOK_SECRET) {
+    throw new Error('Set UPI_WEBHOOK_SECRET to the same value the server uses');
+  }
+
+  const payload = result === 'failure'
+    ? { reference, status: 'FAILURE', amount, reason: 'Declined by payer bank (simulated)' }
+    : { reference, status: 'SUCCESS', amount, utr };
+
+  const url = `http://localhost:${process.env.PORT || 5000}/api/payments/upi/callback`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-UPI-Signature': signCallback(payload)
+    },
+    body: JSON.stringify(payload)
+  });
+
+  console.log(response.status, await response.json());
+};
+
+simulateUpiPayment().catch(error => {
+  console.error('Simulate UPI payment error:', error.message);
+  process.exitCode = 1;
+});
@@ -24,6 +24,16 @@ const productRoutes = require('./routes/products');
 const orderRoutes = require('./routes/orders');
 const groupOrderRoutes = require('./routes/groupOrders');
 const dashboardRoutes = require('./routes/dashboard');
+const adminRoutes = require('./routes/admin');
+const paymentRoutes = require('./routes/payments');
+const reviewRoutes = require('./routes/reviews');
+const commodityRoutes = require('./routes/commodities');
+const { setupRealtime } = require('./services/realtime');
+const { startGroupOrderScheduler } = require('./services/groupOrderScheduler');
+const { startReputationScheduler } = require('./services/reputation');
+const smsGateway = require('./services/smsGateway');
+const paymentProvider = require('./services/paymentProvider');
+const notifier = require('./services/notifier');
 
 // Middleware
 app.use(helmet());
@@ -63,6 +73,10 @@ app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/group-orders', groupOrderRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/commodities', commodityRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -74,25 +88,13 @@ app.get('/api/health', (req, res) => {
 });
 
 // Socket.IO for real-time updates
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+setupRealtime(io);
 
-  // Join group order room
-  socket.on('join-group-order', (groupOrderId) => {
-    socket.join(`group-order-${groupOrderId}`);
-    console.log(`User ${socket.id} joined group order ${groupOrderId}`);
-  });
-
-  // Leave group order room
-  socket.on('leave-group-order', (groupOrderId) => {
-    socket.leave(`group-order-${groupOrderId}`);
-    console.log(`User ${socket.id} left group order ${groupOrderId}`);
-  });
+// Close group orders as their deadlines pass
+startGroupOrderScheduler(io);
 
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+// Recalculate supplier reputations at startup and daily so old reviews fade
+startReputationScheduler();
 
 // Make io accessible to routes
 app.set('io', io);
@@ -111,6 +113,21 @@ app.use('*', (req, res) => {
   res.status(404).json({ message: 'Route not found' });
 });
 
+// Phone login codes can't go out without an SMS gateway
+if (!smsGateway.isConfigured()) {
+  console.warn('No SMS gateway configured (set SMS_PROVIDER); phone login is disabled.');
+}
+
+// Password reset codes and other emails need a real transport
+if (!notifier.isConfigured()) {
+  console.warn('No notification transport configured; emails are not sent and password reset is disabled.');
+}
+
+// Group order shares can't be paid online without a real payment provider
+if (!paymentProvider.isConfigured()) {
+  console.warn('No payment provider configured; online group order payments are disabled.');
+}
+
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,146 @@
+const Commodity = require('../models/Commodity');
+const Product = require('../models/Product');
+const { SEARCH_SYNONYMS } = require('../utils/searchSynonyms');
+const { baseUnitsPerUnit } = require('../utils/units');
+const { supplierDistances } = require('../utils/geo');
+
+// The commodity catalogue: linking products to the item they sell and
+// comparing every supplier's offer for an item per kg, liter or piece.
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Singular forms of a listed word: "tomatoes" -> "tomato", "chillies" -> "chilli"
+const singulars = (word) => {
+  if (word.endsWith('oes')) return [word.slice(0, -2)];
+  if (word.endsWith('ies')) return [word.slice(0, -2), `${word.slice(0, -3)}y`];
+  if (word.endsWith('s') && !word.endsWith('ss')) return [word.slice(0, -1)];
+  return [];
+};
+
+// Names a product could be catalogued under. "Besan (Gram Flour)" gives
+// "besan (gram flour)", "besan" and "gram flour", each also in the singular
+// and through the regional name dictionary.
+const nameCandidates = (name) => {
+  const full = name.toLowerCase().replace(/\s+/g, ' ').trim();
+  const parts = [full, full.replace(/\(.*?\)/g, '').trim(), ...[...full.matchAll(/\((.*?)\)/g)].map(match => match[1].trim())];
+
+  const candidates = new Set();
+  parts.filter(Boolean).forEach(part => {
+    const words = part.split(' ');
+    const last = words[words.length - 1];
+    [part, ...singulars(last).map(singular => [...words.slice(0, -1), singular].join(' '))].forEach(candidate => {
+      candidates.add(candidate);
+      (SEARCH_SYNONYMS[candidate] || []).forEach(synonym => candidates.add(synonym));
+    });
+  });
+  return [...candidates];
+};
+
+// Best catalogue match for a product name, preferring one in the product's category
+const findCommodityFor = async ({ name, category }) => {
+  const matches = await Commodity.find({ isActive: true, aliases: { $in: nameCandidates(name) } });
+  return matches.find(commodity => commodity.category === category) || matches[0] || null;
+};
+
+// Link products that have no commodity yet; resolves to how many were linked
+const linkUnlinkedProducts = async () => {
+  const products = Product.find({ commodity: null }).select('name category').cursor();
+  let linked = 0;
+  for await (const product of products) {
+    const commodity = await findCommodityFor(product);
+    if (commodity) {
+      await Product.updateOne({ _id: product._id, commodity: null }, { commodity: commodity._id });
+      linked += 1;
+    }
+  }
+  return linked;
+};
+
+// One supplier's offer, priced per base unit at list price, at each bulk
+// tier and for an order of `quantity` base units (the minimum order if none)
+const describeOffer = (product, commodity, quantity, distanceKm) => {
+  const perUnit = baseUnitsPerUnit(product.unit, commodity.baseUnit, product.unitSize);
+  const perBaseUnit = (price) => (perUnit ? round(price / perUnit) : null);
+
+  const units = quantity && perUnit
+    ? Math.max(Math.ceil(quantity / perUnit), product.minimumOrderQuantity)
+    : product.minimumOrderQuantity;
+  const unitPrice = product.getBulkPrice(units);
+
+  return {
+    product: {
+      _id: product._id,
+      name: product.name,
+      unit: product.unit,
+      unitSize: product.unitSize,
+      minimumOrderQuantity: product.minimumOrderQuantity,
+      availableQuantity: product.availableQuantity
+    },
+    supplier: product.supplier,
+    price: product.price,
+    pricePerBaseUnit: perBaseUnit(product.price),
+    tiers: product.getPriceTiers().map(tier => ({ ...tier, price: round(tier.price), pricePerBaseUnit: perBaseUnit(tier.price) })),
+    order: {
+      units,
+      unitPrice: round(unitPrice),
+      total: round(unitPrice * units),
+      pricePerBaseUnit: perBaseUnit(unitPrice)
+    },
+    inStock: product.availableQuantity >= units,
+    distanceKm
+  };
+};
+
+// Nulls sort after every number
+const ascending = (key) => (a, b) => {
+  if (key(a) === null) return key(b) === null ? 0 : 1;
+  if (key(b) === null) return -1;
+  return key(a) - key(b);
+};
+
+// Every active offer for a commodity, cheapest first (or nearest first with
+// sort 'distance'). With an origin, offers get distanceKm and a radius drops
+// suppliers further away.
+const commodityOffers = async (commodity, { quantity, origin, radiusKm, sort = 'price' } = {}) => {
+  const products = (await Product.find({ commodity: commodity._id, isActive: true })
+    .populate('supplier', 'name companyName rating reputation.score isVerified address.city'))
+    .filter(product => product.supplier);
+
+  let distances = null;
+  if (origin) {
+    const nearby = await supplierDistances(origin, radiusKm, { _id: { $in: products.map(product => product.supplier._id) } });
+    distances = new Map(nearby.map(({ id, distanceKm }) => [id.toString(), distanceKm]));
+  }
+  const distanceTo = (product) => {
+    const id = product.supplier._id.toString();
+    return distances && distances.has(id) ? distances.get(id) : null;
+  };
+
+  const offers = products
+    // A radius leaves out suppliers outside it or without a known location
+    .filter(product => !(distances && radiusKm) || distanceTo(product) !== null)
+    .map(product => describeOffer(product, commodity, quantity, distanceTo(product)));
+
+  offers.sort(sort === 'distance'
+    ? ascending(offer => offer.distanceKm)
+    : ascending(offer => offer.order.pricePerBaseUnit));
+
+  const prices = offers.map(offer => offer.order.pricePerBaseUnit).filter(price => price !== null);
+
+  return {
+    offers,
+    summary: {
+      offers: offers.length,
+      lowestPricePerBaseUnit: prices.length ? Math.min(...prices) : null,
+      highestPricePerBaseUnit: prices.length ? Math.max(...prices) : null,
+      averagePricePerBaseUnit: prices.length ? round(prices.reduce((sum, price) => sum + price, 0) / prices.length) : null
+    }
+  };
+};
+
+module.exports = {
+  nameCandidates,
+  findCommodityFor,
+  linkUnlinkedProducts,
+  commodityOffers
+};
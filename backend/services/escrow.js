@@ -0,0 +1,302 @@
+const GroupOrder = require('../models/GroupOrder');
+const Payment = require('../models/Payment');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { getProvider } = require('./paymentProvider');
+
+// Escrow for group orders. Vendors pay their share into escrow, funds are
+// released to the supplier only once that vendor's order is delivered, and
+// anything still held is refunded when a group (or a vendor's order) is cancelled.
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+// What a participant owes at the group's current price
+const amountDue = (groupOrder, vendorId) => {
+  const participant = groupOrder.participants.find(p => idOf(p.vendor) === vendorId.toString());
+  return participant ? roundAmount(participant.quantity * groupOrder.pricePerUnit) : 0;
+};
+
+const supplierOf = async (groupOrder) => {
+  if (groupOrder.product && groupOrder.product.supplier) {
+    return groupOrder.product.supplier;
+  }
+  const product = await Product.findById(groupOrder.product).select('supplier');
+  return product.supplier;
+};
+
+// Roll the ledger up into the group's paymentStatus
+const refreshPaymentStatus = async (groupOrder) => {
+  const ledger = await Payment.ledgerFor(groupOrder._id);
+  const entries = [...ledger.values()];
+  let paymentStatus;
+
+  if (groupOrder.status === 'cancelled') {
+    const stillHeld = entries.some(entry => entry.held > 0);
+    const anyCollected = entries.some(entry => entry.collected > 0);
+    paymentStatus = stillHeld ? 'partial' : (anyCollected ? 'refunded' : 'pending');
+  } else {
+    const paid = groupOrder.participants.map(p => {
+      const entry = ledger.get(idOf(p.vendor));
+      return {
+        due: amountDue(groupOrder, idOf(p.vendor)),
+        paid: entry ? roundAmount(entry.collected - entry.refunded) : 0
+      };
+    });
+    const anyPaid = paid.some(p => p.paid > 0);
+    const allPaid = paid.length > 0 && paid.every(p => p.paid >= p.due);
+    paymentStatus = allPaid ? 'completed' : (anyPaid ? 'partial' : 'pending');
+  }
+
+  groupOrder.paymentStatus = paymentStatus;
+  await GroupOrder.updateOne({ _id: groupOrder._id }, { paymentStatus });
+  return paymentStatus;
+};
+
+// Charge a vendor for what they still owe and hold it in escrow
+const collect = async ({ groupOrder, vendorId, amount, method, payerReference }) => {
+  const result = await getProvider().charge({
+    amount,
+    method,
+    payerReference,
+    description: `Group order ${groupOrder._id} share`
+  });
+
+  const payment = await Payment.create({
+    groupOrder: groupOrder._id,
+    vendor: vendorId,
+    supplier: await supplierOf(groupOrder),
+    type: 'collection',
+    amount,
+    method,
+    status: result.status,
+    provider: getProvider().name,
+    reference: result.reference,
+    payerReference,
+    failureReason: result.failureReason
+  });
+
+  if (payment.status === 'succeeded') {
+    await refreshPaymentStatus(groupOrder);
+  }
+  return payment;
+};
+
+// A vendor's successful charges, newest first, with what can still be refunded
+// against each
+const refundableCollections = async (groupOrderId, vendorId) => {
+  const payments = await Payment.find({
+    groupOrder: groupOrderId,
+    vendor: vendorId,
+    type: { $in: ['collection', 'refund'] },
+    status: 'succeeded'
+  }).sort({ createdAt: -1 });
+
+  const refundedAgainst = new Map();
+  payments.filter(payment => payment.type === 'refund').forEach(refund => {
+    const key = refund.refundOf.toString();
+    refundedAgainst.set(key, (refundedAgainst.get(key) || 0) + refund.amount);
+  });
+
+  return payments
+    .filter(payment => payment.type === 'collection')
+    .map(collection => ({
+      collection,
+      refundable: roundAmount(collection.amount - (refundedAgainst.get(collection._id.toString()) || 0))
+    }))
+    .filter(({ refundable }) => refundable > 0);
+};
+
+// Refund a vendor some or all of what is held for them. A share paid in
+// several parts is refunded against each charge in turn, newest first.
+// Resolves to the refund payments made (empty if nothing was held).
+const refundVendor = async (groupOrderId, vendorId, reason, amount = null) => {
+  const ledger = await Payment.ledgerFor(groupOrderId);
+  const held = ledger.get(vendorId.toString())?.held || 0;
+  let remaining = roundAmount(amount === null ? held : Math.min(amount, held));
+  const refunds = [];
+  if (remaining <= 0) return refunds;
+
+  for (const { collection, refundable } of await refundableCollections(groupOrderId, vendorId)) {
+    if (remaining <= 0) break;
+    const refundAmount = roundAmount(Math.min(refundable, remaining));
+
+    const result = await getProvider().refund({
+      amount: refundAmount,
+      reference: collection.reference,
+      reason
+    });
+
+    const payment = await Payment.create({
+      groupOrder: groupOrderId,
+      order: collection.order,
+      vendor: vendorId,
+      supplier: collection.supplier,
+      type: 'refund',
+      amount: refundAmount,
+      method: collection.method,
+      status: result.status,
+      provider: getProvider().name,
+      reference: result.reference,
+      refundOf: collection._id,
+      reason,
+      failureReason: result.failureReason
+    });
+    refunds.push(payment);
+
+    if (payment.status === 'failed') {
+      console.error(`Refund to vendor ${vendorId} for group order ${groupOrderId} failed:`, payment.failureReason);
+    } else {
+      remaining = roundAmount(remaining - refundAmount);
+    }
+  }
+
+  return refunds;
+};
+
+// Refund everyone still holding money in a cancelled group.
+// Safe to call again: only amounts still held are refunded.
+const refundGroupOrder = async (groupOrder, reason) => {
+  const ledger = await Payment.ledgerFor(groupOrder._id);
+  const refunds = [];
+
+  for (const [vendorId, entry] of ledger) {
+    if (entry.held > 0) {
+      refunds.push(...await refundVendor(groupOrder._id, vendorId, reason));
+    }
+  }
+
+  // A vendor's order is only refunded once nothing is held for them; a failed
+  // refund leaves it refund_pending so a later call can try again
+  const stillHeld = [...await Payment.ledgerFor(groupOrder._id)]
+    .filter(([, entry]) => entry.held > 0)
+    .map(([vendorId]) => vendorId);
+  if (stillHeld.length > 0) {
+    console.error(`Group order ${groupOrder._id} still holds payments for ${stillHeld.length} vendor(s) after refunding`);
+  }
+
+  const settling = { groupOrder: groupOrder._id, paymentStatus: { $in: ['paid', 'refund_pending'] } };
+  await Order.updateMany({ ...settling, vendor: { $nin: stillHeld } }, { paymentStatus: 'refunded' });
+  await Order.updateMany({ ...settling, vendor: { $in: stillHeld } }, { paymentStatus: 'refund_pending' });
+  await refreshPaymentStatus(groupOrder);
+  return refunds;
+};
+
+// Refund anyone still holding money in a group they are no longer part of
+const refundNonParticipants = async (groupOrder, reason) => {
+  const ledger = await Payment.ledgerFor(groupOrder._id);
+  const participantIds = new Set(groupOrder.participants.map(p => idOf(p.vendor)));
+  const refunds = [];
+
+  for (const [vendorId, entry] of ledger) {
+    if (entry.held > 0 && !participantIds.has(vendorId)) {
+      refunds.push(...await refundVendor(groupOrder._id, vendorId, reason));
+    }
+  }
+
+  if (refunds.length > 0) {
+    await refreshPaymentStatus(groupOrder);
+  }
+  return refunds;
+};
+
+// When a group closes: link payments to each vendor's order, refund anyone
+// who paid more than the final tier price, and mark fully paid orders
+const settleAtClose = async (groupOrder, orders) => {
+  for (const order of orders) {
+    const vendorId = order.vendor.toString();
+    await Payment.updateMany(
+      { groupOrder: groupOrder._id, vendor: vendorId, order: null },
+      { order: order._id }
+    );
+
+    const ledger = await Payment.ledgerFor(groupOrder._id);
+    const entry = ledger.get(vendorId);
+    if (!entry) continue;
+
+    const due = amountDue(groupOrder, vendorId);
+    const overpaid = roundAmount(entry.collected - entry.refunded - due);
+    if (overpaid > 0) {
+      await refundVendor(groupOrder._id, vendorId, 'Group closed at a lower tier price', overpaid);
+    }
+
+    if (roundAmount(entry.collected - entry.refunded) >= due) {
+      const lastPayment = await Payment.findOne({ order: order._id, type: 'collection', status: 'succeeded' })
+        .sort({ createdAt: -1 });
+      order.paymentStatus = 'paid';
+      order.paymentMethod = lastPayment.method;
+      await order.save();
+    }
+  }
+
+  await refreshPaymentStatus(groupOrder);
+};
+
+// Once every order from a group has been delivered (or cancelled), the group is delivered
+const markGroupDeliveredIfDone = async (groupOrder) => {
+  const orders = await Order.find({ groupOrder: groupOrder._id }).select('status');
+  const done = orders.every(order => ['delivered', 'cancelled'].includes(order.status));
+  if (done && orders.some(order => order.status === 'delivered')) {
+    await GroupOrder.updateOne(
+      { _id: groupOrder._id, status: 'ordered' },
+      { status: 'delivered', deliveredAt: new Date() }
+    );
+  }
+};
+
+// Pay the supplier what is held for a delivered order
+const releaseForOrder = async (order) => {
+  const groupOrder = await GroupOrder.findById(order.groupOrder).select('-chatMessages');
+  const ledger = await Payment.ledgerFor(groupOrder._id);
+  const held = ledger.get(order.vendor.toString())?.held || 0;
+  let payment = null;
+
+  if (held > 0) {
+    const original = await Payment.findOne({
+      groupOrder: groupOrder._id,
+      vendor: order.vendor,
+      type: 'collection',
+      status: 'succeeded'
+    }).sort({ createdAt: -1 });
+
+    const result = await getProvider().payout({
+      amount: held,
+      payee: order.supplier,
+      description: `Order ${order.orderNumber}`
+    });
+
+    payment = await Payment.create({
+      groupOrder: groupOrder._id,
+      order: order._id,
+      vendor: order.vendor,
+      supplier: order.supplier,
+      type: 'release',
+      amount: held,
+      method: original.method,
+      status: result.status,
+      provider: getProvider().name,
+      reference: result.reference,
+      reason: 'Order delivered',
+      failureReason: result.failureReason
+    });
+
+    if (payment.status === 'failed') {
+      console.error(`Release for order ${order.orderNumber} failed:`, payment.failureReason);
+    }
+  }
+
+  await markGroupDeliveredIfDone(groupOrder);
+  return payment;
+};
+
+module.exports = {
+  amountDue,
+  collect,
+  refundVendor,
+  refundGroupOrder,
+  refundNonParticipants,
+  settleAtClose,
+  releaseForOrder,
+  refreshPaymentStatus
+};
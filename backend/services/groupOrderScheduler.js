@@ -0,0 +1,290 @@
+const mongoose = require('mongoose');
+const GroupOrder = require('../models/GroupOrder');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const notifier = require('./notifier');
+const escrow = require('./escrow');
+const { checkStockLevels } = require('./stockAlerts');
+const { emitGroupOrderEvent } = require('./realtime');
+
+// Closes group orders when their deadline passes. Groups that reached their
+// target become supplier orders; short groups follow their shortfallPolicy.
+
+const DEADLINE_CHECK_INTERVAL_MS = parseInt(process.env.DEADLINE_CHECK_INTERVAL_MS) || 60 * 1000;
+// A close that hasn't finished after this long is assumed to have crashed
+const CLOSING_TIMEOUT_MS = 10 * 60 * 1000;
+
+const OPEN_STATUSES = ['active', 'target_reached'];
+
+// Atomically claim one group order whose deadline has passed
+const claimExpiredGroupOrder = (now) => {
+  return GroupOrder.findOneAndUpdate(
+    {
+      status: { $in: OPEN_STATUSES },
+      deadline: { $lte: now },
+      $or: [
+        { closingStartedAt: null },
+        { closingStartedAt: { $lt: new Date(now.getTime() - CLOSING_TIMEOUT_MS) } }
+      ]
+    },
+    { closingStartedAt: now },
+    { sort: { deadline: 1 }, new: true }
+  )
+    .select('-chatMessages')
+    .populate('product')
+    .populate('participants.vendor', 'name email businessName address')
+    .populate('creator', 'name email');
+};
+
+// Create one supplier order per participant. Safe to re-run after a crash:
+// participants who already have an order for this group are skipped.
+const placeParticipantOrders = async (groupOrder) => {
+  const product = groupOrder.product;
+  const unitPrice = groupOrder.pricePerUnit;
+  const orders = [];
+
+  for (const participant of groupOrder.participants) {
+    const vendor = participant.vendor;
+    const existing = await Order.findOne({ groupOrder: groupOrder._id, vendor: vendor._id });
+    if (existing) {
+      orders.push(existing);
+      continue;
+    }
+
+    const totalAmount = product.price * participant.quantity;
+    const finalAmount = unitPrice * participant.quantity;
+
+    const order = new Order({
+      vendor: vendor._id,
+      supplier: product.supplier,
+      orderType: 'group',
+      groupOrder: groupOrder._id,
+      items: [{
+        product: product._id,
+        quantity: participant.quantity,
+        unitPrice,
+        totalPrice: finalAmount,
+        discountApplied: product.price - unitPrice
+      }],
+      totalAmount,
+      discountAmount: totalAmount - finalAmount,
+      finalAmount,
+      // Covered by the reservation made for the whole group
+      stockStatus: 'reserved',
+      deliveryAddress: vendor.address ? {
+        street: vendor.address.street,
+        city: vendor.address.city,
+        state: vendor.address.state,
+        pincode: vendor.address.pincode,
+        coordinates: vendor.address.coordinates
+      } : undefined,
+      expectedDeliveryDate: groupOrder.deliveryDate
+    });
+    order.addTrackingUpdate('pending', `Placed when group order "${groupOrder.title}" closed`);
+
+    // One at a time so order numbers are assigned in sequence
+    await order.save();
+    orders.push(order);
+  }
+
+  return orders;
+};
+
+// Email every participant (and the supplier, when orders were placed)
+const notifyGroupOrderClosed = async (groupOrder, orders) => {
+  // Orders are only placed while the product exists
+  const product = groupOrder.product || { name: groupOrder.title };
+  const unit = product.unit;
+  const ordersByVendor = new Map(orders.map(order => [order.vendor.toString(), order]));
+
+  const messages = groupOrder.participants.map(participant => {
+    const vendor = participant.vendor;
+    const order = ordersByVendor.get(vendor._id.toString());
+    const text = order
+      ? `Hi ${vendor.name},\n\nThe group order "${groupOrder.title}" has closed. We placed order ${order.orderNumber} for ${participant.quantity} ${unit} of ${product.name} at ₹${groupOrder.pricePerUnit}/${unit} (₹${order.finalAmount} in total).\n\n${groupOrder.closedReason}`
+      : `Hi ${vendor.name},\n\nThe group order "${groupOrder.title}" was cancelled at its deadline. ${groupOrder.closedReason}\n\nNo order was placed and anything you paid has been refunded.`;
+
+    return notifier.send({
+      channel: 'email',
+      to: vendor.email,
+      subject: order ? `Your order for ${product.name} has been placed` : `Group order for ${product.name} cancelled`,
+      text
+    });
+  });
+
+  if (orders.length > 0) {
+    const supplier = await User.findById(product.supplier).select('name email');
+    if (supplier) {
+      messages.push(notifier.send({
+        channel: 'email',
+        to: supplier.email,
+        subject: `New group order for ${product.name}`,
+        text: `Hi ${supplier.name},\n\nThe group order "${groupOrder.title}" has closed with ${groupOrder.currentQuantity} ${unit} of ${product.name} from ${orders.length} vendors. ${orders.length} orders are waiting for your confirmation.`
+      }));
+    }
+  }
+
+  // One failed email shouldn't stop the others
+  const results = await Promise.allSettled(messages);
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Group order notification error:', result.reason));
+};
+
+// Decide what happens to a group order whose deadline has passed
+const closeGroupOrder = async (groupOrder, io) => {
+  const product = groupOrder.product;
+  emitGroupOrderEvent(io, 'deadline-passed', groupOrder);
+
+  // A participant whose account was deleted populates as null. There is
+  // nobody to deliver to, so their quantity is dropped before the group is
+  // priced and anything they paid is refunded below.
+  const departed = groupOrder.participants.filter(participant => !participant.vendor);
+  if (departed.length > 0) {
+    groupOrder.participants = groupOrder.participants.filter(participant => participant.vendor);
+    groupOrder.currentQuantity -= departed.reduce((total, participant) => total + participant.quantity, 0);
+  }
+
+  let orders = [];
+  // A deleted product populates as null; it is handled like a withdrawn one
+  const available = Boolean(product && product.isActive);
+  const targetReached = groupOrder.currentQuantity >= groupOrder.targetQuantity;
+  const canFulfilPartially = available &&
+    groupOrder.shortfallPolicy === 'fulfil_partial' &&
+    groupOrder.currentQuantity > 0 &&
+    groupOrder.currentQuantity >= product.minimumOrderQuantity;
+
+  // Hold the pooled quantity before placing any orders. The flag is saved
+  // straight away so a retried close doesn't reserve the stock twice.
+  let inStock = true;
+  if (available && (targetReached || canFulfilPartially) && !groupOrder.stockReserved) {
+    const shortItem = await Product.reserveStock([{ product: product._id, quantity: groupOrder.currentQuantity }]);
+    inStock = !shortItem;
+    if (inStock) {
+      await GroupOrder.updateOne({ _id: groupOrder._id }, { stockReserved: true });
+      groupOrder.stockReserved = true;
+      await checkStockLevels([product._id]);
+    }
+  }
+
+  if (!product) {
+    groupOrder.status = 'cancelled';
+    groupOrder.closedReason = 'The product is no longer available from the supplier.';
+  } else if (!product.isActive) {
+    groupOrder.status = 'cancelled';
+    groupOrder.closedReason = `${product.name} is no longer available from the supplier.`;
+  } else if (!inStock) {
+    const current = await Product.findById(product._id).select('availableQuantity');
+    const availableQuantity = current ? current.availableQuantity : 0;
+    groupOrder.status = 'cancelled';
+    groupOrder.closedReason = `The supplier only has ${availableQuantity} ${product.unit} of ${product.name} in stock, short of the ${groupOrder.currentQuantity} ${product.unit} pooled.`;
+  } else if (targetReached || canFulfilPartially) {
+    // Everyone pays the tier price for the final pooled quantity
+    groupOrder.applyTierPricing(product);
+    orders = await placeParticipantOrders(groupOrder);
+    groupOrder.status = 'ordered';
+    groupOrder.orderPlacedAt = new Date();
+    groupOrder.closedReason = targetReached
+      ? 'The group reached its target.'
+      : `The group pooled ${groupOrder.currentQuantity} of its ${groupOrder.targetQuantity} ${product.unit} target, so the pooled quantity was ordered.`;
+  } else {
+    groupOrder.status = 'cancelled';
+    groupOrder.closedReason = groupOrder.shortfallPolicy === 'fulfil_partial'
+      ? `Only ${groupOrder.currentQuantity} ${product.unit} was pooled, below the supplier's minimum order of ${product.minimumOrderQuantity} ${product.unit}.`
+      : `Only ${groupOrder.currentQuantity} of the ${groupOrder.targetQuantity} ${product.unit} target was pooled.`;
+  }
+
+  // A retried close can find the product withdrawn after stock was reserved.
+  // A deleted product has no stock to give back.
+  if (groupOrder.status === 'cancelled' && groupOrder.stockReserved) {
+    if (product) {
+      await Product.releaseStock([{ product: product._id, quantity: groupOrder.currentQuantity }]);
+    }
+    groupOrder.stockReserved = false;
+  }
+
+  groupOrder.closingStartedAt = null;
+  // Only what the close changed is validated: a deleted product or creator
+  // populates as null and would fail the required check
+  await groupOrder.save({ validateModifiedOnly: true });
+
+  // Settle escrow: hand paid shares over to the new orders, or refund them
+  if (groupOrder.status === 'ordered') {
+    await escrow.settleAtClose(groupOrder, orders);
+    await escrow.refundNonParticipants(groupOrder, 'Vendor account closed before the group order was placed');
+  } else {
+    await escrow.refundGroupOrder(groupOrder, groupOrder.closedReason);
+  }
+
+  emitGroupOrderEvent(io, groupOrder.status === 'ordered' ? 'ordered' : 'cancelled', groupOrder, {
+    reason: groupOrder.closedReason
+  });
+  await notifyGroupOrderClosed(groupOrder, orders);
+};
+
+// Close every group order whose deadline has passed
+const processExpiredGroupOrders = async (io) => {
+  let closed = 0;
+  let groupOrder;
+
+  while ((groupOrder = await claimExpiredGroupOrder(new Date()))) {
+    try {
+      await closeGroupOrder(groupOrder, io);
+      closed += 1;
+    } catch (error) {
+      // Leave it claimed; it is retried once the claim times out
+      console.error(`Group order ${groupOrder._id} close error:`, error);
+    }
+  }
+
+  return closed;
+};
+
+// Run the scheduler: wake at the next deadline, and at least once per interval
+const startGroupOrderScheduler = (io, intervalMs = DEADLINE_CHECK_INTERVAL_MS) => {
+  let timer = null;
+
+  const scheduleNext = async () => {
+    let delay = intervalMs;
+    try {
+      const next = await GroupOrder.findOne({ status: { $in: OPEN_STATUSES } })
+        .sort({ deadline: 1 })
+        .select('deadline');
+      if (next) {
+        delay = Math.min(intervalMs, Math.max(next.deadline.getTime() - Date.now(), 0) + 1000);
+      }
+    } catch (error) {
+      console.error('Group order scheduler error:', error);
+    }
+
+    timer = setTimeout(run, delay);
+    // Don't keep the process alive just for the scheduler
+    timer.unref();
+  };
+
+  const run = async () => {
+    // Nothing to do until the database is connected
+    if (mongoose.connection.readyState === 1) {
+      try {
+        await processExpiredGroupOrders(io);
+      } catch (error) {
+        console.error('Group order scheduler error:', error);
+      }
+      await scheduleNext();
+    } else {
+      timer = setTimeout(run, intervalMs);
+      timer.unref();
+    }
+  };
+
+  run();
+  return {
+    stop: () => clearTimeout(timer)
+  };
+};
+
+module.exports = {
+  startGroupOrderScheduler,
+  processExpiredGroupOrders
+};
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+
+// Sends messages to users. A transport is any object with an async
+// send({ channel, to, subject, text }) method; register a real email or SMS
+// provider with setTransport() before the server starts. The console and file
+// transports are for local development only and are chosen with
+// NOTIFY_TRANSPORT; production never uses them, since messages include
+// password reset codes.
+
+// Print messages to the server console (local development)
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log(`[notify:${message.channel}] to=${message.to} subject="${message.subject || ''}"\n${message.text}`);
+  }
+};
+
+// Append messages as JSON lines to a file (local testing)
+const createFileTransport = (filePath) => ({
+  name: 'file',
+  async send(message) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const entry = { ...message, sentAt: new Date().toISOString() };
+    await fs.promises.appendFile(filePath, JSON.stringify(entry) + '\n');
+  }
+});
+
+const createDefaultTransport = () => {
+  const name = process.env.NOTIFY_TRANSPORT;
+  if (!name) return null;
+
+  if (!['console', 'file'].includes(name)) {
+    console.error(`Unknown NOTIFY_TRANSPORT "${name}"; register a transport with setTransport()`);
+    return null;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    console.error(`NOTIFY_TRANSPORT=${name} is not allowed in production: it writes password reset codes to the server`);
+    return null;
+  }
+  return name === 'file'
+    ? createFileTransport(process.env.NOTIFY_FILE_PATH || path.join(__dirname, '..', 'logs', 'notifications.log'))
+    : consoleTransport;
+};
+
+let transport = createDefaultTransport();
+
+// Replace the transport used for all messages
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+// Whether messages can be delivered at all
+const isConfigured = () => transport !== null;
+
+// Send a message through the current transport. Without one the message is
+// dropped with a warning; its text is never logged.
+const send = async ({ channel = 'email', to, subject, text }) => {
+  if (!transport) {
+    console.warn(`[notify] No transport configured; ${channel} to ${to} not sent: "${subject || ''}"`);
+    return;
+  }
+  return transport.send({ channel, to, subject, text });
+};
+
+module.exports = {
+  send,
+  setTransport,
+  isConfigured,
+  consoleTransport,
+  createFileTransport
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+// Moves money for the escrow ledger. A provider is any object with async
+// charge({ amount, method, payerReference, description }),
+// refund({ amount, reference, reason }) and payout({ amount, payee, description })
+// methods, each resolving to { status: 'succeeded' | 'failed', reference, failureReason }.
+// Register a real payment gateway with setProvider() before the server starts.
+// Without one, taking payments is switched off rather than faked.
+
+// Approve everything and record each call. Tests use it by default; local
+// development can opt in with PAYMENT_PROVIDER=mock. Never in production:
+// no money moves.
+// Queue failures with failNext() to exercise the failure paths.
+const createMockProvider = () => {
+  const calls = [];
+  const failures = [];
+
+  const handle = (action, details) => {
+    const reference = `mock_${action}_${crypto.randomBytes(6).toString('hex')}`;
+    const failureReason = failures.shift();
+    const result = failureReason
+      ? { status: 'failed', reference, failureReason }
+      : { status: 'succeeded', reference };
+    calls.push({ action, ...details, ...result, at: new Date() });
+    return result;
+  };
+
+  return {
+    name: 'mock',
+    calls,
+    failNext(reason = 'Payment declined') {
+      failures.push(reason);
+    },
+    reset() {
+      calls.length = 0;
+      failures.length = 0;
+    },
+    async charge(details) {
+      return handle('charge', details);
+    },
+    async refund(details) {
+      return handle('refund', details);
+    },
+    async payout(details) {
+      return handle('payout', details);
+    }
+  };
+};
+
+const createDefaultProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || (process.env.NODE_ENV === 'test' ? 'mock' : '');
+
+  if (name === 'mock') {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('PAYMENT_PROVIDER=mock is not allowed in production: it approves every charge');
+      return null;
+    }
+    return createMockProvider();
+  }
+
+  if (name) {
+    console.error(`Unknown PAYMENT_PROVIDER "${name}"; register a provider with setProvider()`);
+  }
+  return null;
+};
+
+let provider = createDefaultProvider();
+
+// Replace the provider used for all payments
+const setProvider = (newProvider) => {
+  provider = newProvider;
+};
+
+// Whether payments can be taken at all
+const isConfigured = () => provider !== null;
+
+// Get the current provider. Throws without one, so no payment is ever
+// recorded as made when nothing could have moved the money.
+const getProvider = () => {
+  if (!provider) {
+    throw new Error('No payment provider configured');
+  }
+  return provider;
+};
+
+module.exports = {
+  getProvider,
+  setProvider,
+  isConfigured,
+  createMockProvider
+};
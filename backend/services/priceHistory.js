@@ -0,0 +1,185 @@
+const PriceHistory = require('../models/PriceHistory');
+const Product = require('../models/Product');
+const { baseUnitsPerUnit } = require('../utils/units');
+
+// Product price history: every price change is recorded, and trends are
+// read back as one price per day (the price in effect at the end of it).
+
+// Day ranges trends can be requested for
+const PRICE_HISTORY_RANGES = [7, 30, 90];
+const DEFAULT_PRICE_HISTORY_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// The price fields a change is recorded for
+const priceState = ({ price, unit, unitSize }) => ({ price, unit, unitSize: unitSize || undefined });
+
+// Record a product's price if it changed. `before` is the product as it was,
+// or null for a new listing. Never throws, so a failed record can't fail the
+// product update that triggered it.
+const recordPriceChange = async (product, before = null) => {
+  if (before && before.price === product.price && before.unit === product.unit &&
+      (before.unitSize || null) === (product.unitSize || null)) {
+    return null;
+  }
+
+  try {
+    return await PriceHistory.create({
+      product: product._id,
+      ...priceState(product),
+      previous: before ? priceState(before) : undefined
+    });
+  } catch (error) {
+    console.error('Price history record error:', error);
+    return null;
+  }
+};
+
+// Midnight at the start of the first day in a `days`-day range ending today
+const rangeStart = (days) => {
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - (days - 1));
+  return start;
+};
+
+// Daily values for each product over the range, as a Map of product id ->
+// [{ date, value }]. `valueOf` turns a price state into the value to chart,
+// or null; days before a product was listed are null.
+const dailySeries = async (products, days, valueOf) => {
+  const since = rangeStart(days);
+  const ids = products.map(product => product._id);
+
+  const [earlier, changes] = await Promise.all([
+    // The last change before the range: the price the range opens at
+    PriceHistory.aggregate([
+      { $match: { product: { $in: ids }, createdAt: { $lt: since } } },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$product', state: { $first: '$$ROOT' } } }
+    ]),
+    PriceHistory.find({ product: { $in: ids }, createdAt: { $gte: since } }).sort({ createdAt: 1 })
+  ]);
+
+  const openingStates = new Map(earlier.map(({ _id, state }) => [_id.toString(), state]));
+  const changesByProduct = new Map(ids.map(id => [id.toString(), []]));
+  changes.forEach(change => changesByProduct.get(change.product.toString()).push(change));
+
+  const series = new Map();
+  products.forEach(product => {
+    const id = product._id.toString();
+    const productChanges = changesByProduct.get(id);
+
+    let state = openingStates.get(id) || null;
+    if (!state && productChanges.length > 0 && productChanges[0].previous && productChanges[0].previous.price !== undefined) {
+      state = productChanges[0].previous;
+    }
+    // Never changed since history began: its price has always been the current one
+    if (!state && productChanges.length === 0) {
+      state = product;
+    }
+
+    const points = [];
+    let next = 0;
+    for (let day = 0; day < days; day++) {
+      const date = new Date(since);
+      date.setDate(date.getDate() + day);
+      const dayEnd = new Date(date);
+      dayEnd.setDate(dayEnd.getDate() + 1);
+
+      while (next < productChanges.length && productChanges[next].createdAt < dayEnd) {
+        state = productChanges[next];
+        next += 1;
+      }
+      points.push({ date, value: state ? valueOf(state) : null });
+    }
+    series.set(id, points);
+  });
+
+  return series;
+};
+
+// Where the series started and ended, and its range
+const summarise = (values) => {
+  const known = values.filter(value => value !== null);
+  if (known.length === 0) {
+    return { start: null, current: null, change: null, changePercent: null, min: null, max: null };
+  }
+
+  const start = known[0];
+  const current = known[known.length - 1];
+  return {
+    start,
+    current,
+    change: round(current - start),
+    changePercent: start > 0 ? round(((current - start) / start) * 100) : null,
+    min: Math.min(...known),
+    max: Math.max(...known)
+  };
+};
+
+// A product's daily price and its individual changes over the last `days` days
+const productPriceHistory = async (product, days = DEFAULT_PRICE_HISTORY_DAYS) => {
+  const [series, changes] = await Promise.all([
+    dailySeries([product], days, state => state.price),
+    PriceHistory.find({ product: product._id, createdAt: { $gte: rangeStart(days) } }).sort({ createdAt: 1 })
+  ]);
+
+  const points = series.get(product._id.toString()).map(({ date, value }) => ({ date, price: value }));
+
+  return {
+    days,
+    unit: product.unit,
+    series: points,
+    changes: changes.map(change => ({
+      price: change.price,
+      unit: change.unit,
+      previousPrice: change.previous ? change.previous.price : null,
+      changedAt: change.createdAt
+    })),
+    summary: summarise(points.map(point => point.price))
+  };
+};
+
+// Daily lowest, average and highest price per base unit across a
+// commodity's active offers over the last `days` days
+const commodityPriceHistory = async (commodity, days = DEFAULT_PRICE_HISTORY_DAYS) => {
+  const products = await Product.find({ commodity: commodity._id, isActive: true })
+    .select('price unit unitSize');
+
+  const perBaseUnit = (state) => {
+    const perUnit = baseUnitsPerUnit(state.unit, commodity.baseUnit, state.unitSize);
+    return perUnit ? state.price / perUnit : null;
+  };
+  const series = products.length > 0 ? await dailySeries(products, days, perBaseUnit) : new Map();
+
+  const points = [];
+  for (let day = 0; day < days; day++) {
+    const prices = [...series.values()].map(productPoints => productPoints[day].value).filter(value => value !== null);
+    const date = new Date(rangeStart(days));
+    date.setDate(date.getDate() + day);
+    points.push({
+      date,
+      offers: prices.length,
+      min: prices.length ? round(Math.min(...prices)) : null,
+      average: prices.length ? round(prices.reduce((sum, price) => sum + price, 0) / prices.length) : null,
+      max: prices.length ? round(Math.max(...prices)) : null
+    });
+  }
+
+  return {
+    days,
+    unit: commodity.baseUnit,
+    series: points,
+    summary: summarise(points.map(point => point.average))
+  };
+};
+
+module.exports = {
+  PRICE_HISTORY_RANGES,
+  DEFAULT_PRICE_HISTORY_DAYS,
+  recordPriceChange,
+  productPriceHistory,
+  commodityPriceHistory
+};
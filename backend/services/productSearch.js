@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { SEARCH_SYNONYMS } = require('../utils/searchSynonyms');
+const { closestMatch } = require('../utils/fuzzy');
+const { supplierDistances } = require('../utils/geo');
+
+// Product search with regional synonyms, typo tolerance, relevance ranking
+// and facet counts. A search term is expanded into the words it could mean
+// ("pyaz" -> onion, "tumeric" -> turmeric), products matching any of them are
+// scored by where the words appear, and facets are counted in the same query.
+
+// Listed product words are cached for typo correction
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+// Most words a search expands into, to keep the query small
+const MAX_SEARCH_TERMS = 12;
+
+// Relevance points for a search word found in each field
+const FIELD_WEIGHTS = { nameWord: 6, name: 3, tags: 4, description: 1 };
+// Words from a typo correction count for less than the words typed
+const SYNONYM_WEIGHT = 1;
+const FUZZY_WEIGHT = 0.6;
+
+// Price facet bucket boundaries in ₹; prices above the last fall in a final open bucket
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+const SUPPLIER_FACET_LIMIT = 20;
+
+const SORTS = {
+  relevance: { relevance: -1, supplierReputation: -1, createdAt: -1 },
+  newest: { createdAt: -1 },
+  price_asc: { price: 1, createdAt: -1 },
+  price_desc: { price: -1, createdAt: -1 },
+  rating: { rating: -1, totalRatings: -1 },
+  reputation: { supplierReputation: -1, createdAt: -1 },
+  distance: { distanceKm: 1, createdAt: -1 }
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const tokenize = (text) => text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length > 1);
+
+let vocabulary = null;
+let vocabularyLoadedAt = 0;
+
+// Words used in active product names and tags
+const loadVocabulary = async () => {
+  if (vocabulary && Date.now() - vocabularyLoadedAt < VOCABULARY_TTL_MS) {
+    return vocabulary;
+  }
+
+  const [names, tags] = await Promise.all([
+    Product.distinct('name', { isActive: true }),
+    Product.distinct('tags', { isActive: true })
+  ]);
+
+  vocabulary = new Set([...names, ...tags].flatMap(tokenize));
+  vocabularyLoadedAt = Date.now();
+  return vocabulary;
+};
+
+const SYNONYM_PHRASES = Object.keys(SEARCH_SYNONYMS).filter(key => key.includes(' '));
+const SYNONYM_WORDS = Object.keys(SEARCH_SYNONYMS).filter(key => !key.includes(' '));
+
+// Expand a search into weighted terms: the words typed, their catalogue
+// names, and the closest listed word for anything that looks misspelt
+const expandSearch = (search, words) => {
+  const terms = new Map();
+  const corrections = [];
+  const add = (term, weight, source) => {
+    const existing = terms.get(term);
+    if (!existing || existing.weight < weight) {
+      terms.set(term, { term, weight, source });
+    }
+  };
+
+  let text = search.toLowerCase();
+
+  // Phrases first, so "lal mirch" isn't read as two separate words
+  SYNONYM_PHRASES.forEach(phrase => {
+    const pattern = new RegExp(`(^|[^\\p{L}])${escapeRegex(phrase)}(?![\\p{L}])`, 'u');
+    if (pattern.test(text)) {
+      add(phrase, 1, 'query');
+      SEARCH_SYNONYMS[phrase].forEach(term => add(term, SYNONYM_WEIGHT, 'synonym'));
+      text = text.replace(pattern, '$1 ');
+    }
+  });
+
+  tokenize(text).forEach(word => {
+    add(word, 1, 'query');
+
+    if (SEARCH_SYNONYMS[word]) {
+      SEARCH_SYNONYMS[word].forEach(term => add(term, SYNONYM_WEIGHT, 'synonym'));
+      return;
+    }
+
+    // Words that appear in listings, even as part of a longer one, are spelt fine
+    if ([...words].some(listed => listed.includes(word))) return;
+
+    const regionalName = closestMatch(word, SYNONYM_WORDS);
+    if (regionalName) {
+      corrections.push({ from: word, to: regionalName });
+      SEARCH_SYNONYMS[regionalName].forEach(term => add(term, FUZZY_WEIGHT, 'fuzzy'));
+      return;
+    }
+
+    const listed = closestMatch(word, words);
+    if (listed) {
+      corrections.push({ from: word, to: listed });
+      add(listed, FUZZY_WEIGHT, 'fuzzy');
+    }
+  });
+
+  return {
+    terms: [...terms.values()].slice(0, MAX_SEARCH_TERMS),
+    corrections
+  };
+};
+
+// Products mentioning any of the terms
+const termsMatch = (terms) => ({
+  $or: terms.flatMap(({ term }) => {
+    const regex = new RegExp(escapeRegex(term), 'i');
+    return [{ name: regex }, { tags: regex }, { description: regex }];
+  })
+});
+
+// Relevance score: points for each term by where it appears, scaled by the term's weight
+const relevanceField = (terms) => {
+  const tagsText = {
+    $reduce: { input: { $ifNull: ['$tags', []] }, initialValue: '', in: { $concat: ['$$value', ' ', '$$this'] } }
+  };
+  const pointsIf = (input, regex, points) => ({
+    $cond: [{ $regexMatch: { input, regex, options: 'i' } }, points, 0]
+  });
+
+  return {
+    $add: terms.map(({ term, weight }) => {
+      const pattern = escapeRegex(term);
+      return {
+        $multiply: [weight, {
+          $add: [
+            pointsIf('$name', `\\b${pattern}`, FIELD_WEIGHTS.nameWord),
+            pointsIf('$name', pattern, FIELD_WEIGHTS.name),
+            pointsIf(tagsText, pattern, FIELD_WEIGHTS.tags),
+            pointsIf({ $ifNull: ['$description', ''] }, pattern, FIELD_WEIGHTS.description)
+          ]
+        }]
+      };
+    })
+  };
+};
+
+// Facet counts ignore their own filter, so picking a category still shows
+// how many results the other categories have
+const facetCounts = (field, matchOthers) => [
+  { $match: { ...matchOthers, [field]: { $ne: null } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+const formatFacet = (buckets) => buckets.map(({ _id, count }) => ({ value: _id, count }));
+
+// Search active products. Filters are category, unit, quality, supplier,
+// minPrice and maxPrice; origin/radiusKm limit results to nearby suppliers
+// and add distanceKm. Resolves to { products, total, facets, search }.
+const searchProducts = async ({
+  search,
+  filters = {},
+  sort,
+  origin,
+  radiusKm,
+  skip = 0,
+  limit = 20
+}) => {
+  const baseMatch = { isActive: true };
+  const stages = [];
+
+  let expanded = null;
+  if (search && search.trim()) {
+    expanded = expandSearch(search, await loadVocabulary());
+    if (expanded.terms.length > 0) {
+      Object.assign(baseMatch, termsMatch(expanded.terms));
+      stages.push({ $addFields: { relevance: relevanceField(expanded.terms) } });
+    }
+  }
+
+  if (origin) {
+    const nearby = await supplierDistances(origin, radiusKm);
+    const ids = nearby.map(supplier => supplier.id);
+    baseMatch.supplier = { $in: ids };
+    stages.push({
+      $addFields: {
+        distanceKm: { $arrayElemAt: [nearby.map(supplier => supplier.distanceKm), { $indexOfArray: [ids, '$supplier'] }] }
+      }
+    });
+  }
+
+  // One match condition per facet
+  const conditions = {};
+  if (filters.category) conditions.category = { category: filters.category };
+  if (filters.unit) conditions.unit = { unit: filters.unit };
+  if (filters.quality) conditions.quality = { 'specifications.quality': filters.quality };
+  if (filters.supplier) conditions.supplier = { supplier: new mongoose.Types.ObjectId(filters.supplier) };
+  if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+    const price = {};
+    if (filters.minPrice !== undefined) price.$gte = filters.minPrice;
+    if (filters.maxPrice !== undefined) price.$lte = filters.maxPrice;
+    conditions.price = { price };
+  }
+  const matchExcept = (facet) => Object.assign({}, ...Object.entries(conditions)
+    .filter(([name]) => name !== facet)
+    .map(([, condition]) => condition));
+  const matchAll = matchExcept(null);
+
+  // Relevance only means something when there is a search
+  const ranked = Boolean(expanded && expanded.terms.length > 0);
+  const sortKey = sort === 'relevance' && !ranked ? 'newest' : sort || (ranked ? 'relevance' : 'newest');
+  const sortStage = { ...SORTS[sortKey], _id: 1 };
+
+  const [result] = await Product.aggregate([
+    { $match: baseMatch },
+    ...stages,
+    {
+      $facet: {
+        products: [{ $match: matchAll }, { $sort: sortStage }, { $skip: skip }, { $limit: limit }],
+        total: [{ $match: matchAll }, { $count: 'count' }],
+        categories: facetCounts('category', matchExcept('category')),
+        units: facetCounts('unit', matchExcept('unit')),
+        qualities: facetCounts('specifications.quality', matchExcept('quality')),
+        suppliers: [
+          ...facetCounts('supplier', matchExcept('supplier')),
+          { $limit: SUPPLIER_FACET_LIMIT },
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'supplier' } },
+          { $project: { count: 1, name: { $first: '$supplier.companyName' }, contactName: { $first: '$supplier.name' } } }
+        ],
+        priceRanges: [
+          { $match: matchExcept('price') },
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_BUCKETS,
+              default: 'above',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  await Product.populate(result.products, { path: 'supplier', select: 'name companyName rating reputation.score isVerified' });
+
+  const lastBoundary = PRICE_BUCKETS[PRICE_BUCKETS.length - 1];
+
+  return {
+    products: result.products,
+    total: result.total.length ? result.total[0].count : 0,
+    facets: {
+      categories: formatFacet(result.categories),
+      units: formatFacet(result.units),
+      qualities: formatFacet(result.qualities),
+      suppliers: result.suppliers.map(({ _id, count, name, contactName }) => ({ value: _id, name: name || contactName, count })),
+      priceRanges: result.priceRanges.map(({ _id, count }) => {
+        if (_id === 'above') return { min: lastBoundary, max: null, count };
+        return { min: _id, max: PRICE_BUCKETS[PRICE_BUCKETS.indexOf(_id) + 1], count };
+      })
+    },
+    search: expanded && {
+      query: search,
+      terms: expanded.terms,
+      corrections: expanded.corrections
+    }
+  };
+};
+
+module.exports = {
+  SORT_OPTIONS: Object.keys(SORTS),
+  expandSearch,
+  searchProducts
+};
@@ -0,0 +1,109 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Socket.IO setup. Clients connect with their access token and join a
+// `group-order-${id}` room for each group order they are watching.
+
+const groupOrderRoom = (groupOrderId) => `group-order-${groupOrderId}`;
+
+// Authenticate a socket from the access token sent in the handshake
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token;
+    if (!token) {
+      return next(new Error('Access token required'));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const session = decoded.sessionId &&
+      await Session.findOne({ _id: decoded.sessionId, user: decoded.userId });
+    if (!session || !session.isActive()) {
+      return next(new Error('Session has ended'));
+    }
+
+    const user = await User.findById(decoded.userId).select('name businessName userType isActive');
+    if (!user || !user.isActive) {
+      return next(new Error('Invalid token'));
+    }
+
+    socket.data.user = {
+      id: user._id.toString(),
+      name: user.businessName || user.name,
+      userType: user.userType
+    };
+    next();
+  } catch (error) {
+    next(new Error('Invalid or expired token'));
+  }
+};
+
+// Wire up authentication and the group order rooms
+const setupRealtime = (io) => {
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    console.log('User connected:', socket.id, socket.data.user.id);
+
+    // Join group order room
+    socket.on('join-group-order', (groupOrderId) => {
+      if (!mongoose.isValidObjectId(groupOrderId)) return;
+      socket.join(groupOrderRoom(groupOrderId));
+    });
+
+    // Leave group order room
+    socket.on('leave-group-order', (groupOrderId) => {
+      if (!mongoose.isValidObjectId(groupOrderId)) return;
+      socket.leave(groupOrderRoom(groupOrderId));
+    });
+
+    socket.on('disconnect', () => {
+      console.log('User disconnected:', socket.id);
+    });
+  });
+};
+
+// The progress figures sent with every group order event
+const groupOrderProgress = (groupOrder) => ({
+  groupOrderId: groupOrder._id.toString(),
+  status: groupOrder.status,
+  currentQuantity: groupOrder.currentQuantity,
+  targetQuantity: groupOrder.targetQuantity,
+  progressPercentage: groupOrder.progressPercentage,
+  participantCount: groupOrder.participants.length,
+  maxParticipants: groupOrder.maxParticipants,
+  pricePerUnit: groupOrder.pricePerUnit,
+  pricing: groupOrder.pricing,
+  deadline: groupOrder.deadline
+});
+
+// Tell everyone watching a group order that it changed.
+// Events: group-order:joined, group-order:left, group-order:quantity-changed,
+// group-order:price-changed, group-order:target-reached, group-order:deadline-passed,
+// group-order:ordered, group-order:cancelled
+const emitGroupOrderEvent = (io, event, groupOrder, details = {}) => {
+  if (!io) return;
+  io.to(groupOrderRoom(groupOrder._id)).emit(`group-order:${event}`, {
+    ...groupOrderProgress(groupOrder),
+    ...details,
+    at: new Date()
+  });
+};
+
+// Send an event only to watchers who are members of the group order
+const emitToGroupOrderMembers = async (io, groupOrder, event, payload) => {
+  if (!io) return;
+  const sockets = await io.in(groupOrderRoom(groupOrder._id)).fetchSockets();
+  sockets
+    .filter(socket => groupOrder.isMember(socket.data.user.id))
+    .forEach(socket => socket.emit(event, payload));
+};
+
+module.exports = {
+  setupRealtime,
+  emitGroupOrderEvent,
+  emitToGroupOrderMembers,
+  groupOrderRoom
+};
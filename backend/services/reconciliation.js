@@ -0,0 +1,182 @@
+const Order = require('../models/Order');
+const { recordUpiResult } = require('./upiPayments');
+
+// Match a supplier's bank statement against their unpaid orders. Credits that
+// carry one of our UPI request references (or an order number) and the right
+// amount settle that order; credits that only match on amount are suggested
+// for the supplier to confirm, never applied automatically.
+
+const UPI_REFERENCE = /VCP[0-9A-F]{12}/i;
+
+// Header names banks use for each column we need, most specific first
+const COLUMN_NAMES = {
+  credit: [/^(credit|deposit)( amount| amt)?( \(inr\)| \(₹\))?$/, /credit|deposit/],
+  amount: [/^(transaction )?amount( \(inr\)| \(₹\))?$/, /^(?!.*(withdrawal|debit)).*(amount|amt)/],
+  // Dr/Cr marker on statements with a single amount column
+  direction: [/^(dr ?\/ ?cr|cr ?\/ ?dr|type|transaction type)$/],
+  narration: [/narration|description|particulars|remarks|details/],
+  utr: [/utr|ref(erence)?( no\.?| number)?$|chq|cheque/],
+  date: [/date/]
+};
+
+const findColumn = (header, patterns) => {
+  for (const pattern of patterns) {
+    const index = header.findIndex(name => pattern.test(name));
+    if (index !== -1) return index;
+  }
+  return -1;
+};
+
+// Work out which columns hold what from the statement's header row.
+// Returns null if there's no amount or narration column.
+const statementColumns = (headerRow) => {
+  const header = headerRow.map(name => name.toLowerCase().trim());
+  const columns = {};
+  Object.entries(COLUMN_NAMES).forEach(([key, patterns]) => {
+    columns[key] = findColumn(header, patterns);
+  });
+
+  // Prefer a credit column; a plain amount column may hold debits as negatives
+  columns.amount = columns.credit !== -1 ? columns.credit : columns.amount;
+  delete columns.credit;
+
+  return columns.amount === -1 || columns.narration === -1 ? null : columns;
+};
+
+// "1,250.00", "₹1250", "1250.00 CR" -> 1250
+const parseAmount = (value) => {
+  if (!value) return NaN;
+  return parseFloat(value.replace(/[₹,\s]|cr$/gi, ''));
+};
+
+const sameAmount = (a, b) => Math.abs(a - b) < 0.01;
+
+// Settle an order found by its order number rather than a UPI reference.
+// Like a UPI callback, it is marked paid in one update that only applies while
+// the order can still take payment, so a cancelled or already paid order is
+// never marked paid. Resolves to the row's outcome.
+const settleByOrderNumber = async (order, utr, amount) => {
+  const paid = await Order.findOneAndUpdate(
+    { _id: order._id, status: { $ne: 'cancelled' }, paymentStatus: { $ne: 'paid' } },
+    {
+      $set: { paymentStatus: 'paid', paymentReference: utr, paidAt: new Date() },
+      $push: {
+        'trackingInfo.updates': {
+          status: order.status,
+          message: `Payment of ₹${amount} found on bank statement (ref ${utr || 'none'})`
+        }
+      }
+    },
+    { new: true }
+  );
+  if (paid) return 'matched';
+
+  const current = await Order.findById(order._id).select('orderNumber status');
+  if (current.status === 'cancelled') {
+    // The order can't take the money; the supplier needs to refund the vendor
+    console.error(`Bank statement payment of ₹${amount} (ref ${utr || 'none'}) is for cancelled order ${current.orderNumber} and needs a refund`);
+    return 'cancelled_order';
+  }
+  return 'already_paid';
+};
+
+const reconcileRow = async (supplierId, row, columns, orderNumbers) => {
+  const amount = parseAmount(row[columns.amount]);
+  const narration = row[columns.narration] || '';
+  const utr = columns.utr !== -1 ? row[columns.utr] : '';
+  const result = {
+    date: columns.date !== -1 ? row[columns.date] : undefined,
+    narration,
+    amount
+  };
+
+  // Debits and blank rows
+  const isDebit = columns.direction !== -1 && /^d/i.test(row[columns.direction] || '');
+  if (!(amount > 0) || isDebit) {
+    return { ...result, outcome: 'skipped' };
+  }
+
+  const text = `${narration} ${utr}`;
+  const upiReference = text.match(UPI_REFERENCE);
+
+  if (upiReference) {
+    const reference = upiReference[0].toUpperCase();
+    const order = await Order.findOne({ supplier: supplierId, 'upiRequests.reference': reference });
+    if (order) {
+      const { outcome } = await recordUpiResult({
+        reference,
+        status: 'SUCCESS',
+        amount,
+        utr: utr || reference,
+        source: 'bank statement'
+      });
+      return {
+        ...result,
+        orderNumber: order.orderNumber,
+        outcome: { paid: 'matched', duplicate: 'already_paid' }[outcome] || outcome
+      };
+    }
+  }
+
+  // Order number formats are configurable, so look for any of the supplier's
+  // order numbers in the text, longest first
+  const upperText = text.toUpperCase();
+  const orderNumber = orderNumbers.find(number => upperText.includes(number));
+  if (orderNumber) {
+    const order = await Order.findOne({ supplier: supplierId, orderNumber });
+    if (order) {
+      if (order.paymentStatus === 'paid') {
+        return { ...result, orderNumber: order.orderNumber, outcome: 'already_paid' };
+      }
+      if (!sameAmount(order.finalAmount, amount)) {
+        return { ...result, orderNumber: order.orderNumber, outcome: 'amount_mismatch' };
+      }
+      const outcome = await settleByOrderNumber(order, utr, amount);
+      return { ...result, orderNumber: order.orderNumber, outcome };
+    }
+  }
+
+  // Nothing to go on but the amount: suggest it if exactly one order fits
+  const candidates = await Order.find({
+    supplier: supplierId,
+    orderType: 'individual',
+    status: { $ne: 'cancelled' },
+    paymentStatus: { $in: ['pending', 'failed'] },
+    finalAmount: { $gte: amount - 0.005, $lte: amount + 0.005 }
+  }).select('orderNumber').limit(2);
+
+  if (candidates.length === 1) {
+    return { ...result, orderNumber: candidates[0].orderNumber, outcome: 'suggested' };
+  }
+  return { ...result, outcome: 'unmatched' };
+};
+
+// Reconcile parsed statement rows (without the header) for a supplier
+const reconcileStatement = async (supplierId, rows, columns) => {
+  const orders = await Order.find({
+    supplier: supplierId,
+    orderType: 'individual',
+    status: { $ne: 'cancelled' }
+  }).select('orderNumber');
+  const orderNumbers = orders
+    .map(order => order.orderNumber)
+    .sort((a, b) => b.length - a.length);
+
+  const results = [];
+  // One row at a time: two credits for the same order mustn't both settle it
+  for (const [index, row] of rows.entries()) {
+    results.push({ row: index + 2, ...(await reconcileRow(supplierId, row, columns, orderNumbers)) });
+  }
+
+  const summary = { rows: rows.length, matched: 0, already_paid: 0, amount_mismatch: 0, cancelled_order: 0, suggested: 0, unmatched: 0, skipped: 0 };
+  results.forEach(({ outcome }) => {
+    summary[outcome] = (summary[outcome] || 0) + 1;
+  });
+
+  return { summary, results };
+};
+
+module.exports = {
+  statementColumns,
+  reconcileStatement
+};
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const {
+  PRIOR_RATING,
+  PRIOR_REVIEW_WEIGHT,
+  PRIOR_ON_TIME_RATE,
+  PRIOR_CANCELLATION_RATE,
+  PRIOR_ORDER_WEIGHT,
+  round,
+  reputationScore
+} = require('../utils/reputation');
+
+// Supplier reputation: a 0-100 score built from a smoothed rating, on-time
+// delivery and cancellations (see utils/reputation.js for the priors).
+
+// A review's weight halves every REVIEW_HALF_LIFE_DAYS, so recent reviews count for more
+const REVIEW_HALF_LIFE_DAYS = 180;
+
+// Delivery rates cover orders from the last ORDER_WINDOW_DAYS
+const ORDER_WINDOW_DAYS = 365;
+
+// Deliveries on or before the day after the expected date count as on time
+const ON_TIME_GRACE_MS = 24 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REFRESH_INTERVAL_MS = parseInt(process.env.REPUTATION_REFRESH_INTERVAL_MS) || DAY_MS;
+
+const smooth = (value, count, prior, priorWeight) => (value + prior * priorWeight) / (count + priorWeight);
+
+// Recency-weighted Bayesian average of the supplier's reviews
+const bayesianRating = async (supplierId) => {
+  const [totals] = await Review.aggregate([
+    { $match: { supplier: supplierId, status: { $ne: 'removed' } } },
+    {
+      $project: {
+        rating: 1,
+        weight: {
+          $pow: [0.5, { $divide: [{ $subtract: ['$$NOW', '$createdAt'] }, REVIEW_HALF_LIFE_DAYS * DAY_MS] }]
+        }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        weight: { $sum: '$weight' },
+        weightedRating: { $sum: { $multiply: ['$weight', '$rating'] } }
+      }
+    }
+  ]);
+
+  const { weight, weightedRating } = totals || { weight: 0, weightedRating: 0 };
+  return smooth(weightedRating, weight, PRIOR_RATING, PRIOR_REVIEW_WEIGHT);
+};
+
+// Delivery counts over the order window. Only cancellations by the supplier
+// count against them; vendors changing their mind doesn't.
+const orderOutcomes = async (supplierId) => {
+  const since = new Date(Date.now() - ORDER_WINDOW_DAYS * DAY_MS);
+
+  const [totals] = await Order.aggregate([
+    { $match: { supplier: supplierId, status: { $in: ['delivered', 'cancelled'] }, createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: null,
+        completed: { $sum: 1 },
+        delivered: { $sum: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] } },
+        scheduled: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$status', 'delivered'] }, { $gt: ['$expectedDeliveryDate', null] }] }, 1, 0] }
+        },
+        onTime: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ['$status', 'delivered'] },
+                  { $gt: ['$expectedDeliveryDate', null] },
+                  { $lte: ['$actualDeliveryDate', { $add: ['$expectedDeliveryDate', ON_TIME_GRACE_MS] }] }
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        },
+        supplierCancelled: { $sum: { $cond: [{ $eq: ['$cancelledBy', 'supplier'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return totals || { completed: 0, delivered: 0, scheduled: 0, onTime: 0, supplierCancelled: 0 };
+};
+
+// Work out a supplier's reputation without saving it
+const calculateReputation = async (supplierId) => {
+  const id = new mongoose.Types.ObjectId(supplierId);
+  const [rating, outcomes] = await Promise.all([bayesianRating(id), orderOutcomes(id)]);
+
+  const onTimeRate = smooth(outcomes.onTime, outcomes.scheduled, PRIOR_ON_TIME_RATE, PRIOR_ORDER_WEIGHT);
+  const cancellationRate = smooth(outcomes.supplierCancelled, outcomes.completed, PRIOR_CANCELLATION_RATE, PRIOR_ORDER_WEIGHT);
+
+  return {
+    score: reputationScore({ rating, onTimeRate, cancellationRate }),
+    bayesianRating: round(rating, 2),
+    onTimeRate: round(onTimeRate, 3),
+    cancellationRate: round(cancellationRate, 3),
+    deliveredOrders: outcomes.delivered,
+    calculatedAt: new Date()
+  };
+};
+
+// Recalculate and save a supplier's reputation, copying the score onto their
+// products for search. Never throws, so a failed refresh can't fail the
+// review or order update that triggered it.
+const refreshReputation = async (supplierId) => {
+  try {
+    const reputation = await calculateReputation(supplierId);
+    await Promise.all([
+      User.updateOne({ _id: supplierId, userType: 'supplier' }, { reputation }),
+      Product.updateMany({ supplier: supplierId }, { supplierReputation: reputation.score })
+    ]);
+    return reputation;
+  } catch (error) {
+    console.error('Reputation refresh error:', error);
+    return null;
+  }
+};
+
+// Recalculate every supplier, so reviews fade with age even when nothing new happens
+const refreshAllReputations = async () => {
+  const suppliers = User.find({ userType: 'supplier' }).select('_id').cursor();
+  for await (const supplier of suppliers) {
+    await refreshReputation(supplier._id);
+  }
+};
+
+// Refresh all reputations once the database is up, then once a day
+const startReputationScheduler = ({ intervalMs = REFRESH_INTERVAL_MS } = {}) => {
+  const run = async () => {
+    // Nothing to do until the database is connected
+    if (mongoose.connection.readyState === 1) {
+      try {
+        await refreshAllReputations();
+      } catch (error) {
+        console.error('Reputation scheduler error:', error);
+      }
+    }
+  };
+
+  // Run straight away too, so scores are current however often the process restarts
+  if (mongoose.connection.readyState === 1) {
+    run();
+  } else {
+    mongoose.connection.once('connected', run);
+  }
+
+  const timer = setInterval(run, intervalMs);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+
+  return {
+    stop: () => {
+      clearInterval(timer);
+      mongoose.connection.removeListener('connected', run);
+    }
+  };
+};
+
+module.exports = {
+  calculateReputation,
+  refreshReputation,
+  refreshAllReputations,
+  startReputationScheduler
+};
@@ -0,0 +1,112 @@
+// Sends SMS messages. A gateway is any object with an async
+// sendSms({ to, text }) method. The gateway is chosen from SMS_PROVIDER:
+// 'twilio' for real delivery, 'stub' for local development. Without one,
+// phone login is switched off; the rest of the API works as usual.
+
+// Keep messages in memory and print them. Tests and local development only:
+// codes are logged in clear.
+const createStubGateway = () => {
+  const sent = [];
+  return {
+    name: 'stub',
+    sent,
+    async sendSms({ to, text }) {
+      sent.push({ to, text, sentAt: new Date() });
+      console.log(`[sms:stub] to=${to}\n${text}`);
+    },
+    // Latest message sent to a number, if any
+    lastMessageTo(to) {
+      for (let i = sent.length - 1; i >= 0; i--) {
+        if (sent[i].to === to) return sent[i];
+      }
+      return null;
+    },
+    clear() {
+      sent.length = 0;
+    }
+  };
+};
+
+// Send through Twilio's Messages API. Numbers are stored without a country
+// code, so countryCode is added to any number that doesn't start with '+'.
+const createTwilioGateway = ({ accountSid, authToken, from, countryCode = '91' }) => ({
+  name: 'twilio',
+  async sendSms({ to, text }) {
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({
+        To: to.startsWith('+') ? to : `+${countryCode}${to}`,
+        From: from,
+        Body: text
+      })
+    });
+    if (!response.ok) {
+      throw new Error(`Twilio rejected the message (HTTP ${response.status})`);
+    }
+  }
+});
+
+const createDefaultGateway = () => {
+  const provider = process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'test' ? 'stub' : '');
+
+  if (provider === 'twilio') {
+    const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER } = process.env;
+    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM_NUMBER) {
+      console.error('SMS_PROVIDER is twilio but TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN or TWILIO_FROM_NUMBER is missing');
+      return null;
+    }
+    return createTwilioGateway({
+      accountSid: TWILIO_ACCOUNT_SID,
+      authToken: TWILIO_AUTH_TOKEN,
+      from: TWILIO_FROM_NUMBER,
+      countryCode: process.env.SMS_COUNTRY_CODE
+    });
+  }
+
+  if (provider === 'stub') {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('SMS_PROVIDER=stub is not allowed in production: it logs login codes');
+      return null;
+    }
+    return createStubGateway();
+  }
+
+  if (provider) {
+    console.error(`Unknown SMS_PROVIDER "${provider}"`);
+  }
+  return null;
+};
+
+let gateway = createDefaultGateway();
+
+// Replace the gateway used for all messages
+const setGateway = (newGateway) => {
+  gateway = newGateway;
+};
+
+// Get the current gateway
+const getGateway = () => gateway;
+
+// Whether messages can be sent at all
+const isConfigured = () => gateway !== null;
+
+// Send an SMS through the current gateway
+const sendSms = async ({ to, text }) => {
+  if (!gateway) {
+    throw new Error('No SMS gateway configured');
+  }
+  return gateway.sendSms({ to, text });
+};
+
+module.exports = {
+  sendSms,
+  setGateway,
+  getGateway,
+  isConfigured,
+  createStubGateway,
+  createTwilioGateway
+};
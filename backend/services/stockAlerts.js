@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const notifier = require('./notifier');
+
+// Low stock alerts and restock suggestions. A supplier is told once when a
+// product drops to its reorder threshold; the alert re-arms when stock goes
+// back above it.
+
+// Sales history used for the sales rate, and how many days of sales a restock should cover
+const DEFAULT_SALES_WINDOW_DAYS = 30;
+const DEFAULT_COVER_DAYS = 14;
+
+// Units ordered per product over the last `days` days (cancelled orders excluded).
+// Resolves to a Map of product id -> { sold, perDay }.
+const salesVelocity = async (productIds, days = DEFAULT_SALES_WINDOW_DAYS) => {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const ids = productIds.map(id => new mongoose.Types.ObjectId(id));
+
+  const totals = await Order.aggregate([
+    { $match: { 'items.product': { $in: ids }, status: { $ne: 'cancelled' }, createdAt: { $gte: since } } },
+    { $unwind: '$items' },
+    { $match: { 'items.product': { $in: ids } } },
+    { $group: { _id: '$items.product', sold: { $sum: '$items.quantity' } } }
+  ]);
+
+  const velocity = new Map();
+  totals.forEach(({ _id, sold }) => {
+    velocity.set(_id.toString(), { sold, perDay: sold / days });
+  });
+  return velocity;
+};
+
+// How much to restock so the product stays above its threshold for `coverDays`
+// days at its recent sales rate
+const restockSuggestion = (product, velocity, { days = DEFAULT_SALES_WINDOW_DAYS, coverDays = DEFAULT_COVER_DAYS } = {}) => {
+  const { sold, perDay } = velocity || { sold: 0, perDay: 0 };
+  const target = product.reorderThreshold + perDay * coverDays;
+
+  return {
+    soldLastDays: sold,
+    salesWindowDays: days,
+    dailySales: Math.round(perDay * 100) / 100,
+    // null when nothing has sold recently
+    daysOfStockLeft: perDay > 0 ? Math.floor(product.availableQuantity / perDay) : null,
+    suggestedQuantity: Math.max(Math.ceil(target - product.availableQuantity), 0),
+    coverDays
+  };
+};
+
+// Email the supplier about one of their products running low
+const sendLowStockAlert = async (product) => {
+  const supplier = await User.findById(product.supplier).select('name email');
+  if (!supplier) return;
+
+  const velocity = await salesVelocity([product._id]);
+  const suggestion = restockSuggestion(product, velocity.get(product._id.toString()));
+  const level = product.stockLevel() === 'critical' ? 'critically low' : 'low';
+  const runway = suggestion.daysOfStockLeft !== null
+    ? ` At recent sales of ${suggestion.dailySales} ${product.unit} a day, that lasts about ${suggestion.daysOfStockLeft} days.`
+    : '';
+
+  await notifier.send({
+    channel: 'email',
+    to: supplier.email,
+    subject: `${product.name} is running ${level}`,
+    text: `Hi ${supplier.name},\n\nYou have ${product.availableQuantity} ${product.unit} of ${product.name} left to sell, at or below your reorder level of ${product.reorderThreshold} ${product.unit}.${runway}\n\nWe suggest restocking ${suggestion.suggestedQuantity} ${product.unit} to cover the next ${suggestion.coverDays} days.`
+  });
+};
+
+// Check products after their stock changed: alert suppliers about products
+// that just reached their threshold and re-arm alerts for restocked ones.
+// Never throws, so a failed alert can't fail the order that triggered it.
+const checkStockLevels = async (productIds) => {
+  try {
+    const ids = productIds.map(id => new mongoose.Types.ObjectId(id));
+
+    await Product.updateMany(
+      { _id: { $in: ids }, lowStockAlertedAt: { $ne: null }, $expr: { $gt: ['$availableQuantity', '$reorderThreshold'] } },
+      { lowStockAlertedAt: null }
+    );
+
+    for (const id of ids) {
+      // Claim the alert so concurrent orders only send it once
+      const product = await Product.findOneAndUpdate(
+        { _id: id, isActive: true, lowStockAlertedAt: null, $expr: { $lte: ['$availableQuantity', '$reorderThreshold'] } },
+        { lowStockAlertedAt: new Date() },
+        { new: true }
+      );
+      if (product) {
+        await sendLowStockAlert(product);
+      }
+    }
+  } catch (error) {
+    console.error('Low stock alert error:', error);
+  }
+};
+
+module.exports = {
+  DEFAULT_SALES_WINDOW_DAYS,
+  DEFAULT_COVER_DAYS,
+  salesVelocity,
+  restockSuggestion,
+  checkStockLevels
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { buildUpiLink, newPaymentReference } = require('../utils/upi');
+
+// UPI payments for individual orders. The vendor gets a `upi://pay` request
+// addressed to the supplier's UPI ID; the payment gateway then reports the
+// result to /api/payments/upi/callback, or the supplier uploads a bank
+// statement and the payment is found there (see reconciliation.js).
+
+// Fields the gateway signs, in order
+const signedFields = ({ reference, status, amount, utr }) =>
+  [reference, status, Number(amount).toFixed(2), utr || ''].join('|');
+
+// HMAC-SHA256 signature for a callback, with UPI_WEBHOOK_SECRET
+const signCallback = (payload) => {
+  return crypto
+    .createHmac('sha256', process.env.UPI_WEBHOOK_SECRET)
+    .update(signedFields(payload))
+    .digest('hex');
+};
+
+// Check a callback's signature in constant time
+const verifyCallbackSignature = (payload, signature) => {
+  if (!signature) return false;
+  const expected = Buffer.from(signCallback(payload), 'hex');
+  const given = Buffer.from(signature, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// The request details a vendor needs to pay
+const describeRequest = (order, request, payeeName) => {
+  const link = buildUpiLink({
+    vpa: request.vpa,
+    payeeName,
+    amount: request.amount,
+    reference: request.reference,
+    note: `Order ${order.orderNumber}`
+  });
+
+  return {
+    reference: request.reference,
+    amount: request.amount,
+    vpa: request.vpa,
+    payeeName,
+    status: request.status,
+    link,
+    // Render as a QR code for paying from another phone
+    qrPayload: link
+  };
+};
+
+// Get the open UPI request for an order, creating one if needed.
+// Resolves to null if the supplier has no UPI ID.
+const requestUpiPayment = async (order) => {
+  const supplier = await User.findById(order.supplier).select('name companyName upiId');
+  if (!supplier || !supplier.upiId) return null;
+
+  const payeeName = supplier.companyName || supplier.name;
+
+  // Reuse the open request unless the amount or UPI ID has changed since
+  let request = order.upiRequests.find(r =>
+    r.status === 'created' && r.amount === order.finalAmount && r.vpa === supplier.upiId
+  );
+
+  if (!request) {
+    order.upiRequests.push({
+      reference: newPaymentReference(),
+      amount: order.finalAmount,
+      vpa: supplier.upiId
+    });
+    request = order.upiRequests[order.upiRequests.length - 1];
+    order.paymentMethod = 'upi';
+    // Trying again after a failed payment
+    if (order.paymentStatus === 'failed') {
+      order.paymentStatus = 'pending';
+    }
+    await order.save();
+  }
+
+  return describeRequest(order, request, payeeName);
+};
+
+// Apply the result of a UPI payment to its order. Each request is settled
+// once; repeats of the same callback are reported as duplicates.
+// `source` says where the result came from, for the order's tracking history.
+const recordUpiResult = async ({ reference, status, amount, utr, reason, source = 'gateway' }) => {
+  const existing = await Order.findOne({ 'upiRequests.reference': reference });
+  if (!existing) {
+    return { outcome: 'unknown_reference' };
+  }
+
+  const request = existing.findUpiRequest(reference);
+  if (request.status !== 'created') {
+    return { order: existing, outcome: 'duplicate' };
+  }
+
+  // Money arrived but not the amount asked for: leave it for the supplier to sort out
+  if (status === 'SUCCESS' && Math.abs(Number(amount) - request.amount) >= 0.01) {
+    console.error(`UPI payment ${reference} was for ₹${amount}, expected ₹${request.amount}`);
+    return { order: existing, outcome: 'amount_mismatch' };
+  }
+
+  const received = `UPI payment of ₹${amount} received via ${source} (UTR ${utr})`;
+
+  if (status === 'SUCCESS') {
+    // Claim the request and mark the order paid in one update, and only while
+    // the order can still take payment, so one cancelled meanwhile is never marked paid
+    const paid = await Order.findOneAndUpdate(
+      {
+        _id: existing._id,
+        status: { $ne: 'cancelled' },
+        paymentStatus: { $ne: 'paid' },
+        upiRequests: { $elemMatch: { reference, status: 'created' } }
+      },
+      {
+        $set: { 'upiRequests.$.status': 'paid', paymentStatus: 'paid', paymentReference: utr, paidAt: new Date() },
+        $push: { 'trackingInfo.updates': { status: existing.status, message: received } }
+      },
+      { new: true }
+    );
+    if (paid) {
+      return { order: paid, outcome: 'paid' };
+    }
+  }
+
+  // Claim the request so concurrent callbacks can't both settle it
+  const claim = status === 'SUCCESS'
+    ? { 'upiRequests.$.status': 'paid' }
+    : { 'upiRequests.$.status': 'failed', 'upiRequests.$.failureReason': reason || 'Payment failed' };
+  const order = await Order.findOneAndUpdate(
+    { _id: existing._id, upiRequests: { $elemMatch: { reference, status: 'created' } } },
+    { $set: claim },
+    { new: true }
+  );
+  if (!order) {
+    return { order: existing, outcome: 'duplicate' };
+  }
+
+  if (status === 'SUCCESS') {
+    // The order can't take the money, so it isn't marked paid; the supplier
+    // needs to refund the vendor
+    if (order.status === 'cancelled') {
+      console.error(`UPI payment ${reference} arrived for cancelled order ${order.orderNumber} and needs a refund`);
+      order.addTrackingUpdate(order.status, `${received} after the order was cancelled; refund it to the vendor`);
+      await order.save();
+      return { order, outcome: 'cancelled_order' };
+    }
+    // Paid twice, e.g. from two requests: the supplier needs to refund one
+    order.addTrackingUpdate(order.status, `Second UPI payment of ₹${amount} received (UTR ${utr}); the order was already paid`);
+    await order.save();
+    return { order, outcome: 'already_paid' };
+  } else if (order.paymentStatus === 'pending') {
+    order.paymentStatus = 'failed';
+    order.addTrackingUpdate(order.status, `UPI payment failed: ${reason || 'Payment failed'}`);
+  }
+
+  await order.save();
+  return { order, outcome: 'failed' };
+};
+
+module.exports = {
+  signCallback,
+  verifyCallbackSignature,
+  requestUpiPayment,
+  recordUpiResult
+};
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const GroupOrder = require('../models/GroupOrder');
+const Order = require('../models/Order');
+const escrow = require('../services/escrow');
+const paymentProvider = require('../services/paymentProvider');
+
+// The ledger is kept in memory: Payment.find, create and ledgerFor read and
+// write the same array of payment documents
+let payments;
+let provider;
+
+const groupOrderId = new mongoose.Types.ObjectId();
+const vendorId = new mongoose.Types.ObjectId();
+const supplierId = new mongoose.Types.ObjectId();
+
+let clock;
+const record = (details) => {
+  const payment = new Payment({
+    groupOrder: groupOrderId,
+    vendor: vendorId,
+    supplier: supplierId,
+    method: 'upi',
+    status: 'succeeded',
+    provider: 'mock',
+    ...details
+  });
+  payment.createdAt = new Date(clock += 1000);
+  payments.push(payment);
+  return payment;
+};
+
+beforeEach(() => {
+  payments = [];
+  clock = Date.now();
+  provider = paymentProvider.createMockProvider();
+  paymentProvider.setProvider(provider);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  jest.spyOn(Payment, 'ledgerFor').mockImplementation(async () => {
+    const entry = { collected: 0, refunded: 0, released: 0 };
+    payments.filter(payment => payment.status === 'succeeded').forEach(payment => {
+      entry[{ collection: 'collected', refund: 'refunded', release: 'released' }[payment.type]] += payment.amount;
+    });
+    entry.held = Math.round((entry.collected - entry.refunded - entry.released) * 100) / 100;
+    return new Map([[vendorId.toString(), entry]]);
+  });
+  jest.spyOn(Payment, 'find').mockImplementation(({ type, status }) => ({
+    sort: async () => payments
+      .filter(payment => type.$in.includes(payment.type) && payment.status === status)
+      .sort((a, b) => b.createdAt - a.createdAt)
+  }));
+  jest.spyOn(Payment, 'create').mockImplementation(async (details) => record(details));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const refundsAgainst = (collection) => payments
+  .filter(payment => payment.type === 'refund' && payment.status === 'succeeded' && collection._id.equals(payment.refundOf))
+  .reduce((total, payment) => total + payment.amount, 0);
+
+describe('escrow.refundVendor', () => {
+  test('refunds a share paid in parts against each of its charges', async () => {
+    const first = record({ type: 'collection', amount: 300, reference: 'charge_1' });
+    const second = record({ type: 'collection', amount: 200, reference: 'charge_2' });
+    jest.spyOn(provider, 'refund');
+
+    const refunds = await escrow.refundVendor(groupOrderId, vendorId, 'Left the group order');
+
+    expect(refunds.map(refund => refund.amount)).toEqual([200, 300]);
+    expect(provider.refund.mock.calls.map(([call]) => call.reference)).toEqual(['charge_2', 'charge_1']);
+    expect(refundsAgainst(second)).toBe(200);
+    expect(refundsAgainst(first)).toBe(300);
+    expect((await Payment.ledgerFor(groupOrderId)).get(vendorId.toString()).held).toBe(0);
+  });
+
+  test('never refunds more against a charge than is left on it', async () => {
+    const first = record({ type: 'collection', amount: 300, reference: 'charge_1' });
+    const second = record({ type: 'collection', amount: 200, reference: 'charge_2' });
+    // Overpayment refunded at close
+    record({ type: 'refund', amount: 50, reference: 'refund_0', refundOf: second._id });
+
+    await escrow.refundVendor(groupOrderId, vendorId, 'Order cancelled by supplier');
+
+    expect(refundsAgainst(second)).toBe(200);
+    expect(refundsAgainst(first)).toBe(300);
+  });
+
+  test('refunds only the amount asked for, newest charge first', async () => {
+    const first = record({ type: 'collection', amount: 300, reference: 'charge_1' });
+    const second = record({ type: 'collection', amount: 200, reference: 'charge_2' });
+
+    await escrow.refundVendor(groupOrderId, vendorId, 'Group closed at a lower tier price', 250);
+
+    expect(refundsAgainst(second)).toBe(200);
+    expect(refundsAgainst(first)).toBe(50);
+  });
+
+  test('keeps going past a refund the provider declines', async () => {
+    record({ type: 'collection', amount: 300, reference: 'charge_1' });
+    record({ type: 'collection', amount: 200, reference: 'charge_2' });
+    provider.failNext('Refund window closed');
+
+    const refunds = await escrow.refundVendor(groupOrderId, vendorId, 'Left the group order');
+
+    expect(refunds.map(refund => refund.status)).toEqual(['failed', 'succeeded']);
+    expect((await Payment.ledgerFor(groupOrderId)).get(vendorId.toString()).held).toBe(200);
+  });
+});
+
+describe('escrow.refundNonParticipants', () => {
+  test('refunds a vendor who is no longer in the group', async () => {
+    record({ type: 'collection', amount: 300, reference: 'charge_1' });
+    const groupOrder = { _id: groupOrderId, status: 'ordered', participants: [] };
+    jest.spyOn(GroupOrder, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const refunds = await escrow.refundNonParticipants(groupOrder, 'Vendor account closed');
+
+    expect(refunds.map(refund => refund.amount)).toEqual([300]);
+    expect((await Payment.ledgerFor(groupOrderId)).get(vendorId.toString()).held).toBe(0);
+  });
+
+  test('leaves participants\' payments held', async () => {
+    record({ type: 'collection', amount: 300, reference: 'charge_1' });
+    const groupOrder = { _id: groupOrderId, status: 'ordered', participants: [{ vendor: vendorId, quantity: 10 }] };
+
+    const refunds = await escrow.refundNonParticipants(groupOrder, 'Vendor account closed');
+
+    expect(refunds).toEqual([]);
+  });
+});
+
+describe('escrow.refundGroupOrder', () => {
+  beforeEach(() => {
+    jest.spyOn(Order, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(GroupOrder, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  const markedAs = (paymentStatus) => Order.updateMany.mock.calls
+    .find(([, update]) => update.paymentStatus === paymentStatus)[0].vendor;
+
+  test('marks the orders of vendors who got their money back refunded', async () => {
+    record({ type: 'collection', amount: 300, reference: 'charge_1' });
+    const groupOrder = { _id: groupOrderId, status: 'cancelled', participants: [] };
+
+    await escrow.refundGroupOrder(groupOrder, 'Group order cancelled');
+
+    expect(markedAs('refunded')).toEqual({ $nin: [] });
+    expect(markedAs('refund_pending')).toEqual({ $in: [] });
+  });
+
+  test('leaves an order refund_pending when the provider declines its refund', async () => {
+    record({ type: 'collection', amount: 300, reference: 'charge_1' });
+    provider.failNext('Refund window closed');
+    const groupOrder = { _id: groupOrderId, status: 'cancelled', participants: [] };
+
+    await escrow.refundGroupOrder(groupOrder, 'Group order cancelled');
+
+    expect(markedAs('refunded')).toEqual({ $nin: [vendorId.toString()] });
+    expect(markedAs('refund_pending')).toEqual({ $in: [vendorId.toString()] });
+  });
+});
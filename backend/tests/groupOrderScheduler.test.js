@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const GroupOrder = require('../models/GroupOrder');
+const escrow = require('../services/escrow');
+const notifier = require('../services/notifier');
+const { processExpiredGroupOrders } = require('../services/groupOrderScheduler');
+
+// Stands in for the claim query's select/populate chain
+const claimQuery = (result) => ({
+  select: () => claimQuery(result),
+  populate: () => claimQuery(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+let vendor;
+let product;
+let groupOrder;
+
+beforeEach(() => {
+  vendor = new User({ name: 'Ravi', email: 'ravi@example.com', userType: 'vendor', businessName: 'Ravi Chaat' });
+  product = new Product({
+    name: 'Onion',
+    price: 30,
+    unit: 'kg',
+    minimumOrderQuantity: 1,
+    availableQuantity: 500,
+    supplier: new mongoose.Types.ObjectId()
+  });
+  groupOrder = new GroupOrder({
+    title: 'Onions for the week',
+    product,
+    creator: vendor._id,
+    targetQuantity: 100,
+    currentQuantity: 100,
+    pricePerUnit: 30,
+    deadline: new Date(Date.now() - 1000),
+    shortfallPolicy: 'fulfil_partial',
+    participants: [{ vendor, quantity: 60 }, { vendor: null, quantity: 40 }]
+  });
+
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(GroupOrder, 'findOneAndUpdate')
+    .mockReturnValueOnce(claimQuery(groupOrder))
+    .mockReturnValue(claimQuery(null));
+  jest.spyOn(GroupOrder, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(GroupOrder.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(Product, 'reserveStock').mockResolvedValue(null);
+  jest.spyOn(Product, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(null);
+  jest.spyOn(Order, 'findOne').mockResolvedValue(null);
+  jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+  jest.spyOn(User, 'findById').mockReturnValue({ select: async () => null });
+  jest.spyOn(escrow, 'settleAtClose').mockResolvedValue();
+  jest.spyOn(escrow, 'refundNonParticipants').mockResolvedValue([]);
+  jest.spyOn(notifier, 'send').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('processExpiredGroupOrders', () => {
+  test('closes a group whose participant\'s account was deleted, leaving them out', async () => {
+    const closed = await processExpiredGroupOrders(null);
+
+    expect(closed).toBe(1);
+    expect(groupOrder.status).toBe('ordered');
+    expect(groupOrder.currentQuantity).toBe(60);
+    expect(groupOrder.participants).toHaveLength(1);
+    expect(Product.reserveStock).toHaveBeenCalledWith([{ product: product._id, quantity: 60 }]);
+
+    const [orders] = escrow.settleAtClose.mock.calls[0].slice(1);
+    expect(orders.map(order => order.vendor.toString())).toEqual([vendor._id.toString()]);
+    expect(escrow.refundNonParticipants).toHaveBeenCalledWith(groupOrder, expect.any(String));
+    expect(notifier.send).toHaveBeenCalledTimes(1);
+    expect(notifier.send).toHaveBeenCalledWith(expect.objectContaining({ to: vendor.email }));
+  });
+});
+
+describe('processExpiredGroupOrders with a deleted product', () => {
+  test('cancels the group, refunds it and tells the participants', async () => {
+    groupOrder.product = null;
+    groupOrder.participants = [{ vendor, quantity: 60 }];
+    jest.spyOn(escrow, 'refundGroupOrder').mockResolvedValue([]);
+
+    const closed = await processExpiredGroupOrders(null);
+
+    expect(closed).toBe(1);
+    expect(groupOrder.status).toBe('cancelled');
+    expect(groupOrder.closingStartedAt).toBeNull();
+    expect(GroupOrder.prototype.save).toHaveBeenCalledWith({ validateModifiedOnly: true });
+    expect(Product.reserveStock).not.toHaveBeenCalled();
+    expect(escrow.refundGroupOrder).toHaveBeenCalledWith(groupOrder, groupOrder.closedReason);
+    expect(notifier.send).toHaveBeenCalledWith(expect.objectContaining({ to: vendor.email }));
+  });
+});
@@ -0,0 +1,138 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const GroupOrder = require('../models/GroupOrder');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const escrow = require('../services/escrow');
+const paymentProvider = require('../services/paymentProvider');
+const groupOrderRoutes = require('../routes/groupOrders');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/group-orders', groupOrderRoutes);
+app.set('io', null);
+
+let vendor;
+let token;
+let groupOrder;
+
+beforeEach(() => {
+  vendor = new User({ name: 'Ravi', email: 'ravi@example.com', password: 'secret123', userType: 'vendor', businessName: 'Ravi Chaat' });
+  token = jwt.sign({ userId: vendor._id, sessionId: new mongoose.Types.ObjectId() }, process.env.JWT_SECRET);
+  groupOrder = new GroupOrder({
+    title: 'Onions for the week',
+    product: new mongoose.Types.ObjectId(),
+    creator: vendor._id,
+    targetQuantity: 100,
+    currentQuantity: 20,
+    pricePerUnit: 30,
+    deadline: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    participants: [{ vendor: vendor._id, quantity: 20 }]
+  });
+
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Session, 'findOne').mockResolvedValue({ isActive: () => true });
+  jest.spyOn(User, 'findById').mockReturnValue({ select: async () => vendor });
+  jest.spyOn(GroupOrder, 'findById').mockResolvedValue(groupOrder);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const post = (path, body) => request(app)
+  .post(`/api/group-orders/${groupOrder._id}${path}`)
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('group order membership', () => {
+  test('joining is refused, with nothing changed, once the product is withdrawn', async () => {
+    jest.spyOn(Product, 'findById').mockResolvedValue(new Product({ name: 'Onion', isActive: false }));
+    jest.spyOn(GroupOrder, 'join');
+
+    const res = await post('/join', { quantity: 5 });
+
+    expect(res.status).toBe(400);
+    expect(GroupOrder.join).not.toHaveBeenCalled();
+  });
+
+  test('joining is refused, with nothing changed, once the product is deleted', async () => {
+    jest.spyOn(Product, 'findById').mockResolvedValue(null);
+    jest.spyOn(GroupOrder, 'join');
+
+    const res = await post('/join', { quantity: 5 });
+
+    expect(res.status).toBe(400);
+    expect(GroupOrder.join).not.toHaveBeenCalled();
+  });
+
+  test('a vendor can still leave after the product is deleted', async () => {
+    const left = new GroupOrder({ ...groupOrder.toObject(), currentQuantity: 0, participants: [] });
+    jest.spyOn(Product, 'findById').mockResolvedValue(null);
+    jest.spyOn(GroupOrder, 'leave').mockResolvedValue(left);
+    jest.spyOn(GroupOrder, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(GroupOrder.prototype, 'populate').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(escrow, 'refundVendor').mockResolvedValue([]);
+    jest.spyOn(escrow, 'refreshPaymentStatus').mockResolvedValue('pending');
+
+    const res = await post('/leave');
+
+    expect(res.status).toBe(200);
+    expect(GroupOrder.leave).toHaveBeenCalledWith(groupOrder._id, vendor._id, 20);
+  });
+});
+
+describe('POST /api/group-orders/:id/cancel', () => {
+  test('loses to the scheduler closing the group at the same moment', async () => {
+    jest.spyOn(GroupOrder, 'cancel').mockResolvedValue(null);
+    jest.spyOn(escrow, 'refundGroupOrder');
+
+    const res = await post('/cancel');
+
+    expect(res.status).toBe(409);
+    expect(GroupOrder.cancel).toHaveBeenCalledWith(groupOrder._id, vendor._id);
+    expect(escrow.refundGroupOrder).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/group-orders/:id/payments', () => {
+  test('takes no money once the vendor\'s order for a closed group is cancelled', async () => {
+    groupOrder.status = 'ordered';
+    paymentProvider.setProvider(paymentProvider.createMockProvider());
+    jest.spyOn(GroupOrder, 'findById').mockReturnValue({ select: async () => groupOrder });
+    jest.spyOn(GroupOrder, 'claimPayment').mockResolvedValue(groupOrder);
+    jest.spyOn(GroupOrder, 'releasePaymentClaim').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Order, 'findOne').mockResolvedValue(new Order({ groupOrder: groupOrder._id, vendor: vendor._id, status: 'cancelled' }));
+    jest.spyOn(escrow, 'collect');
+
+    const res = await post('/payments', { method: 'upi' });
+
+    expect(res.status).toBe(400);
+    expect(escrow.collect).not.toHaveBeenCalled();
+    expect(GroupOrder.releasePaymentClaim).toHaveBeenCalledWith(groupOrder._id, vendor._id);
+  });
+});
+
+describe('POST /api/group-orders/:id/messages', () => {
+  test('refuses chat once the group is closed, without saving the group', async () => {
+    jest.spyOn(GroupOrder, 'updateOne').mockResolvedValue({ matchedCount: 0, modifiedCount: 0 });
+    jest.spyOn(GroupOrder.prototype, 'save');
+
+    const res = await post('/messages', { message: 'Is this still on?' });
+
+    expect(res.status).toBe(409);
+    expect(GroupOrder.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: groupOrder._id, status: { $in: ['active', 'target_reached'] } }),
+      { $push: { chatMessages: expect.objectContaining({ sender: vendor._id, message: 'Is this still on?' }) } }
+    );
+    expect(GroupOrder.prototype.save).not.toHaveBeenCalled();
+  });
+});
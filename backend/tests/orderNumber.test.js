@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const { orderNumberPattern, formatOrderNumber } = require('../utils/orderNumber');
+
+// The Counter and Order collections are kept in memory with the guarantees
+// MongoDB gives them: findOneAndUpdate/$inc is atomic and _id and orderNumber
+// are unique. Every call yields to the event loop first, so concurrent saves
+// interleave the way they would against a server.
+const yieldToOthers = () => new Promise(resolve => setImmediate(resolve));
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+let counters;
+let orderNumbers;
+
+beforeEach(() => {
+  counters = new Map();
+  orderNumbers = new Set();
+
+  jest.spyOn(User, 'findById').mockImplementation(() => ({
+    select: async () => ({ orderPrefix: 'TST' })
+  }));
+
+  jest.spyOn(Counter, 'findOneAndUpdate').mockImplementation(async ({ _id }, { $inc }) => {
+    await yieldToOthers();
+    if (!counters.has(_id)) return null;
+    counters.set(_id, counters.get(_id) + $inc.seq);
+    return { _id, seq: counters.get(_id) };
+  });
+
+  jest.spyOn(Counter, 'create').mockImplementation(async ({ _id, seq }) => {
+    await yieldToOthers();
+    if (counters.has(_id)) throw duplicateKeyError();
+    counters.set(_id, seq);
+    return { _id, seq };
+  });
+
+  jest.spyOn(Order, 'distinct').mockImplementation(async (field, { orderNumber }) => {
+    await yieldToOthers();
+    return [...orderNumbers].filter(issued => orderNumber.test(issued));
+  });
+
+  jest.spyOn(Order.collection, 'insertOne').mockImplementation(async (doc) => {
+    await yieldToOthers();
+    if (orderNumbers.has(doc.orderNumber)) throw duplicateKeyError();
+    orderNumbers.add(doc.orderNumber);
+    return { acknowledged: true, insertedId: doc._id };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const newOrder = (supplier) => new Order({
+  vendor: new mongoose.Types.ObjectId(),
+  supplier,
+  orderType: 'individual',
+  items: [{ product: new mongoose.Types.ObjectId(), quantity: 1, unitPrice: 10, totalPrice: 10 }],
+  totalAmount: 10,
+  finalAmount: 10
+});
+
+const sequenceOf = (orderNumber) => parseInt(orderNumberPattern({ prefix: 'TST', date: new Date() }).exec(orderNumber)[1]);
+
+describe('order numbers', () => {
+  test('concurrent orders for the same supplier and day get unique, consecutive numbers', async () => {
+    const supplier = new mongoose.Types.ObjectId();
+    const orders = Array.from({ length: 50 }, () => newOrder(supplier));
+
+    await Promise.all(orders.map(order => order.save()));
+
+    const numbers = orders.map(order => order.orderNumber);
+    expect(new Set(numbers).size).toBe(orders.length);
+    expect(numbers.map(sequenceOf).sort((a, b) => a - b)).toEqual(Array.from({ length: 50 }, (_, index) => index + 1));
+  });
+
+  test('a new counter carries on from the highest number issued, compared numerically', async () => {
+    [9998, 9999, 10000].forEach(seq => orderNumbers.add(formatOrderNumber({ prefix: 'TST', date: new Date(), seq })));
+
+    const order = newOrder(new mongoose.Types.ObjectId());
+    await order.save();
+
+    expect(sequenceOf(order.orderNumber)).toBe(10001);
+  });
+});
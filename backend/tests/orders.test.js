@@ -0,0 +1,79 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+const orderRoutes = require('../routes/orders');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/orders', orderRoutes);
+
+let vendor;
+let token;
+let order;
+
+beforeEach(() => {
+  vendor = new User({ name: 'Ravi', email: 'ravi@example.com', password: 'secret123', userType: 'vendor', businessName: 'Ravi Chaat' });
+  token = jwt.sign({ userId: vendor._id, sessionId: new mongoose.Types.ObjectId() }, process.env.JWT_SECRET);
+  order = new Order({
+    orderNumber: 'VC2610180001',
+    vendor: vendor._id,
+    supplier: new mongoose.Types.ObjectId(),
+    items: [{ product: new mongoose.Types.ObjectId(), quantity: 10, unitPrice: 30, totalPrice: 300 }],
+    totalAmount: 300,
+    finalAmount: 300,
+    paymentMethod: 'upi',
+    paymentStatus: 'paid',
+    paymentReference: 'UTR123'
+  });
+
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Session, 'findOne').mockResolvedValue({ isActive: () => true });
+  jest.spyOn(User, 'findById').mockReturnValue({ select: async () => vendor });
+  jest.spyOn(Order, 'findById').mockResolvedValue(order);
+  jest.spyOn(Order.prototype, 'settleStock').mockResolvedValue(false);
+  jest.spyOn(Order.prototype, 'populate').mockImplementation(async function() {
+    return this;
+  });
+  // Reputation refresh after a cancellation
+  jest.spyOn(Review, 'aggregate').mockResolvedValue([]);
+  jest.spyOn(Order, 'aggregate').mockResolvedValue([]);
+  jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Product, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PUT /api/orders/:id/cancel', () => {
+  test('flags a paid order for a refund to the vendor', async () => {
+    const cancelled = new Order({ ...order.toObject(), status: 'cancelled' });
+    jest.spyOn(Order, 'transition').mockResolvedValue(cancelled);
+    jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async () => {
+      const flagged = new Order({ ...cancelled.toObject(), paymentStatus: 'refund_pending' });
+      flagged.addTrackingUpdate('cancelled', 'Order was paid (ref UTR123); refund ₹300 to the vendor');
+      return flagged;
+    });
+
+    const res = await request(app)
+      .put(`/api/orders/${order._id}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.order.paymentStatus).toBe('refund_pending');
+    expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: cancelled._id, paymentStatus: 'paid' },
+      expect.objectContaining({ $set: { paymentStatus: 'refund_pending' } }),
+      { new: true }
+    );
+  });
+});
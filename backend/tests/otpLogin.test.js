@@ -0,0 +1,175 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const OneTimeCode = require('../models/OneTimeCode');
+const smsGateway = require('../services/smsGateway');
+const authRoutes = require('../routes/auth');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const VENDOR_PHONE = '9876543210';
+const UNKNOWN_PHONE = '9123456780';
+
+// One vendor with a phone number; codes are kept in memory by target
+let vendor;
+let codes;
+let recentSends;
+
+beforeEach(() => {
+  vendor = new User({
+    name: 'Ravi',
+    email: 'ravi@example.com',
+    password: 'secret123',
+    phone: VENDOR_PHONE,
+    userType: 'vendor'
+  });
+  codes = new Map();
+  recentSends = [];
+
+  smsGateway.setGateway(smsGateway.createStubGateway());
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  jest.spyOn(User, 'findOne').mockImplementation(async ({ phone, userType }) => {
+    return phone === vendor.phone && userType === vendor.userType ? vendor : null;
+  });
+  jest.spyOn(User, 'findById').mockImplementation(async (id) => (id.equals(vendor._id) ? vendor : null));
+
+  jest.spyOn(OneTimeCode, 'find').mockImplementation(() => ({
+    sort: () => ({ limit: () => ({ select: async () => recentSends }) })
+  }));
+  jest.spyOn(OneTimeCode, 'issue').mockImplementation(async ({ user, target }) => {
+    const code = OneTimeCode.generateCode();
+    codes.set(target, { user, code });
+    return code;
+  });
+  jest.spyOn(OneTimeCode, 'consume').mockImplementation(async ({ target, code }) => {
+    const issued = codes.get(target);
+    if (!issued || issued.code !== code) return null;
+    codes.delete(target);
+    return { user: issued.user };
+  });
+
+  jest.spyOn(Session.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const codeSentTo = (phone) => {
+  const message = smsGateway.getGateway().lastMessageTo(phone);
+  return message && message.text.match(/\d{6}/)[0];
+};
+
+describe('POST /api/auth/otp/request', () => {
+  test('texts a login code to a vendor', async () => {
+    const res = await request(app).post('/api/auth/otp/request').send({ phone: `+91${VENDOR_PHONE}` });
+
+    expect(res.status).toBe(200);
+    expect(codeSentTo(VENDOR_PHONE)).toBe(codes.get(VENDOR_PHONE).code);
+  });
+
+  test('answers an unknown number exactly as it answers a vendor', async () => {
+    const known = await request(app).post('/api/auth/otp/request').send({ phone: VENDOR_PHONE });
+    const unknown = await request(app).post('/api/auth/otp/request').send({ phone: UNKNOWN_PHONE });
+
+    expect(unknown.status).toBe(known.status);
+    expect(unknown.body).toEqual(known.body);
+    expect(codeSentTo(UNKNOWN_PHONE)).toBeNull();
+  });
+
+  test('answers the same during the cooldown without sending another code', async () => {
+    const first = await request(app).post('/api/auth/otp/request').send({ phone: VENDOR_PHONE });
+    recentSends = [{ createdAt: new Date() }];
+    smsGateway.getGateway().clear();
+
+    const second = await request(app).post('/api/auth/otp/request').send({ phone: VENDOR_PHONE });
+
+    expect(second.status).toBe(first.status);
+    expect(second.body).toEqual(first.body);
+    expect(codeSentTo(VENDOR_PHONE)).toBeNull();
+  });
+
+  test('is unavailable without an SMS gateway', async () => {
+    smsGateway.setGateway(null);
+
+    const res = await request(app).post('/api/auth/otp/request').send({ phone: VENDOR_PHONE });
+
+    expect(res.status).toBe(503);
+    expect(OneTimeCode.issue).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/auth/otp/verify', () => {
+  test('logs the vendor in with the code they were sent', async () => {
+    await request(app).post('/api/auth/otp/request').send({ phone: VENDOR_PHONE });
+
+    const res = await request(app).post('/api/auth/otp/verify').send({ phone: VENDOR_PHONE, code: codeSentTo(VENDOR_PHONE) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.refreshToken).toEqual(expect.any(String));
+    expect(res.body.user.id).toBe(vendor._id.toString());
+  });
+
+  test('rejects a wrong code', async () => {
+    await request(app).post('/api/auth/otp/request').send({ phone: VENDOR_PHONE });
+    const wrongCode = codeSentTo(VENDOR_PHONE) === '000000' ? '111111' : '000000';
+
+    const res = await request(app).post('/api/auth/otp/verify').send({ phone: VENDOR_PHONE, code: wrongCode });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('rejects a code for a number without an account', async () => {
+    await request(app).post('/api/auth/otp/request').send({ phone: UNKNOWN_PHONE });
+
+    const res = await request(app).post('/api/auth/otp/verify').send({ phone: UNKNOWN_PHONE, code: '123456' });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('rejects a code that is not six digits', async () => {
+    const res = await request(app).post('/api/auth/otp/verify').send({ phone: VENDOR_PHONE, code: '12ab' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('is unavailable without an SMS gateway', async () => {
+    smsGateway.setGateway(null);
+
+    const res = await request(app).post('/api/auth/otp/verify').send({ phone: VENDOR_PHONE, code: '123456' });
+
+    expect(res.status).toBe(503);
+    expect(OneTimeCode.consume).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/auth/register', () => {
+  test('answers a phone number taken by a signup at the same moment as any taken number', async () => {
+    // The other signup lands after this one's check, so only the unique index sees it
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+    jest.spyOn(User.prototype, 'save').mockRejectedValue(
+      Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { phone: 1 } })
+    );
+
+    const res = await request(app).post('/api/auth/register').send({
+      name: 'Meena',
+      email: 'meena@example.com',
+      password: 'secret123',
+      phone: UNKNOWN_PHONE,
+      userType: 'vendor',
+      businessName: 'Meena Dosa'
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('A vendor account already exists with this phone number');
+  });
+});
@@ -0,0 +1,77 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Product = require('../models/Product');
+const PriceHistory = require('../models/PriceHistory');
+const productRoutes = require('../routes/products');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/products', productRoutes);
+
+// Stands in for findByIdAndUpdate's populate chain
+const updateQuery = (result) => ({
+  populate: () => updateQuery(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+let supplier;
+let token;
+let product;
+
+beforeEach(() => {
+  supplier = new User({ name: 'Asha', email: 'asha@example.com', password: 'secret123', userType: 'supplier', companyName: 'Asha Traders' });
+  token = jwt.sign({ userId: supplier._id, sessionId: new mongoose.Types.ObjectId() }, process.env.JWT_SECRET);
+  product = new Product({
+    name: 'Onion',
+    price: 30,
+    unit: 'kg',
+    supplier: supplier._id,
+    commodity: new mongoose.Types.ObjectId()
+  });
+
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Session, 'findOne').mockResolvedValue({ isActive: () => true });
+  jest.spyOn(User, 'findById').mockReturnValue({ select: async () => supplier });
+  jest.spyOn(Product, 'findById').mockResolvedValue(product);
+  jest.spyOn(Product, 'findByIdAndUpdate').mockImplementation((id, updates) => {
+    return updateQuery(new Product({ ...product.toObject(), ...updates }));
+  });
+  jest.spyOn(Product, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(null);
+  jest.spyOn(PriceHistory, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const put = (body) => request(app)
+  .put(`/api/products/${product._id}`)
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('PUT /api/products/:id', () => {
+  test('an empty commodity unlinks the product from the catalogue', async () => {
+    const res = await put({ commodity: '' });
+
+    expect(res.status).toBe(200);
+    expect(Product.findByIdAndUpdate).toHaveBeenCalledWith(
+      product._id.toString(),
+      { commodity: null },
+      expect.anything()
+    );
+  });
+
+  test('rejects a commodity that is not an id', async () => {
+    const res = await put({ commodity: 'onions' });
+
+    expect(res.status).toBe(400);
+    expect(Product.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { reconcileStatement } = require('../services/reconciliation');
+
+// A supplier's orders kept in memory; findOneAndUpdate applies the same
+// status and paymentStatus conditions MongoDB would
+const supplierId = new mongoose.Types.ObjectId();
+let orders;
+
+const newOrder = (orderNumber, details = {}) => new Order({
+  orderNumber,
+  vendor: new mongoose.Types.ObjectId(),
+  supplier: supplierId,
+  orderType: 'individual',
+  items: [{ product: new mongoose.Types.ObjectId(), quantity: 1, unitPrice: 500, totalPrice: 500 }],
+  totalAmount: 500,
+  finalAmount: 500,
+  ...details
+});
+
+const byNumber = (orderNumber) => orders.find(order => order.orderNumber === orderNumber);
+
+beforeEach(() => {
+  orders = [newOrder('TST-0001'), newOrder('TST-0002', { status: 'confirmed' })];
+
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  // The supplier's order numbers; no row here falls through to amount-only matching
+  jest.spyOn(Order, 'find').mockImplementation(() => ({
+    select: () => Object.assign(Promise.resolve(orders.filter(order => order.status !== 'cancelled')), {
+      limit: async () => []
+    })
+  }));
+  jest.spyOn(Order, 'findOne').mockImplementation(async ({ orderNumber }) => (orderNumber ? byNumber(orderNumber) || null : null));
+  jest.spyOn(Order, 'findById').mockImplementation((id) => ({
+    select: async () => orders.find(order => order._id.equals(id))
+  }));
+  jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const order = orders.find(candidate => candidate._id.equals(filter._id));
+    if (!order || order.status === 'cancelled' || order.paymentStatus === 'paid') return null;
+    order.set(update.$set);
+    order.trackingInfo.updates.push(update.$push['trackingInfo.updates']);
+    return order;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const columns = { amount: 1, narration: 0, utr: 2, direction: -1, date: -1 };
+
+describe('reconcileStatement by order number', () => {
+  test('marks an unpaid order paid', async () => {
+    const { summary } = await reconcileStatement(supplierId, [['NEFT TST-0001 Ravi', '500.00', 'UTR111']], columns);
+
+    expect(summary.matched).toBe(1);
+    expect(byNumber('TST-0001').paymentStatus).toBe('paid');
+    expect(byNumber('TST-0001').paymentReference).toBe('UTR111');
+  });
+
+  test('never marks an order cancelled after the statement was loaded paid', async () => {
+    // Cancelled while the statement is being read: the order list still has it
+    Order.findOne.mockImplementation(async ({ orderNumber }) => {
+      const order = byNumber(orderNumber);
+      order.status = 'cancelled';
+      return order;
+    });
+
+    const { summary } = await reconcileStatement(supplierId, [['NEFT TST-0002 Ravi', '500.00', 'UTR222']], columns);
+
+    expect(summary.cancelled_order).toBe(1);
+    expect(byNumber('TST-0002').paymentStatus).toBe('pending');
+  });
+
+  test('settles an order once when two rows pay for it', async () => {
+    const { summary } = await reconcileStatement(supplierId, [
+      ['NEFT TST-0001 Ravi', '500.00', 'UTR111'],
+      ['NEFT TST-0001 Ravi', '500.00', 'UTR112']
+    ], columns);
+
+    expect(summary.matched).toBe(1);
+    expect(summary.already_paid).toBe(1);
+    expect(byNumber('TST-0001').paymentReference).toBe('UTR111');
+  });
+});
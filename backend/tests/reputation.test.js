@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const { calculateReputation, startReputationScheduler } = require('../services/reputation');
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+beforeEach(() => {
+  // A supplier with no reviews and no orders
+  jest.spyOn(Review, 'aggregate').mockResolvedValue([]);
+  jest.spyOn(Order, 'aggregate').mockResolvedValue([]);
+  jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Product, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('supplier reputation', () => {
+  test('a new supplier starts at the score of the priors, not 0', async () => {
+    const supplier = new User({ userType: 'supplier' });
+    const product = new Product({});
+
+    const reputation = await calculateReputation(supplier._id);
+
+    expect(supplier.reputation.score).toBe(reputation.score);
+    expect(product.supplierReputation).toBe(reputation.score);
+    expect(reputation.score).toBeGreaterThan(0);
+  });
+
+  test('the scheduler refreshes every supplier as soon as the database is up', async () => {
+    const supplierId = new mongoose.Types.ObjectId();
+    jest.spyOn(User, 'find').mockReturnValue({
+      select: () => ({
+        cursor: async function* () {
+          yield { _id: supplierId };
+        }
+      })
+    });
+
+    const scheduler = startReputationScheduler({ intervalMs: 60 * 60 * 1000 });
+    await flush();
+    expect(User.find).not.toHaveBeenCalled();
+
+    // Marking the connection open emits 'connected', as connecting does
+    mongoose.connection.readyState = 1;
+    await flush();
+    scheduler.stop();
+    mongoose.connection.readyState = 0;
+
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: supplierId, userType: 'supplier' },
+      { reputation: expect.objectContaining({ score: expect.any(Number) }) }
+    );
+  });
+
+  test('stopping the scheduler before the database is up cancels its first run', () => {
+    const scheduler = startReputationScheduler({ intervalMs: 60 * 60 * 1000 });
+    scheduler.stop();
+
+    expect(mongoose.connection.listeners('connected')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,100 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+const reviewRoutes = require('../routes/reviews');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/reviews', reviewRoutes);
+
+// One delivered order, kept in memory so the rating claim behaves like the
+// conditional update it is
+let vendor;
+let order;
+let token;
+
+beforeEach(() => {
+  vendor = new User({ name: 'Ravi', email: 'ravi@example.com', password: 'secret123', userType: 'vendor', businessName: 'Ravi Chaat' });
+  order = new Order({
+    orderNumber: 'TST-1',
+    vendor: vendor._id,
+    supplier: new mongoose.Types.ObjectId(),
+    orderType: 'individual',
+    items: [{ product: new mongoose.Types.ObjectId(), quantity: 1, unitPrice: 10, totalPrice: 10 }],
+    totalAmount: 10,
+    finalAmount: 10,
+    status: 'delivered'
+  });
+  token = jwt.sign({ userId: vendor._id, sessionId: new mongoose.Types.ObjectId() }, process.env.JWT_SECRET);
+
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Session, 'findOne').mockResolvedValue({ isActive: () => true });
+  jest.spyOn(User, 'findById').mockReturnValue({ select: async () => vendor });
+
+  jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (!order._id.equals(filter._id) || order.rating.score != null) return null;
+    order.rating = update.rating;
+    return order;
+  });
+  jest.spyOn(Order, 'updateOne').mockImplementation(async (filter, update) => {
+    if (update.$unset && order.rating.ratedAt === filter['rating.ratedAt']) {
+      order.rating = undefined;
+      return { modifiedCount: 1 };
+    }
+    return { modifiedCount: 0 };
+  });
+  jest.spyOn(User, 'adjustRating').mockResolvedValue();
+  jest.spyOn(Product, 'adjustRating').mockResolvedValue();
+  jest.spyOn(User, 'updateOne').mockResolvedValue({});
+  jest.spyOn(Product, 'updateMany').mockResolvedValue({});
+  jest.spyOn(Review, 'aggregate').mockResolvedValue([]);
+  jest.spyOn(Order, 'aggregate').mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const submitReview = () => request(app)
+  .post('/api/reviews')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ order: order._id.toString(), rating: 4, comment: 'Fresh onions' });
+
+describe('POST /api/reviews', () => {
+  test('an order can be reviewed again if saving the review fails', async () => {
+    jest.spyOn(Review, 'create').mockRejectedValueOnce(new Error('write failed'));
+
+    const failed = await submitReview();
+    expect(failed.status).toBe(500);
+    expect(order.rating.score).toBeUndefined();
+
+    jest.spyOn(Review.prototype, 'populate').mockImplementation(async function() {
+      return this;
+    });
+    Review.create.mockImplementation(async (details) => new Review(details));
+
+    const retried = await submitReview();
+    expect(retried.status).toBe(201);
+    expect(order.rating.score).toBe(4);
+  });
+
+  test('an order can only be reviewed once', async () => {
+    jest.spyOn(Review, 'create').mockImplementation(async (details) => new Review(details));
+    jest.spyOn(Review.prototype, 'populate').mockImplementation(async function() {
+      return this;
+    });
+
+    expect((await submitReview()).status).toBe(201);
+
+    jest.spyOn(Order, 'findById').mockReturnValue({ select: async () => order });
+    expect((await submitReview()).status).toBe(409);
+  });
+});
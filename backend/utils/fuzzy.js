@@ -0,0 +1,61 @@
+// Edit distance between two words, counting a swap of neighbouring letters
+// as one edit ("oinon" -> "onion"). Gives up early and returns max + 1 once
+// the distance is known to exceed `max`.
+const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+};
+
+// Typos allowed for a word of this length: none for short words, which
+// would otherwise match almost anything
+const allowedTypos = (word) => {
+  if (word.length <= 3) return 0;
+  if (word.length <= 6) return 1;
+  return 2;
+};
+
+// Closest candidate within the typo allowance, or null
+const closestMatch = (word, candidates) => {
+  const max = allowedTypos(word);
+  if (max === 0) return null;
+
+  let best = null;
+  let bestDistance = max + 1;
+  for (const candidate of candidates) {
+    const distance = editDistance(word, candidate, max);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+};
+
+module.exports = {
+  editDistance,
+  allowedTypos,
+  closestMatch
+};
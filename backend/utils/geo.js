@@ -0,0 +1,65 @@
+const User = require('../models/User');
+
+// Resolve a pincode to coordinates from the addresses we already know in it
+const resolvePincode = async (pincode) => {
+  const [centre] = await User.aggregate([
+    { $match: { 'address.pincode': pincode, 'address.location': { $exists: true } } },
+    {
+      $group: {
+        _id: null,
+        lat: { $avg: '$address.coordinates.lat' },
+        lng: { $avg: '$address.coordinates.lng' }
+      }
+    }
+  ]);
+
+  return centre ? { lat: centre.lat, lng: centre.lng } : null;
+};
+
+// Work out the search origin from lat/lng or pincode query parameters.
+// Returns undefined when neither is given and null when the pincode is unknown.
+const getSearchOrigin = async (query) => {
+  if (query.lat !== undefined && query.lng !== undefined) {
+    return { lat: parseFloat(query.lat), lng: parseFloat(query.lng) };
+  }
+  if (query.pincode) {
+    return resolvePincode(query.pincode);
+  }
+  return undefined;
+};
+
+// $geoNear stage over user addresses; must be the first stage of a pipeline
+const geoNearStage = (origin, radiusKm, filter) => {
+  const geoNear = {
+    near: { type: 'Point', coordinates: [origin.lng, origin.lat] },
+    distanceField: 'distance',
+    key: 'address.location',
+    spherical: true,
+    query: filter
+  };
+  if (radiusKm) {
+    geoNear.maxDistance = radiusKm * 1000;
+  }
+  return { $geoNear: geoNear };
+};
+
+// Distance in km, rounded to one decimal place, for a $project stage
+const distanceKmField = { $round: [{ $divide: ['$distance', 1000] }, 1] };
+
+// Active suppliers near the origin, nearest first, as [{ id, distanceKm }].
+// `filter` narrows the suppliers further, e.g. to a set of ids.
+const supplierDistances = async (origin, radiusKm, filter = {}) => {
+  const suppliers = await User.aggregate([
+    geoNearStage(origin, radiusKm, { ...filter, userType: 'supplier', isActive: true }),
+    { $project: { distance: 1 } }
+  ]);
+  return suppliers.map(({ _id, distance }) => ({ id: _id, distanceKm: Math.round(distance / 100) / 10 }));
+};
+
+module.exports = {
+  resolvePincode,
+  getSearchOrigin,
+  geoNearStage,
+  distanceKmField,
+  supplierDistances
+};
@@ -0,0 +1,119 @@
+// GSTIN (GST identification number) validation.
+// Layout: 2-digit state code, 10-character PAN, entity number, 'Z', check digit.
+
+// GST state codes and the state names an address may use for them
+const GST_STATE_CODES = {
+  '01': ['Jammu and Kashmir'],
+  '02': ['Himachal Pradesh'],
+  '03': ['Punjab'],
+  '04': ['Chandigarh'],
+  '05': ['Uttarakhand', 'Uttaranchal'],
+  '06': ['Haryana'],
+  '07': ['Delhi', 'New Delhi', 'NCT of Delhi'],
+  '08': ['Rajasthan'],
+  '09': ['Uttar Pradesh'],
+  '10': ['Bihar'],
+  '11': ['Sikkim'],
+  '12': ['Arunachal Pradesh'],
+  '13': ['Nagaland'],
+  '14': ['Manipur'],
+  '15': ['Mizoram'],
+  '16': ['Tripura'],
+  '17': ['Meghalaya'],
+  '18': ['Assam'],
+  '19': ['West Bengal'],
+  '20': ['Jharkhand'],
+  '21': ['Odisha', 'Orissa'],
+  '22': ['Chhattisgarh'],
+  '23': ['Madhya Pradesh'],
+  '24': ['Gujarat'],
+  // Registrations from before Daman and Diu merged into code 26
+  '25': ['Daman and Diu', 'Dadra and Nagar Haveli and Daman and Diu'],
+  '26': ['Dadra and Nagar Haveli and Daman and Diu', 'Dadra and Nagar Haveli', 'Daman and Diu'],
+  '27': ['Maharashtra'],
+  // Registrations from before Telangana was formed
+  '28': ['Andhra Pradesh'],
+  '29': ['Karnataka'],
+  '30': ['Goa'],
+  '31': ['Lakshadweep'],
+  '32': ['Kerala'],
+  '33': ['Tamil Nadu'],
+  '34': ['Puducherry', 'Pondicherry'],
+  '35': ['Andaman and Nicobar Islands'],
+  '36': ['Telangana'],
+  '37': ['Andhra Pradesh'],
+  '38': ['Ladakh'],
+  '97': ['Other Territory'],
+  '99': ['Centre Jurisdiction']
+};
+
+// Fourth PAN character: the kind of holder (person, company, firm, trust...)
+const PAN_HOLDER_TYPES = 'ABCFGHJLPT';
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Compare state names ignoring case, spacing and '&' vs 'and'
+const normalizeStateName = (name) => String(name)
+  .toLowerCase()
+  .replace(/&/g, 'and')
+  .replace(/[^a-z]/g, '');
+
+// Compute the mod-36 check digit for the first 14 characters
+const gstinCheckDigit = (gstin) => {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const value = GSTIN_CHARSET.indexOf(gstin[i]);
+    const product = value * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+};
+
+// Check a GSTIN, and optionally that it was issued in the given state.
+// Returns a message describing the first problem found, or null if valid.
+const gstinProblem = (value, state) => {
+  const gstin = String(value || '').trim().toUpperCase();
+
+  if (gstin.length !== 15) {
+    return 'GST number must be exactly 15 characters';
+  }
+  if (!/^[0-9A-Z]{15}$/.test(gstin)) {
+    return 'GST number can only contain letters and digits';
+  }
+
+  const stateCode = gstin.slice(0, 2);
+  if (!GST_STATE_CODES[stateCode]) {
+    return `GST number starts with an unknown state code (${stateCode})`;
+  }
+
+  const pan = gstin.slice(2, 12);
+  if (!/^[A-Z]{5}[0-9]{4}[A-Z]$/.test(pan) || !PAN_HOLDER_TYPES.includes(pan[3])) {
+    return 'Characters 3 to 12 of the GST number must be a valid PAN';
+  }
+
+  if (!/^[1-9A-Z]$/.test(gstin[12])) {
+    return 'Character 13 of the GST number must be 1-9 or A-Z';
+  }
+  if (gstin[13] !== 'Z') {
+    return "Character 14 of the GST number must be 'Z'";
+  }
+  if (gstin[14] !== gstinCheckDigit(gstin)) {
+    return 'GST number check digit does not match. Please check it for typos';
+  }
+
+  if (state) {
+    const names = GST_STATE_CODES[stateCode];
+    const matches = names.some(name => normalizeStateName(name) === normalizeStateName(state));
+    if (!matches) {
+      return `GST number is registered in ${names[0]} (code ${stateCode}) but your address is in ${state}`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  GST_STATE_CODES,
+  gstinCheckDigit,
+  gstinProblem
+};
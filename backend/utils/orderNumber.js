@@ -0,0 +1,64 @@
+// Order number formatting. ORDER_NUMBER_FORMAT may use:
+//   {prefix}  the supplier's order prefix, or VC
+//   {date}    the order date as YYYYMMDD
+//   {seq:N}   the day's sequence number, zero-padded to N digits ({seq} for no padding)
+// e.g. the default '{prefix}{date}{seq:4}' gives VC202610180042.
+
+const DEFAULT_PREFIX = 'VC';
+const DEFAULT_FORMAT = '{prefix}{date}{seq:4}';
+
+// Supplier order prefixes: 2-6 capital letters or digits, starting with a letter
+const ORDER_PREFIX_PATTERN = /^[A-Z][A-Z0-9]{1,5}$/;
+
+const SEQ_TOKEN = /\{seq(?::(\d+))?\}/;
+
+const orderNumberFormat = () => {
+  const format = process.env.ORDER_NUMBER_FORMAT || DEFAULT_FORMAT;
+  if (!SEQ_TOKEN.test(format)) {
+    throw new Error('ORDER_NUMBER_FORMAT must include {seq}');
+  }
+  return format;
+};
+
+const formatDate = (date) =>
+  date.getFullYear().toString() +
+  (date.getMonth() + 1).toString().padStart(2, '0') +
+  date.getDate().toString().padStart(2, '0');
+
+// Name of the counter the sequence comes from. Numbers only need to be
+// unique per formatted prefix and date, so the counter is scoped to the
+// parts the format actually uses.
+const orderCounterName = ({ prefix, date }, format = orderNumberFormat()) => {
+  const parts = ['order'];
+  if (format.includes('{prefix}')) parts.push(prefix);
+  if (format.includes('{date}')) parts.push(formatDate(date));
+  return parts.join(':');
+};
+
+const fillPrefixAndDate = (text, { prefix, date }) =>
+  text.replace(/\{prefix\}/g, prefix).replace(/\{date\}/g, formatDate(date));
+
+// Fill in the format
+const formatOrderNumber = ({ prefix, date, seq }, format = orderNumberFormat()) => {
+  return fillPrefixAndDate(format, { prefix, date })
+    .replace(SEQ_TOKEN, (token, width) => seq.toString().padStart(parseInt(width) || 0, '0'));
+};
+
+// Matches numbers in the same sequence, capturing the sequence number
+const orderNumberPattern = ({ prefix, date }, format = orderNumberFormat()) => {
+  const seqToken = format.match(SEQ_TOKEN);
+  const [before, after] = [
+    format.slice(0, seqToken.index),
+    format.slice(seqToken.index + seqToken[0].length)
+  ].map(part => fillPrefixAndDate(part, { prefix, date }).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${before}(\\d+)${after}$`);
+};
+
+module.exports = {
+  DEFAULT_PREFIX,
+  ORDER_PREFIX_PATTERN,
+  orderNumberFormat,
+  orderCounterName,
+  orderNumberPattern,
+  formatOrderNumber
+};
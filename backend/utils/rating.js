@@ -0,0 +1,28 @@
+// Update pipeline that adds a score to (direction 1) or takes it out of
+// (direction -1) a stored average rating. It works from the stored values
+// inside the update, so concurrent reviews can't overwrite each other.
+const ratingChange = (score, direction = 1) => {
+  const newTotal = { $add: ['$totalRatings', direction] };
+
+  return [{
+    $set: {
+      totalRatings: newTotal,
+      rating: {
+        $cond: [
+          { $lte: [newTotal, 0] },
+          0,
+          {
+            $divide: [
+              { $add: [{ $multiply: ['$rating', '$totalRatings'] }, direction * score] },
+              newTotal
+            ]
+          }
+        ]
+      }
+    }
+  }];
+};
+
+module.exports = {
+  ratingChange
+};
@@ -0,0 +1,43 @@
+// How a supplier's 0-100 reputation score is put together. Every part starts
+// from a neutral prior, so a supplier with a handful of orders or one 5-star
+// review can't outrank an established one on luck.
+
+// Ratings are pulled towards PRIOR_RATING as if the supplier already had
+// PRIOR_REVIEW_WEIGHT reviews at that score
+const PRIOR_RATING = 3.5;
+const PRIOR_REVIEW_WEIGHT = 10;
+
+// Delivery rates are smoothed the same way
+const PRIOR_ON_TIME_RATE = 0.8;
+const PRIOR_CANCELLATION_RATE = 0.05;
+const PRIOR_ORDER_WEIGHT = 5;
+
+// Share of the score from each part
+const SCORE_WEIGHTS = { rating: 0.6, onTime: 0.25, reliability: 0.15 };
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Combine a 1-5 rating and delivery rates into a score out of 100
+const reputationScore = ({ rating, onTimeRate, cancellationRate }) => round(100 * (
+  SCORE_WEIGHTS.rating * (rating - 1) / 4 +
+  SCORE_WEIGHTS.onTime * onTimeRate +
+  SCORE_WEIGHTS.reliability * (1 - cancellationRate)
+), 1);
+
+// Score of a supplier with no reviews or orders yet
+const PRIOR_SCORE = reputationScore({
+  rating: PRIOR_RATING,
+  onTimeRate: PRIOR_ON_TIME_RATE,
+  cancellationRate: PRIOR_CANCELLATION_RATE
+});
+
+module.exports = {
+  PRIOR_RATING,
+  PRIOR_REVIEW_WEIGHT,
+  PRIOR_ON_TIME_RATE,
+  PRIOR_CANCELLATION_RATE,
+  PRIOR_ORDER_WEIGHT,
+  PRIOR_SCORE,
+  round,
+  reputationScore
+};
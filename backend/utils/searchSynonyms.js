@@ -0,0 +1,84 @@
+// Regional and Hinglish names vendors search with, mapped to the names
+// products are listed under. Keys are lowercase; multi-word keys are matched
+// as phrases before the query is split into words.
+const SEARCH_SYNONYMS = {
+  // Vegetables
+  pyaz: ['onion'],
+  pyaaz: ['onion'],
+  pyaj: ['onion'],
+  kanda: ['onion'],
+  aloo: ['potato'],
+  alu: ['potato'],
+  batata: ['potato'],
+  tamatar: ['tomato'],
+  adrak: ['ginger'],
+  lahsun: ['garlic'],
+  lehsun: ['garlic'],
+  'hari mirch': ['green chilli', 'green chili'],
+  shimla: ['capsicum'],
+  'shimla mirch': ['capsicum'],
+  gobhi: ['cauliflower', 'cabbage'],
+  'phool gobhi': ['cauliflower'],
+  'patta gobhi': ['cabbage'],
+  bhindi: ['okra', 'ladyfinger'],
+  palak: ['spinach'],
+  baingan: ['brinjal', 'eggplant'],
+  gajar: ['carrot'],
+  matar: ['peas'],
+  kheera: ['cucumber'],
+  mooli: ['radish'],
+  nimbu: ['lemon', 'lime'],
+  pudina: ['mint'],
+  dhaniya: ['coriander'],
+  methi: ['fenugreek'],
+  // Grains, flours and pulses
+  besan: ['gram flour', 'besan'],
+  atta: ['wheat flour', 'atta'],
+  maida: ['refined flour', 'maida'],
+  sooji: ['semolina', 'sooji'],
+  suji: ['semolina', 'sooji'],
+  rava: ['semolina', 'sooji'],
+  chawal: ['rice'],
+  poha: ['flattened rice', 'poha'],
+  dal: ['lentils', 'dal'],
+  daal: ['lentils', 'dal'],
+  chana: ['chickpeas', 'chana'],
+  rajma: ['kidney beans', 'rajma'],
+  // Spices
+  haldi: ['turmeric'],
+  mirchi: ['chilli', 'chili'],
+  'lal mirch': ['red chilli', 'red chili'],
+  'kali mirch': ['black pepper'],
+  jeera: ['cumin'],
+  zeera: ['cumin'],
+  elaichi: ['cardamom'],
+  laung: ['clove'],
+  dalchini: ['cinnamon'],
+  rai: ['mustard seeds'],
+  ajwain: ['carom seeds'],
+  hing: ['asafoetida'],
+  namak: ['salt'],
+  imli: ['tamarind'],
+  'garam masala': ['garam masala'],
+  // Oils and dairy
+  tel: ['oil'],
+  sarson: ['mustard'],
+  'sarson tel': ['mustard oil'],
+  moongfali: ['groundnut', 'peanut'],
+  doodh: ['milk'],
+  dahi: ['curd', 'yogurt'],
+  makhan: ['butter'],
+  paneer: ['paneer', 'cottage cheese'],
+  ghee: ['ghee'],
+  // Other
+  anda: ['egg'],
+  ande: ['egg'],
+  cheeni: ['sugar'],
+  chini: ['sugar'],
+  gud: ['jaggery'],
+  gur: ['jaggery']
+};
+
+module.exports = {
+  SEARCH_SYNONYMS
+};
@@ -0,0 +1,23 @@
+// How many base units (kg, liter or piece) one listing unit holds
+const UNIT_CONVERSIONS = {
+  kg: { kg: 1 },
+  gram: { kg: 0.001 },
+  liter: { liter: 1 },
+  ml: { liter: 0.001 },
+  piece: { piece: 1 },
+  dozen: { piece: 12 }
+};
+
+// Base units in one unit of a product, or null when they can't be compared
+// (e.g. a product sold by the kg under a commodity measured in liters).
+// Packets and boxes hold `unitSize` base units, as set by the supplier.
+const baseUnitsPerUnit = (unit, baseUnit, unitSize) => {
+  if (unit === 'packet' || unit === 'box') {
+    return unitSize || null;
+  }
+  return (UNIT_CONVERSIONS[unit] && UNIT_CONVERSIONS[unit][baseUnit]) || null;
+};
+
+module.exports = {
+  baseUnitsPerUnit
+};
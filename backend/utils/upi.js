@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+// UPI payment requests. A request is a `upi://pay` deep link; the same
+// string is what goes into a payment QR code, so apps can open or scan it.
+
+// Virtual payment address, e.g. shop.name@okaxis
+const UPI_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{1,255}@[a-z][a-z0-9]{1,63}$/;
+
+// Transaction reference we put on each request. Letters and digits only,
+// since banks strip everything else when they copy it into a statement.
+const newPaymentReference = () => `VCP${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+
+// Build the deep link for paying `amount` rupees to `vpa`
+const buildUpiLink = ({ vpa, payeeName, amount, reference, note }) => {
+  const params = new URLSearchParams({
+    pa: vpa,
+    pn: payeeName,
+    am: amount.toFixed(2),
+    cu: 'INR',
+    tr: reference,
+    tn: note
+  });
+  // UPI apps expect a literal '@' in the VPA and show '+' as-is instead of a space
+  return `upi://pay?${params.toString().replace(/%40/g, '@').replace(/\+/g, '%20')}`;
+};
+
+module.exports = {
+  UPI_ID_PATTERN,
+  newPaymentReference,
+  buildUpiLink
+};
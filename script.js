@@ -8,27 +8,117 @@ let authToken = null;
 const API_BASE_URL = 'http://localhost:5000/api';
 
 // Check for existing authentication on page load
-function checkExistingAuth() {
-    const token = localStorage.getItem('authToken');
-    const user = localStorage.getItem('currentUser');
-    
-    if (token && user) {
-        authToken = token;
-        currentUser = JSON.parse(user);
-        currentUserType = currentUser.userType;
-        
-        // Show navigation and go to appropriate dashboard
-        showNavigationElements();
-        updateUserInterface(currentUserType);
-        
-        if (currentUserType === 'vendor') {
-            showSection('dashboard');
-        } else {
-            showSection('suppliers');
+async function checkExistingAuth() {
+    // Drop the old client-only user store, which held plaintext passwords
+    localStorage.removeItem('vc_users');
+    
+    const token = localStorage.getItem('authToken') || sessionStorage.getItem('authToken');
+    if (!token) return;
+    
+    authToken = token;
+    
+    try {
+        const data = await apiCall('/auth/verify');
+        startSession(data.user);
+    } catch (error) {
+        // apiCall has already ended the session if the token was rejected
+        if (!error.status) {
+            console.error('Token verification error:', error);
+            showNotification('Could not reach the server. Please try again shortly.', 'error');
+            endSession();
         }
     }
 }
 
+// Show the signed-in user's home screen
+function startSession(user) {
+    currentUser = user;
+    currentUserType = user.userType;
+    
+    // Show navigation and go to appropriate dashboard
+    updateUserInterface(currentUserType);
+    showNavigationElements();
+    connectRealtime();
+    showSection(currentUserType === 'vendor' ? 'dashboard' : 'suppliers');
+}
+
+// Persist the tokens and user; "Remember me" keeps them across browser restarts
+function saveSession(tokens, user, remember) {
+    const storage = remember ? localStorage : sessionStorage;
+    clearStoredSession();
+    storage.setItem('authToken', tokens.token);
+    storage.setItem('refreshToken', tokens.refreshToken);
+    storage.setItem('currentUser', JSON.stringify(user));
+    authToken = tokens.token;
+}
+
+// Whichever storage holds the current session
+function getSessionStorage() {
+    return localStorage.getItem('authToken') ? localStorage : sessionStorage;
+}
+
+function clearStoredSession() {
+    [localStorage, sessionStorage].forEach(storage => {
+        storage.removeItem('authToken');
+        storage.removeItem('refreshToken');
+        storage.removeItem('currentUser');
+    });
+}
+
+// In-flight refresh, shared so parallel requests renew the token only once
+let refreshPromise = null;
+
+// Swap the refresh token for a new access token; resolves to true on success
+function refreshSession() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            const storage = getSessionStorage();
+            const refreshToken = storage.getItem('refreshToken');
+            if (!refreshToken) return false;
+            
+            try {
+                const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken })
+                });
+                if (!response.ok) return false;
+                
+                const data = await response.json();
+                storage.setItem('authToken', data.token);
+                storage.setItem('refreshToken', data.refreshToken);
+                authToken = data.token;
+                return true;
+            } catch (error) {
+                console.error('Token refresh error:', error);
+                return false;
+            }
+        })().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+// Clear authentication data and return to the start screen
+function endSession(message) {
+    disconnectRealtime();
+    authToken = null;
+    currentUser = null;
+    currentUserType = 'vendor';
+    supplierProductsLoaded = false;
+    clearStoredSession();
+    
+    const header = document.querySelector('.header');
+    if (header) header.style.display = 'none';
+    
+    showSection('userSelection');
+    
+    if (message) {
+        showNotification(message, 'warning');
+    }
+}
+
 // Show navigation elements after successful login
 function showNavigationElements() {
     const header = document.querySelector('.header');
@@ -104,9 +194,9 @@ let vendors = [
         location: "Chandni Chowk, Delhi",
         businessType: "Street Food Stall",
         requirements: [
-            { name: "Onions", quantity: "20kg/week", category: "vegetables" },
-            { name: "Potatoes", quantity: "15kg/week", category: "vegetables" },
-            { name: "Cooking Oil", quantity: "5L/week", category: "oil" }
+            { name: "Onions", quantity: 20, unit: "kg", frequency: "weekly", category: "vegetables" },
+            { name: "Potatoes", quantity: 15, unit: "kg", frequency: "weekly", category: "vegetables" },
+            { name: "Cooking Oil", quantity: 5, unit: "liter", frequency: "weekly", category: "oil" }
         ]
     },
     {
@@ -116,9 +206,9 @@ let vendors = [
         location: "Karol Bagh, Delhi",
         businessType: "Food Cart",
         requirements: [
-            { name: "Rice Flour", quantity: "25kg/month", category: "flour" },
-            { name: "Coconut Oil", quantity: "3L/week", category: "oil" },
-            { name: "Turmeric Powder", quantity: "2kg/month", category: "spices" }
+            { name: "Rice Flour", quantity: 25, unit: "kg", frequency: "monthly", category: "flour" },
+            { name: "Coconut Oil", quantity: 3, unit: "liter", frequency: "weekly", category: "oil" },
+            { name: "Turmeric Powder", quantity: 2, unit: "kg", frequency: "monthly", category: "spices" }
         ]
     },
     {
@@ -128,9 +218,9 @@ let vendors = [
         location: "Lajpat Nagar, Delhi",
         businessType: "Food Stall",
         requirements: [
-            { name: "Wheat Flour", quantity: "30kg/week", category: "flour" },
-            { name: "Mustard Oil", quantity: "4L/week", category: "oil" },
-            { name: "Red Chili Powder", quantity: "1kg/week", category: "spices" }
+            { name: "Wheat Flour", quantity: 30, unit: "kg", frequency: "weekly", category: "flour" },
+            { name: "Mustard Oil", quantity: 4, unit: "liter", frequency: "weekly", category: "oil" },
+            { name: "Red Chili Powder", quantity: 1, unit: "kg", frequency: "weekly", category: "spices" }
         ]
     },
     {
@@ -140,9 +230,9 @@ let vendors = [
         location: "Connaught Place, Delhi",
         businessType: "Restaurant",
         requirements: [
-            { name: "Tomatoes", quantity: "40kg/week", category: "vegetables" },
-            { name: "Butter", quantity: "10kg/week", category: "dairy" },
-            { name: "Garam Masala", quantity: "2kg/month", category: "spices" }
+            { name: "Tomatoes", quantity: 40, unit: "kg", frequency: "weekly", category: "vegetables" },
+            { name: "Butter", quantity: 10, unit: "kg", frequency: "weekly", category: "dairy" },
+            { name: "Garam Masala", quantity: 2, unit: "kg", frequency: "monthly", category: "spices" }
         ]
     },
     {
@@ -152,9 +242,9 @@ let vendors = [
         location: "Paharganj, Delhi",
         businessType: "Street Food Stall",
         requirements: [
-            { name: "Chickpeas", quantity: "30kg/week", category: "flour" },
-            { name: "Refined Oil", quantity: "8L/week", category: "oil" },
-            { name: "Coriander Powder", quantity: "1.5kg/month", category: "spices" }
+            { name: "Chickpeas", quantity: 30, unit: "kg", frequency: "weekly", category: "flour" },
+            { name: "Refined Oil", quantity: 8, unit: "liter", frequency: "weekly", category: "oil" },
+            { name: "Coriander Powder", quantity: 1.5, unit: "kg", frequency: "monthly", category: "spices" }
         ]
     },
     {
@@ -164,9 +254,9 @@ let vendors = [
         location: "Khan Market, Delhi",
         businessType: "Restaurant",
         requirements: [
-            { name: "Chicken", quantity: "50kg/week", category: "meat" },
-            { name: "Yogurt", quantity: "15kg/week", category: "dairy" },
-            { name: "Tandoori Masala", quantity: "3kg/month", category: "spices" }
+            { name: "Chicken", quantity: 50, unit: "kg", frequency: "weekly", category: "meat" },
+            { name: "Yogurt", quantity: 15, unit: "kg", frequency: "weekly", category: "dairy" },
+            { name: "Tandoori Masala", quantity: 3, unit: "kg", frequency: "monthly", category: "spices" }
         ]
     },
     {
@@ -176,9 +266,9 @@ let vendors = [
         location: "Laxmi Nagar, Delhi",
         businessType: "Food Cart",
         requirements: [
-            { name: "Urad Dal", quantity: "20kg/month", category: "flour" },
-            { name: "Coconut", quantity: "25kg/week", category: "vegetables" },
-            { name: "Curry Leaves", quantity: "2kg/week", category: "spices" }
+            { name: "Urad Dal", quantity: 20, unit: "kg", frequency: "monthly", category: "flour" },
+            { name: "Coconut", quantity: 25, unit: "kg", frequency: "weekly", category: "vegetables" },
+            { name: "Curry Leaves", quantity: 2, unit: "kg", frequency: "weekly", category: "spices" }
         ]
     },
     {
@@ -188,9 +278,9 @@ let vendors = [
         location: "Old Delhi, Delhi",
         businessType: "Restaurant",
         requirements: [
-            { name: "Basmati Rice", quantity: "100kg/week", category: "flour" },
-            { name: "Mutton", quantity: "60kg/week", category: "meat" },
-            { name: "Saffron", quantity: "500g/month", category: "spices" }
+            { name: "Basmati Rice", quantity: 100, unit: "kg", frequency: "weekly", category: "flour" },
+            { name: "Mutton", quantity: 60, unit: "kg", frequency: "weekly", category: "meat" },
+            { name: "Saffron", quantity: 500, unit: "gram", frequency: "monthly", category: "spices" }
         ]
     }
 ];
@@ -363,7 +453,7 @@ let supplierOrders = [
 
 // Product management functions
 function editProduct(productId) {
-    const product = supplierProducts.find(p => p.id === productId);
+    const product = supplierProducts.find(p => String(p.id) === String(productId));
     if (!product) {
         showNotification('Product not found!', 'error');
         return;
@@ -395,7 +485,7 @@ function editProduct(productId) {
     `;
     
     modal.innerHTML = `
-        <h3 style="margin-bottom: 1.5rem; color: #2c3e50;">Edit Product: ${product.name}</h3>
+        <h3 style="margin-bottom: 1.5rem; color: #2c3e50;">Edit Product: <span class="edit-product-name"></span></h3>
         <form id="editProductForm">
             <div style="margin-bottom: 1rem;">
                 <label style="display: block; margin-bottom: 0.5rem; font-weight: 600;">Price per kg (₹)</label>
@@ -409,12 +499,17 @@ function editProduct(productId) {
                 <label style="display: block; margin-bottom: 0.5rem; font-weight: 600;">Current Stock (kg)</label>
                 <input type="number" id="editStock" value="${product.stock}" style="width: 100%; padding: 0.75rem; border: 1px solid #ddd; border-radius: 8px;" required>
             </div>
+            <div style="margin-bottom: 1.5rem;">
+                <label style="display: block; margin-bottom: 0.5rem; font-weight: 600;">Reorder When Stock Falls To (kg)</label>
+                <input type="number" id="editReorderThreshold" min="0" value="${product.reorderThreshold ?? DEFAULT_REORDER_THRESHOLD}" style="width: 100%; padding: 0.75rem; border: 1px solid #ddd; border-radius: 8px;" required>
+            </div>
             <div style="display: flex; gap: 1rem; justify-content: flex-end;">
                 <button type="button" onclick="closeEditModal()" style="padding: 0.75rem 1.5rem; background: #6c757d; color: white; border: none; border-radius: 8px; cursor: pointer;">Cancel</button>
                 <button type="submit" style="padding: 0.75rem 1.5rem; background: #059669; color: white; border: none; border-radius: 8px; cursor: pointer;">Update Product</button>
             </div>
         </form>
     `;
+    modal.querySelector('.edit-product-name').textContent = product.name;
     
     overlay.appendChild(modal);
     document.body.appendChild(overlay);
@@ -422,18 +517,52 @@ function editProduct(productId) {
     // Store reference for closing
     window.currentEditModal = overlay;
     
+    // The stock count the supplier is editing from
+    let loadedStock = product.stock;
+    
     // Handle form submission
-    document.getElementById('editProductForm').addEventListener('submit', function(e) {
+    document.getElementById('editProductForm').addEventListener('submit', async function(e) {
         e.preventDefault();
         
         const newPrice = parseFloat(document.getElementById('editPrice').value);
         const newMinOrder = parseInt(document.getElementById('editMinOrder').value);
         const newStock = parseInt(document.getElementById('editStock').value);
+        const newReorderThreshold = parseInt(document.getElementById('editReorderThreshold').value);
         
         // Update product
-        product.price = newPrice;
-        product.minOrder = newMinOrder;
-        product.stock = newStock;
+        if (isSampleProduct(product)) {
+            product.price = newPrice;
+            product.minOrder = newMinOrder;
+            product.stock = newStock;
+            product.reorderThreshold = newReorderThreshold;
+        } else {
+            try {
+                const data = await apiCall(`/products/${product.id}`, 'PUT', {
+                    price: newPrice,
+                    minimumOrderQuantity: newMinOrder,
+                    reorderThreshold: newReorderThreshold
+                });
+                Object.assign(product, mapSupplierProduct(data.product));
+                
+                // Stock is only set if no order has reserved any since the form loaded
+                if (newStock !== loadedStock) {
+                    const stockData = await apiCall(`/products/${product.id}/stock`, 'PUT', {
+                        availableQuantity: newStock,
+                        expectedQuantity: loadedStock
+                    });
+                    Object.assign(product, mapSupplierProduct(stockData.product));
+                }
+            } catch (error) {
+                showNotification(error.message, 'error');
+                if (error.status === 409) {
+                    // Show the current count so the supplier can correct it again
+                    loadedStock = product.stock;
+                    document.getElementById('editStock').value = product.stock;
+                    loadSupplierProducts();
+                }
+                return;
+            }
+        }
         
         // Refresh display
         loadSupplierProducts();
@@ -452,7 +581,7 @@ function closeEditModal() {
 }
 
 function restockProduct(productId) {
-    const product = supplierProducts.find(p => p.id === productId);
+    const product = supplierProducts.find(p => String(p.id) === String(productId));
     if (!product) {
         showNotification('Product not found!', 'error');
         return;
@@ -484,12 +613,13 @@ function restockProduct(productId) {
     `;
     
     modal.innerHTML = `
-        <h3 style="margin-bottom: 1.5rem; color: #2c3e50;">Restock: ${product.name}</h3>
+        <h3 style="margin-bottom: 1.5rem; color: #2c3e50;">Restock: <span class="restock-product-name"></span></h3>
         <p style="margin-bottom: 1rem; color: #718096;">Current Stock: <strong>${product.stock}kg</strong></p>
         <form id="restockForm">
             <div style="margin-bottom: 1.5rem;">
                 <label style="display: block; margin-bottom: 0.5rem; font-weight: 600;">Add Stock (kg)</label>
                 <input type="number" id="restockAmount" min="1" placeholder="Enter amount to add" style="width: 100%; padding: 0.75rem; border: 1px solid #ddd; border-radius: 8px;" required>
+                <p id="restockSuggestion" style="margin-top: 0.5rem; color: #059669; font-size: 0.9rem;"></p>
             </div>
             <div style="display: flex; gap: 1rem; justify-content: flex-end;">
                 <button type="button" onclick="closeRestockModal()" style="padding: 0.75rem 1.5rem; background: #6c757d; color: white; border: none; border-radius: 8px; cursor: pointer;">Cancel</button>
@@ -497,6 +627,7 @@ function restockProduct(productId) {
             </div>
         </form>
     `;
+    modal.querySelector('.restock-product-name').textContent = product.name;
     
     overlay.appendChild(modal);
     document.body.appendChild(overlay);
@@ -504,15 +635,29 @@ function restockProduct(productId) {
     // Store reference for closing
     window.currentRestockModal = overlay;
     
+    if (!isSampleProduct(product)) {
+        showRestockSuggestion(product);
+    }
+    
     // Handle form submission
-    document.getElementById('restockForm').addEventListener('submit', function(e) {
+    document.getElementById('restockForm').addEventListener('submit', async function(e) {
         e.preventDefault();
         
         const restockAmount = parseInt(document.getElementById('restockAmount').value);
         const oldStock = product.stock;
         
         // Update stock
-        product.stock += restockAmount;
+        if (isSampleProduct(product)) {
+            product.stock += restockAmount;
+        } else {
+            try {
+                const data = await apiCall(`/products/${product.id}/restock`, 'POST', { quantity: restockAmount });
+                Object.assign(product, mapSupplierProduct(data.product));
+            } catch (error) {
+                showNotification(error.message, 'error');
+                return;
+            }
+        }
         
         // Refresh display
         loadSupplierProducts();
@@ -523,6 +668,26 @@ function restockProduct(productId) {
     });
 }
 
+// Suggest how much to restock a low product from its recent sales
+async function showRestockSuggestion(product) {
+    try {
+        const data = await apiCall('/products/my/low-stock');
+        const lowStock = data.products.find(p => String(p._id) === String(product.id));
+        const hint = document.getElementById('restockSuggestion');
+        if (!lowStock || !hint || !lowStock.restock.suggestedQuantity) return;
+        
+        const { suggestedQuantity, dailySales, coverDays } = lowStock.restock;
+        hint.textContent = dailySales > 0
+            ? `Suggested: ${suggestedQuantity}kg, enough for ${coverDays} days at ${dailySales}kg/day`
+            : `Suggested: ${suggestedQuantity}kg to get back above your reorder level`;
+        
+        const input = document.getElementById('restockAmount');
+        if (input && !input.value) input.value = suggestedQuantity;
+    } catch (error) {
+        // The suggestion is optional
+    }
+}
+
 function closeRestockModal() {
     if (window.currentRestockModal) {
         document.body.removeChild(window.currentRestockModal);
@@ -562,6 +727,26 @@ document.addEventListener('DOMContentLoaded', function() {
         registerForm.addEventListener('submit', handleRegister);
     }
     
+    const forgotPasswordForm = document.getElementById('forgotPasswordFormElement');
+    const resetPasswordForm = document.getElementById('resetPasswordFormElement');
+    
+    if (forgotPasswordForm) {
+        forgotPasswordForm.addEventListener('submit', handleForgotPassword);
+    }
+    if (resetPasswordForm) {
+        resetPasswordForm.addEventListener('submit', handleResetPassword);
+    }
+    
+    const phoneLoginForm = document.getElementById('phoneLoginFormElement');
+    const phoneCodeForm = document.getElementById('phoneCodeFormElement');
+    
+    if (phoneLoginForm) {
+        phoneLoginForm.addEventListener('submit', handleLoginCodeRequest);
+    }
+    if (phoneCodeForm) {
+        phoneCodeForm.addEventListener('submit', handleLoginCodeVerify);
+    }
+    
     populateProductSelects();
 });
 
@@ -782,7 +967,45 @@ function updateDashboardStats() {
     document.getElementById('groupOrders').textContent = myGroupOrders.length;
     
     const totalSavings = myGroupOrders.reduce((sum, order) => sum + order.totalSavings, 0);
-    document.getElementById('monthlySavings').textContent = `₹${totalSavings}`;
+    document.getElementById('totalSavings').textContent = `₹${totalSavings}`;
+    
+    // Replace the local figures with the server's once they arrive
+    fetchDashboardStats('vendor').then(data => {
+        if (!data) return;
+        
+        document.getElementById('activeOrders').textContent = data.stats.activeOrders;
+        document.getElementById('groupOrders').textContent = data.stats.groupOrders;
+        document.getElementById('totalSavings').textContent = `₹${Math.round(data.stats.totalSavings).toLocaleString()}`;
+        document.getElementById('monthlySpend').textContent = `₹${Math.round(data.stats.monthlySpend).toLocaleString()}`;
+        
+        setStatTrend('activeOrdersTrend', data.trends.ordersPlaced, 'orders vs last month');
+        setStatTrend('totalSavingsTrend', data.trends.totalSavings, 'vs last month');
+        setStatTrend('monthlySpendTrend', data.trends.monthlySpend, 'vs last month');
+    });
+}
+
+// Fetch dashboard figures for 'vendor' or 'supplier'; resolves to null if unavailable
+async function fetchDashboardStats(role) {
+    if (!authToken) return null;
+    
+    try {
+        const data = await apiCall(`/dashboard/${role}`);
+        return data && data.stats ? data : null;
+    } catch (error) {
+        console.error('Dashboard stats fetch error:', error);
+        return null;
+    }
+}
+
+// Show a month-over-month trend under a stat card
+function setStatTrend(elementId, trend, label) {
+    const element = document.getElementById(elementId);
+    if (!element || !trend) return;
+    
+    const sign = trend.change > 0 ? '+' : '';
+    element.textContent = `${sign}${trend.change}% ${label}`;
+    element.classList.remove('positive', 'negative', 'neutral');
+    element.classList.add(trend.change > 0 ? 'positive' : trend.change < 0 ? 'negative' : 'neutral');
 }
 
 // Marketplace functions
@@ -793,16 +1016,31 @@ function loadMarketplace() {
     
     if (currentUserType === 'supplier') {
         marketplaceHeader.textContent = 'Vendor Marketplace';
-        if (addVendorButton) addVendorButton.style.display = 'block';
+        if (addVendorButton) addVendorButton.style.display = 'none';
         displayVendors(vendors);
+        
+        // Show vendors' saved requirements once they arrive
+        fetchVendors().then(listedVendors => {
+            if (!listedVendors) return;
+            directoryVendors = listedVendors;
+            displayVendors([...listedVendors, ...vendors]);
+        });
     } else {
         marketplaceHeader.textContent = 'Supplier Marketplace';
-        if (addVendorButton) addVendorButton.style.display = 'none';
+        // Vendors post their own requirements for suppliers to see
+        if (addVendorButton) addVendorButton.style.display = 'block';
         displaySuppliers(suppliers);
     }
     setupMarketplaceFilters();
 }
 
+// Stars and review count for a supplier card; sample suppliers have no count
+function formatSupplierRating(supplier) {
+    if (supplier.reviews === 0) return 'No reviews yet';
+    const count = supplier.reviews !== undefined ? ` (${supplier.reviews})` : '';
+    return `${'★'.repeat(Math.floor(supplier.rating))} ${supplier.rating}${count}`;
+}
+
 function displaySuppliers(suppliersToShow) {
     const supplierGrid = document.getElementById('supplierGrid');
     supplierGrid.innerHTML = '';
@@ -812,26 +1050,48 @@ function displaySuppliers(suppliersToShow) {
         supplierCard.className = 'supplier-card';
         supplierCard.innerHTML = `
             <div class="supplier-header">
-                <div class="supplier-avatar">${supplier.name.charAt(0)}</div>
+                <div class="supplier-avatar"></div>
                 <div class="supplier-info">
-                    <h4>${supplier.name}</h4>
-                    <div class="supplier-rating">
-                        ${'★'.repeat(Math.floor(supplier.rating))} ${supplier.rating}
-                    </div>
-                    <p class="text-muted">${supplier.location}</p>
+                    <h4></h4>
+                    <div class="supplier-rating"></div>
+                    <p class="text-muted supplier-location"></p>
                 </div>
             </div>
-            <div class="product-list">
-                ${supplier.products.map(product => `
-                    <div class="product-item">
-                        <span class="product-name">${product.name}</span>
-                        <span class="product-price">₹${product.price}/kg</span>
-                    </div>
-                `).join('')}
-            </div>
-            <button class="btn-primary" onclick="contactSupplier(${supplier.id})">Contact Supplier</button>
+            <div class="product-list"></div>
+            <button class="btn-primary">Contact Supplier</button>
         `;
+        
+        // Names, addresses and products are supplier-written, so set them as text
+        supplierCard.querySelector('.supplier-avatar').textContent = supplier.name.charAt(0);
+        supplierCard.querySelector('h4').textContent = supplier.name;
+        supplierCard.querySelector('.supplier-rating').textContent = formatSupplierRating(supplier);
+        supplierCard.querySelector('.supplier-location').textContent =
+            `${supplier.location}${supplier.distanceKm !== undefined ? ` • ${supplier.distanceKm} km away` : ''}`;
+        
+        const productList = supplierCard.querySelector('.product-list');
+        supplier.products.forEach(product => {
+            const productItem = document.createElement('div');
+            productItem.className = 'product-item';
+            productItem.innerHTML = `
+                <span class="product-name"></span>
+                <span>
+                    <span class="product-price"></span>
+                    <button class="compare-price-btn">Compare</button>
+                </span>
+            `;
+            productItem.querySelector('.product-name').textContent = product.name;
+            productItem.querySelector('.product-price').textContent = `₹${product.price}/${product.unit || 'kg'}`;
+            productItem.querySelector('.compare-price-btn').addEventListener('click', () => showPriceComparison(product.name, product.commodity));
+            productList.appendChild(productItem);
+            
+            if (product.id) {
+                productList.insertAdjacentHTML('beforeend', priceTrendHtml('product', product.id));
+            }
+        });
+        supplierCard.querySelector('.btn-primary').addEventListener('click', () => contactSupplier(supplier.id));
+        
         supplierGrid.appendChild(supplierCard);
+        loadPriceTrends(supplierCard);
     });
 }
 
@@ -844,26 +1104,41 @@ function displayVendors(vendorsToShow) {
         vendorCard.className = 'supplier-card';
         vendorCard.innerHTML = `
             <div class="supplier-header">
-                <div class="supplier-avatar">${vendor.name.charAt(0)}</div>
+                <div class="supplier-avatar"></div>
                 <div class="supplier-info">
-                    <h4>${vendor.name}</h4>
+                    <h4></h4>
                     <div class="supplier-rating">
                         ${'★'.repeat(Math.floor(vendor.rating))} ${vendor.rating}
                     </div>
-                    <p class="text-muted">${vendor.location}</p>
-                    <p class="business-type">${vendor.businessType}</p>
+                    <p class="text-muted supplier-location"></p>
+                    <p class="business-type"></p>
                 </div>
             </div>
-            <div class="product-list">
-                ${vendor.requirements.map(req => `
-                    <div class="product-item">
-                        <span class="product-name">${req.name}</span>
-                        <span class="product-price">${req.quantity}</span>
-                    </div>
-                `).join('')}
-            </div>
-            <button class="btn-primary" onclick="contactVendor(${vendor.id})">Contact Vendor</button>
+            <div class="product-list"></div>
+            <button class="btn-primary">Contact Vendor</button>
         `;
+        
+        // Business details and requirements are vendor-written, so set them as text
+        vendorCard.querySelector('.supplier-avatar').textContent = vendor.name.charAt(0);
+        vendorCard.querySelector('h4').textContent = vendor.name;
+        vendorCard.querySelector('.supplier-location').textContent =
+            `${vendor.location}${vendor.distanceKm !== undefined ? ` • ${vendor.distanceKm} km away` : ''}`;
+        vendorCard.querySelector('.business-type').textContent = vendor.businessType;
+        
+        const requirementList = vendorCard.querySelector('.product-list');
+        vendor.requirements.forEach(req => {
+            const requirementItem = document.createElement('div');
+            requirementItem.className = 'product-item';
+            requirementItem.innerHTML = `
+                <span class="product-name"></span>
+                <span class="product-price"></span>
+            `;
+            requirementItem.querySelector('.product-name').textContent = req.name;
+            requirementItem.querySelector('.product-price').textContent = formatRequirementQuantity(req);
+            requirementList.appendChild(requirementItem);
+        });
+        vendorCard.querySelector('.btn-primary').addEventListener('click', () => contactVendor(vendor.id));
+        
         supplierGrid.appendChild(vendorCard);
     });
 }
@@ -880,48 +1155,165 @@ function setupMarketplaceFilters() {
         
         if (currentUserType === 'supplier') {
             // Filter vendors for suppliers
-            let filteredVendors = vendors.filter(vendor => {
-                const matchesSearch = vendor.name.toLowerCase().includes(searchTerm) ||
-                                    vendor.requirements.some(r => r.name.toLowerCase().includes(searchTerm));
-                
-                const matchesCategory = !selectedCategory || 
-                                      vendor.requirements.some(r => r.category === selectedCategory);
-                
-                const matchesLocation = !selectedLocation || 
-                                      (selectedLocation === 'nearby' && vendor.location.includes('Delhi')) ||
-                                      (selectedLocation === 'city' && vendor.location.includes('Delhi'));
+            const matchesSearch = vendor => vendor.name.toLowerCase().includes(searchTerm) ||
+                                          vendor.requirements.some(r => r.name.toLowerCase().includes(searchTerm));
+            
+            const matchesCategory = vendor => !selectedCategory || 
+                                            vendor.requirements.some(r => r.category === selectedCategory);
+            
+            if (!selectedLocation) {
+                displayVendors([...directoryVendors, ...vendors].filter(vendor => matchesSearch(vendor) && matchesCategory(vendor)));
+                return;
+            }
+            
+            // Location filters search the vendor listings by distance
+            fetchVendors({ radiusKm: LOCATION_FILTER_RADIUS_KM[selectedLocation] }).then(nearbyVendors => {
+                if (!nearbyVendors) {
+                    showNotification('Location search is unavailable right now. Showing all vendors.', 'warning');
+                    displayVendors([...directoryVendors, ...vendors].filter(vendor => matchesSearch(vendor) && matchesCategory(vendor)));
+                    return;
+                }
                 
-                return matchesSearch && matchesCategory && matchesLocation;
+                displayVendors(nearbyVendors.filter(vendor => matchesSearch(vendor) && matchesCategory(vendor)));
             });
-            
-            displayVendors(filteredVendors);
         } else {
-            // Filter suppliers for vendors
-            let filteredSuppliers = suppliers.filter(supplier => {
-                const matchesSearch = supplier.name.toLowerCase().includes(searchTerm) ||
-                                    supplier.products.some(p => p.name.toLowerCase().includes(searchTerm));
-                
-                const matchesCategory = !selectedCategory || 
-                                      supplier.products.some(p => p.category === selectedCategory);
-                
-                const matchesLocation = !selectedLocation || 
-                                      (selectedLocation === 'nearby' && supplier.location.includes('Delhi')) ||
-                                      (selectedLocation === 'city' && supplier.location.includes('Delhi'));
+            // Filter suppliers for vendors. The server's product search also
+            // understands regional names and typos ("pyaz", "tumeric").
+            const serverMatches = productSearchMatches?.term === searchTerm ? productSearchMatches : null;
+            const matchesSearch = supplier => supplier.name.toLowerCase().includes(searchTerm) ||
+                                            supplier.products.some(p => p.name.toLowerCase().includes(searchTerm)) ||
+                                            (serverMatches !== null && (serverMatches.supplierIds.has(String(supplier.id)) ||
+                                                supplier.products.some(p => serverMatches.productNames.has(p.name.toLowerCase()))));
+            
+            const matchesCategory = supplier => !selectedCategory || 
+                                              supplier.products.some(p => p.category === selectedCategory);
+            
+            if (!selectedLocation) {
+                displaySuppliers(suppliers.filter(supplier => matchesSearch(supplier) && matchesCategory(supplier)));
+                return;
+            }
+            
+            // Location filters search the supplier directory by distance
+            fetchNearbySuppliers(LOCATION_FILTER_RADIUS_KM[selectedLocation], selectedCategory).then(nearbySuppliers => {
+                if (!nearbySuppliers) {
+                    showNotification('Location search is unavailable right now. Showing all suppliers.', 'warning');
+                    displaySuppliers(suppliers.filter(supplier => matchesSearch(supplier) && matchesCategory(supplier)));
+                    return;
+                }
                 
-                return matchesSearch && matchesCategory && matchesLocation;
+                // Category was already applied by the server
+                directorySuppliers = nearbySuppliers;
+                displaySuppliers(nearbySuppliers.filter(matchesSearch));
             });
-            
-            displaySuppliers(filteredSuppliers);
         }
     }
     
-    searchInput.addEventListener('input', filterMarketplace);
+    searchInput.addEventListener('input', () => {
+        filterMarketplace();
+        if (currentUserType !== 'supplier') {
+            scheduleProductSearch(searchInput.value.trim().toLowerCase(), filterMarketplace);
+        }
+    });
     categoryFilter.addEventListener('change', filterMarketplace);
     locationFilter.addEventListener('change', filterMarketplace);
 }
 
+// Products the server matched for the last marketplace search
+let productSearchMatches = null;
+let productSearchTimer = null;
+
+// Wait for a pause in typing, then ask the server which products match and refilter
+function scheduleProductSearch(term, onResults) {
+    clearTimeout(productSearchTimer);
+    if (term.length < 2) return;
+    
+    productSearchTimer = setTimeout(async () => {
+        try {
+            const data = await apiCall(`/products?${new URLSearchParams({ search: term, limit: 100 })}`);
+            productSearchMatches = {
+                term,
+                supplierIds: new Set(data.products.map(p => String(p.supplier?._id || p.supplier))),
+                productNames: new Set(data.products.map(p => p.name.toLowerCase()))
+            };
+            
+            const corrections = data.search?.corrections || [];
+            if (corrections.length > 0) {
+                showNotification(`Showing results for "${corrections.map(c => c.to).join(' ')}"`, 'info');
+            }
+            onResults();
+        } catch (error) {
+            // Offline: the local name match is all we have
+            console.error('Product search error:', error);
+        }
+    }, 300);
+}
+
+// Search radius for each marketplace location filter, in km
+const LOCATION_FILTER_RADIUS_KM = {
+    nearby: 5,
+    city: 30
+};
+
+// Marketplace category names that differ from the backend catalogue
+const BACKEND_CATEGORIES = {
+    oil: 'oils',
+    flour: 'grains'
+};
+
+// Suppliers returned by the last directory search
+let directorySuppliers = [];
+
+// Get the user's position from the browser, falling back to their saved pincode
+function getSearchOrigin() {
+    return new Promise(resolve => {
+        const pincode = currentUser && currentUser.address && currentUser.address.pincode;
+        const fallback = () => resolve(pincode ? { pincode } : null);
+        
+        if (!navigator.geolocation) {
+            fallback();
+            return;
+        }
+        
+        navigator.geolocation.getCurrentPosition(
+            position => resolve({ lat: position.coords.latitude, lng: position.coords.longitude }),
+            fallback,
+            { timeout: 10000, maximumAge: 5 * 60 * 1000 }
+        );
+    });
+}
+
+// Fetch verified suppliers within radiusKm of the user; resolves to null if unavailable
+async function fetchNearbySuppliers(radiusKm, category) {
+    const origin = await getSearchOrigin();
+    if (!origin) return null;
+    
+    const params = new URLSearchParams({ ...origin, radius: radiusKm });
+    if (category) {
+        params.set('category', BACKEND_CATEGORIES[category] || category);
+    }
+    
+    try {
+        const data = await apiCall(`/suppliers?${params}`);
+        if (!data || !data.suppliers) return null;
+        
+        return data.suppliers.map(supplier => ({
+            id: supplier._id,
+            name: supplier.companyName || supplier.name,
+            rating: Math.round(supplier.rating * 10) / 10,
+            reviews: supplier.totalRatings || 0,
+            reputation: supplier.reputation?.score,
+            location: [supplier.address?.street, supplier.address?.city].filter(Boolean).join(', '),
+            distanceKm: supplier.distanceKm,
+            products: supplier.products.map(p => ({ id: p._id, name: p.name, price: p.price, unit: p.unit, category: p.category, commodity: p.commodity }))
+        }));
+    } catch (error) {
+        console.error('Nearby suppliers fetch error:', error);
+        return null;
+    }
+}
+
 function contactSupplier(supplierId) {
-    const supplier = suppliers.find(s => s.id === supplierId);
+    const supplier = [...suppliers, ...directorySuppliers].find(s => String(s.id) === String(supplierId));
     if (!supplier) {
         showNotification('Supplier not found!', 'error');
         return;
@@ -930,8 +1322,66 @@ function contactSupplier(supplierId) {
     showContactModal(supplier);
 }
 
+// Vendors returned by the last listings fetch
+let directoryVendors = [];
+
+// Format a structured requirement quantity, e.g. "20 kg/week"
+function formatRequirementQuantity(requirement) {
+    const unitLabels = { gram: 'g', liter: 'L', piece: 'pcs', packet: 'packets', box: 'boxes' };
+    const frequencyLabels = { daily: 'day', weekly: 'week', fortnightly: 'fortnight', monthly: 'month' };
+    const unit = unitLabels[requirement.unit] || requirement.unit;
+    
+    return `${requirement.quantity} ${unit}/${frequencyLabels[requirement.frequency] || requirement.frequency}`;
+}
+
+// Fetch vendors with live requirements, optionally within radiusKm of the user; resolves to null if unavailable
+async function fetchVendors({ radiusKm } = {}) {
+    const params = new URLSearchParams();
+    
+    if (radiusKm) {
+        const origin = await getSearchOrigin();
+        if (!origin) return null;
+        Object.entries(origin).forEach(([key, value]) => params.set(key, value));
+        params.set('radius', radiusKm);
+    }
+    
+    // Map backend category names back to the marketplace's
+    const marketplaceCategories = Object.fromEntries(
+        Object.entries(BACKEND_CATEGORIES).map(([marketplace, backend]) => [backend, marketplace])
+    );
+    
+    try {
+        const data = await apiCall(`/vendors?${params}`);
+        if (!data || !data.vendors) return null;
+        
+        return data.vendors.map(vendor => ({
+            id: vendor._id,
+            name: vendor.businessName || vendor.name,
+            rating: vendor.rating,
+            location: [vendor.address?.street, vendor.address?.city].filter(Boolean).join(', '),
+            businessType: vendor.businessType,
+            distanceKm: vendor.distanceKm,
+            requirements: vendor.requirements.map(r => ({
+                name: r.item,
+                quantity: r.quantity,
+                unit: r.unit,
+                frequency: r.frequency,
+                category: marketplaceCategories[r.category] || r.category
+            }))
+        }));
+    } catch (error) {
+        console.error('Vendors fetch error:', error);
+        return null;
+    }
+}
+
+// Look up a vendor from the listings or the sample data
+function findVendor(vendorId) {
+    return [...directoryVendors, ...vendors].find(v => String(v.id) === String(vendorId));
+}
+
 function contactVendor(vendorId) {
-    const vendor = vendors.find(v => v.id === vendorId);
+    const vendor = findVendor(vendorId);
     if (!vendor) {
         showNotification('Vendor not found!', 'error');
         return;
@@ -983,8 +1433,8 @@ function showContactModal(supplier) {
                     🏪
                 </div>
                 <div>
-                    <h2 style="margin: 0; font-size: 1.5rem; font-weight: 700;">${supplier.name}</h2>
-                    <p style="margin: 0.5rem 0 0 0; opacity: 0.9; font-size: 1rem;">${supplier.location}</p>
+                    <h2 class="contact-name" style="margin: 0; font-size: 1.5rem; font-weight: 700;"></h2>
+                    <p class="contact-location" style="margin: 0.5rem 0 0 0; opacity: 0.9; font-size: 1rem;"></p>
                 </div>
             </div>
         </div>
@@ -995,11 +1445,17 @@ function showContactModal(supplier) {
                 <div style="display: grid; gap: 0.75rem;">
                     <div style="display: flex; justify-content: space-between; padding: 0.75rem; background: #f8fafc; border-radius: 8px;">
                         <span style="color: #718096; font-weight: 500;">Rating:</span>
-                        <span style="color: #2d3748; font-weight: 600;">${supplier.rating} ⭐ (${supplier.reviews} reviews)</span>
+                        <span style="color: #2d3748; font-weight: 600;">${supplier.reviews === 0 ? 'No reviews yet' : `${supplier.rating} ⭐${supplier.reviews !== undefined ? ` (${supplier.reviews} reviews)` : ''}`}</span>
+                    </div>
+                    ${supplier.reputation !== undefined ? `
+                    <div style="display: flex; justify-content: space-between; padding: 0.75rem; background: #f8fafc; border-radius: 8px;" title="Based on reviews, on-time delivery and cancellations">
+                        <span style="color: #718096; font-weight: 500;">Reputation:</span>
+                        <span style="color: #2d3748; font-weight: 600;">${Math.round(supplier.reputation)}/100</span>
                     </div>
+                    ` : ''}
                     <div style="display: flex; justify-content: space-between; padding: 0.75rem; background: #f8fafc; border-radius: 8px;">
                         <span style="color: #718096; font-weight: 500;">Speciality:</span>
-                        <span style="color: #2d3748; font-weight: 600;">${supplier.speciality}</span>
+                        <span class="contact-speciality" style="color: #2d3748; font-weight: 600;"></span>
                     </div>
                     <div style="display: flex; justify-content: space-between; padding: 0.75rem; background: #f8fafc; border-radius: 8px;">
                         <span style="color: #718096; font-weight: 500;">Delivery Time:</span>
@@ -1012,6 +1468,15 @@ function showContactModal(supplier) {
                 </div>
             </div>
             
+            ${supplier.reviews ? `
+            <div style="margin-bottom: 2rem;">
+                <h3 style="margin: 0 0 1rem 0; color: #2d3748; font-size: 1.1rem; font-weight: 600;">Recent Reviews</h3>
+                <div class="supplier-reviews" style="display: grid; gap: 0.75rem;">
+                    <p class="text-muted">Loading reviews...</p>
+                </div>
+            </div>
+            ` : ''}
+            
             <div style="margin-bottom: 2rem;">
                 <h3 style="margin: 0 0 1rem 0; color: #2d3748; font-size: 1.1rem; font-weight: 600;">Contact Options</h3>
                 <div style="display: grid; gap: 1rem;">
@@ -1035,7 +1500,7 @@ function showContactModal(supplier) {
                         <i class="fas fa-envelope" style="font-size: 1.2rem;"></i>
                         <div style="text-align: left; flex: 1;">
                             <div style="font-size: 1rem;">Send Email</div>
-                            <div style="font-size: 0.875rem; opacity: 0.9;">${supplier.name.toLowerCase().replace(/\s+/g, '')}@supplier.com</div>
+                            <div class="contact-email" style="font-size: 0.875rem; opacity: 0.9;"></div>
                         </div>
                     </button>
                 </div>
@@ -1052,12 +1517,22 @@ function showContactModal(supplier) {
         </div>
     `;
     
+    // The name and address are supplier-written, so set them as text
+    modal.querySelector('.contact-name').textContent = supplier.name;
+    modal.querySelector('.contact-location').textContent = supplier.location;
+    modal.querySelector('.contact-speciality').textContent = supplier.speciality || '—';
+    modal.querySelector('.contact-email').textContent = `${supplier.name.toLowerCase().replace(/\s+/g, '')}@supplier.com`;
+    
     overlay.appendChild(modal);
     document.body.appendChild(overlay);
     
     // Store modal reference globally
     window.currentContactModal = overlay;
     
+    if (supplier.reviews) {
+        loadSupplierReviews(supplier.id, modal.querySelector('.supplier-reviews'));
+    }
+    
     // Close on overlay click
     overlay.addEventListener('click', (e) => {
         if (e.target === overlay) {
@@ -1074,6 +1549,43 @@ function showContactModal(supplier) {
     });
 }
 
+// Show a supplier's latest reviews in the contact modal
+async function loadSupplierReviews(supplierId, container) {
+    try {
+        const data = await apiCall(`/reviews?supplier=${supplierId}&limit=3`);
+        container.innerHTML = '';
+        
+        data.reviews.forEach(review => {
+            const item = document.createElement('div');
+            item.style.cssText = 'padding: 0.75rem; background: #f8fafc; border-radius: 8px;';
+            
+            // Reviews are user-written, so set them as text rather than HTML
+            const meta = document.createElement('div');
+            meta.style.cssText = 'display: flex; justify-content: space-between; color: #718096; font-size: 0.875rem;';
+            meta.textContent = `${'⭐'.repeat(review.rating)} ${review.vendor?.businessName || review.vendor?.name || 'Vendor'}`;
+            item.appendChild(meta);
+            
+            if (review.comment) {
+                const comment = document.createElement('p');
+                comment.style.cssText = 'margin: 0.5rem 0 0 0; color: #2d3748;';
+                comment.textContent = review.comment;
+                item.appendChild(comment);
+            }
+            
+            if (review.reply?.text) {
+                const reply = document.createElement('p');
+                reply.style.cssText = 'margin: 0.5rem 0 0 0; padding-left: 0.75rem; border-left: 3px solid #ff9900; color: #4a5568; font-size: 0.875rem;';
+                reply.textContent = `Supplier reply: ${review.reply.text}`;
+                item.appendChild(reply);
+            }
+            
+            container.appendChild(item);
+        });
+    } catch (error) {
+        container.innerHTML = '<p class="text-muted">Reviews are unavailable right now.</p>';
+    }
+}
+
 function closeContactModal() {
     if (window.currentContactModal) {
         document.body.removeChild(window.currentContactModal);
@@ -1136,19 +1648,17 @@ function showVendorContactModal(vendor) {
     
     modal.innerHTML = `
         <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
-            <h3 style="margin: 0; color: #2c3e50;">Contact ${vendor.name}</h3>
+            <h3 class="contact-title" style="margin: 0; color: #2c3e50;"></h3>
             <button onclick="closeVendorContactModal()" style="background: none; border: none; font-size: 24px; cursor: pointer; color: #7f8c8d;">&times;</button>
         </div>
         
         <div style="margin-bottom: 20px;">
             <div style="display: flex; align-items: center; margin-bottom: 10px;">
-                <div style="width: 50px; height: 50px; border-radius: 50%; background: #3498db; color: white; display: flex; align-items: center; justify-content: center; font-weight: bold; margin-right: 15px;">
-                    ${vendor.name.charAt(0)}
-                </div>
+                <div class="contact-avatar" style="width: 50px; height: 50px; border-radius: 50%; background: #3498db; color: white; display: flex; align-items: center; justify-content: center; font-weight: bold; margin-right: 15px;"></div>
                 <div>
-                    <h4 style="margin: 0; color: #2c3e50;">${vendor.name}</h4>
-                    <p style="margin: 5px 0; color: #7f8c8d;">${vendor.businessType}</p>
-                    <p style="margin: 0; color: #7f8c8d;">📍 ${vendor.location}</p>
+                    <h4 class="contact-name" style="margin: 0; color: #2c3e50;"></h4>
+                    <p class="contact-business-type" style="margin: 5px 0; color: #7f8c8d;"></p>
+                    <p class="contact-location" style="margin: 0; color: #7f8c8d;"></p>
                     <div style="margin-top: 5px;">${'⭐'.repeat(Math.floor(vendor.rating))} ${vendor.rating}</div>
                 </div>
             </div>
@@ -1156,35 +1666,48 @@ function showVendorContactModal(vendor) {
         
         <div style="margin-bottom: 20px;">
             <h4 style="color: #2c3e50; margin-bottom: 10px;">Requirements:</h4>
-            <div style="background: #f8f9fa; padding: 15px; border-radius: 8px;">
-                ${vendor.requirements.map(req => `
-                    <div style="display: flex; justify-content: space-between; margin-bottom: 8px; padding: 8px; background: white; border-radius: 5px;">
-                        <span style="font-weight: 500;">${req.name}</span>
-                        <span style="color: #27ae60; font-weight: bold;">${req.quantity}</span>
-                    </div>
-                `).join('')}
-            </div>
+            <div class="contact-requirements" style="background: #f8f9fa; padding: 15px; border-radius: 8px;"></div>
         </div>
         
         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 15px;">
-            <button onclick="callVendor(${vendor.id})" style="background: #27ae60; color: white; border: none; padding: 12px; border-radius: 8px; cursor: pointer; display: flex; align-items: center; justify-content: center; gap: 8px;">
+            <button onclick="callVendor('${vendor.id}')" style="background: #27ae60; color: white; border: none; padding: 12px; border-radius: 8px; cursor: pointer; display: flex; align-items: center; justify-content: center; gap: 8px;">
                 📞 Call
             </button>
-            <button onclick="whatsappVendor(${vendor.id})" style="background: #25d366; color: white; border: none; padding: 12px; border-radius: 8px; cursor: pointer; display: flex; align-items: center; justify-content: center; gap: 8px;">
+            <button onclick="whatsappVendor('${vendor.id}')" style="background: #25d366; color: white; border: none; padding: 12px; border-radius: 8px; cursor: pointer; display: flex; align-items: center; justify-content: center; gap: 8px;">
                 💬 WhatsApp
             </button>
         </div>
         
         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
-            <button onclick="emailVendor(${vendor.id})" style="background: #3498db; color: white; border: none; padding: 12px; border-radius: 8px; cursor: pointer; display: flex; align-items: center; justify-content: center; gap: 8px;">
+            <button onclick="emailVendor('${vendor.id}')" style="background: #3498db; color: white; border: none; padding: 12px; border-radius: 8px; cursor: pointer; display: flex; align-items: center; justify-content: center; gap: 8px;">
                 📧 Email
             </button>
-            <button onclick="viewVendorRequirements(${vendor.id})" style="background: #f39c12; color: white; border: none; padding: 12px; border-radius: 8px; cursor: pointer; display: flex; align-items: center; justify-content: center; gap: 8px;">
+            <button onclick="viewVendorRequirements('${vendor.id}')" style="background: #f39c12; color: white; border: none; padding: 12px; border-radius: 8px; cursor: pointer; display: flex; align-items: center; justify-content: center; gap: 8px;">
                 📋 View Details
             </button>
         </div>
     `;
     
+    // Business details and requirements are vendor-written, so set them as text
+    modal.querySelector('.contact-title').textContent = `Contact ${vendor.name}`;
+    modal.querySelector('.contact-avatar').textContent = vendor.name.charAt(0);
+    modal.querySelector('.contact-name').textContent = vendor.name;
+    modal.querySelector('.contact-business-type').textContent = vendor.businessType;
+    modal.querySelector('.contact-location').textContent = `📍 ${vendor.location}`;
+    const requirementList = modal.querySelector('.contact-requirements');
+    vendor.requirements.forEach(req => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; justify-content: space-between; margin-bottom: 8px; padding: 8px; background: white; border-radius: 5px;';
+        row.innerHTML = `
+            <span style="font-weight: 500;"></span>
+            <span style="color: #27ae60; font-weight: bold;"></span>
+        `;
+        const [name, quantity] = row.querySelectorAll('span');
+        name.textContent = req.name;
+        quantity.textContent = formatRequirementQuantity(req);
+        requirementList.appendChild(row);
+    });
+    
     overlay.appendChild(modal);
     document.body.appendChild(overlay);
     
@@ -1200,26 +1723,26 @@ function closeVendorContactModal() {
 }
 
 function callVendor(vendorId) {
-    const vendor = vendors.find(v => v.id === vendorId);
+    const vendor = findVendor(vendorId);
     showNotification(`📞 Calling ${vendor.name}... In a real app, this would initiate a call.`, 'success');
     closeVendorContactModal();
 }
 
 function whatsappVendor(vendorId) {
-    const vendor = vendors.find(v => v.id === vendorId);
+    const vendor = findVendor(vendorId);
     showNotification(`💬 Opening WhatsApp chat with ${vendor.name}... In a real app, this would open WhatsApp.`, 'success');
     closeVendorContactModal();
 }
 
 function emailVendor(vendorId) {
-    const vendor = vendors.find(v => v.id === vendorId);
+    const vendor = findVendor(vendorId);
     showNotification(`📧 Opening email to ${vendor.name}... In a real app, this would open your email client.`, 'success');
     closeVendorContactModal();
 }
 
 function viewVendorRequirements(vendorId) {
     closeVendorContactModal();
-    const vendor = vendors.find(v => v.id === vendorId);
+    const vendor = findVendor(vendorId);
     showVendorDetailsModal(vendor);
 }
 
@@ -1253,21 +1776,17 @@ function showVendorDetailsModal(vendor) {
     
     modal.innerHTML = `
         <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 25px;">
-            <h3 style="margin: 0; color: #2c3e50; display: flex; align-items: center; gap: 10px;">
-                📋 ${vendor.name} - Detailed Requirements
-            </h3>
+            <h3 class="details-title" style="margin: 0; color: #2c3e50; display: flex; align-items: center; gap: 10px;"></h3>
             <button onclick="closeVendorDetailsModal()" style="background: none; border: none; font-size: 24px; cursor: pointer; color: #7f8c8d;">&times;</button>
         </div>
         
         <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; border-radius: 10px; margin-bottom: 25px;">
             <div style="display: flex; align-items: center; margin-bottom: 15px;">
-                <div style="width: 60px; height: 60px; border-radius: 50%; background: rgba(255,255,255,0.2); color: white; display: flex; align-items: center; justify-content: center; font-weight: bold; font-size: 24px; margin-right: 20px;">
-                    ${vendor.name.charAt(0)}
-                </div>
+                <div class="details-avatar" style="width: 60px; height: 60px; border-radius: 50%; background: rgba(255,255,255,0.2); color: white; display: flex; align-items: center; justify-content: center; font-weight: bold; font-size: 24px; margin-right: 20px;"></div>
                 <div>
-                    <h4 style="margin: 0; font-size: 22px;">${vendor.name}</h4>
-                    <p style="margin: 5px 0; opacity: 0.9;">${vendor.businessType}</p>
-                    <p style="margin: 0; opacity: 0.9;">📍 ${vendor.location}</p>
+                    <h4 class="details-name" style="margin: 0; font-size: 22px;"></h4>
+                    <p class="details-business-type" style="margin: 5px 0; opacity: 0.9;"></p>
+                    <p class="details-location" style="margin: 0; opacity: 0.9;"></p>
                 </div>
             </div>
             <div style="display: flex; align-items: center; gap: 15px;">
@@ -1285,22 +1804,7 @@ function showVendorDetailsModal(vendor) {
             <h4 style="color: #2c3e50; margin-bottom: 15px; display: flex; align-items: center; gap: 8px;">
                 🛒 Raw Material Requirements
             </h4>
-            <div style="display: grid; gap: 12px;">
-                ${vendor.requirements.map(req => `
-                    <div style="background: #f8f9fa; padding: 18px; border-radius: 10px; border-left: 4px solid #3498db;">
-                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
-                            <h5 style="margin: 0; color: #2c3e50; font-size: 16px;">${req.name}</h5>
-                            <span style="background: #27ae60; color: white; padding: 4px 12px; border-radius: 20px; font-size: 12px; font-weight: bold;">
-                                ${req.category.toUpperCase()}
-                            </span>
-                        </div>
-                        <div style="display: flex; justify-content: space-between; align-items: center;">
-                            <span style="color: #7f8c8d; font-size: 14px;">Required Quantity:</span>
-                            <span style="color: #e74c3c; font-weight: bold; font-size: 16px;">${req.quantity}</span>
-                        </div>
-                    </div>
-                `).join('')}
-            </div>
+            <div class="details-requirements" style="display: grid; gap: 12px;"></div>
         </div>
         
         <div style="background: #e8f5e8; padding: 20px; border-radius: 10px; margin-bottom: 20px;">
@@ -1314,7 +1818,7 @@ function showVendorDetailsModal(vendor) {
         </div>
         
         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px;">
-            <button onclick="contactVendorFromDetails(${vendor.id})" style="background: #3498db; color: white; border: none; padding: 15px; border-radius: 8px; cursor: pointer; display: flex; align-items: center; justify-content: center; gap: 8px; font-weight: bold;">
+            <button onclick="contactVendorFromDetails('${vendor.id}')" style="background: #3498db; color: white; border: none; padding: 15px; border-radius: 8px; cursor: pointer; display: flex; align-items: center; justify-content: center; gap: 8px; font-weight: bold;">
                 💬 Contact Now
             </button>
             <button onclick="closeVendorDetailsModal()" style="background: #95a5a6; color: white; border: none; padding: 15px; border-radius: 8px; cursor: pointer; display: flex; align-items: center; justify-content: center; gap: 8px; font-weight: bold;">
@@ -1323,6 +1827,32 @@ function showVendorDetailsModal(vendor) {
         </div>
     `;
     
+    // Business details and requirements are vendor-written, so set them as text
+    modal.querySelector('.details-title').textContent = `📋 ${vendor.name} - Detailed Requirements`;
+    modal.querySelector('.details-avatar').textContent = vendor.name.charAt(0);
+    modal.querySelector('.details-name').textContent = vendor.name;
+    modal.querySelector('.details-business-type').textContent = vendor.businessType;
+    modal.querySelector('.details-location').textContent = `📍 ${vendor.location}`;
+    const requirementList = modal.querySelector('.details-requirements');
+    vendor.requirements.forEach(req => {
+        const requirementItem = document.createElement('div');
+        requirementItem.style.cssText = 'background: #f8f9fa; padding: 18px; border-radius: 10px; border-left: 4px solid #3498db;';
+        requirementItem.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+                <h5 style="margin: 0; color: #2c3e50; font-size: 16px;"></h5>
+                <span class="details-category" style="background: #27ae60; color: white; padding: 4px 12px; border-radius: 20px; font-size: 12px; font-weight: bold;"></span>
+            </div>
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+                <span style="color: #7f8c8d; font-size: 14px;">Required Quantity:</span>
+                <span class="details-quantity" style="color: #e74c3c; font-weight: bold; font-size: 16px;"></span>
+            </div>
+        `;
+        requirementItem.querySelector('h5').textContent = req.name;
+        requirementItem.querySelector('.details-category').textContent = req.category.toUpperCase();
+        requirementItem.querySelector('.details-quantity').textContent = formatRequirementQuantity(req);
+        requirementList.appendChild(requirementItem);
+    });
+    
     overlay.appendChild(modal);
     document.body.appendChild(overlay);
     
@@ -1343,8 +1873,82 @@ function contactVendorFromDetails(vendorId) {
 }
 
 // Group Orders functions
-function loadGroups() {
+async function loadGroups() {
     showGroupTab('available');
+    
+    if (await fetchGroupOrders()) {
+        const myGroupsActive = document.getElementById('myGroups').classList.contains('active');
+        showGroupTab(myGroupsActive ? 'my-groups' : 'available');
+    }
+}
+
+// Sample groups have numeric ids; groups from the API have ObjectId strings
+function isSampleGroup(group) {
+    return typeof group.id === 'number';
+}
+
+function findGroup(groupId) {
+    return groupOrders.find(g => String(g.id) === String(groupId));
+}
+
+// Convert a backend group order to the shape the group cards use
+function mapGroupOrder(group) {
+    return {
+        id: group._id,
+        product: group.product?.name || group.title,
+        unit: group.product?.unit || 'kg',
+        regularPrice: group.product?.price,
+        productId: group.product?._id,
+        commodityId: group.product?.commodity,
+        targetQuantity: group.targetQuantity,
+        currentQuantity: group.currentQuantity,
+        maxVendors: group.maxParticipants,
+        currentVendors: group.participants.length,
+        pricePerKg: group.pricePerUnit,
+        deadline: group.deadline,
+        organizer: group.creator?.businessName || group.creator?.name,
+        description: group.description,
+        status: group.status,
+        pricing: group.pricing
+    };
+}
+
+// Load open groups (and the vendor's own) from the API, ahead of the sample data
+async function fetchGroupOrders() {
+    try {
+        const [available, mine] = await Promise.all([
+            apiCall('/group-orders'),
+            currentUserType === 'vendor' ? apiCall('/group-orders/my/groups') : Promise.resolve({ groupOrders: [] })
+        ]);
+        
+        const listed = new Map();
+        [...available.groupOrders, ...mine.groupOrders].forEach(group => listed.set(group._id, mapGroupOrder(group)));
+        groupOrders = [...listed.values(), ...groupOrders.filter(isSampleGroup)];
+        
+        const myId = String(currentUser?.id);
+        const myListed = mine.groupOrders
+            .map(group => {
+                const participant = group.participants.find(p => String(p.vendor?._id || p.vendor) === myId);
+                if (!participant) return null;
+                const mapped = listed.get(group._id);
+                return {
+                    id: group._id,
+                    product: mapped.product,
+                    myQuantity: participant.quantity,
+                    status: group.status,
+                    totalSavings: Math.max(0, (mapped.regularPrice || 0) - group.pricePerUnit) * participant.quantity,
+                    unreadCount: group.unreadCount
+                };
+            })
+            .filter(Boolean);
+        myGroupOrders = [...myListed, ...myGroupOrders.filter(isSampleGroup)];
+        
+        watchGroupOrders([...listed.keys()]);
+        return true;
+    } catch (error) {
+        console.error('Group orders fetch error:', error);
+        return false;
+    }
 }
 
 function showGroupTab(tabName) {
@@ -1372,42 +1976,90 @@ function showGroupTab(tabName) {
     }
 }
 
+function groupProgressPercentage(group) {
+    return Math.min((group.currentQuantity / group.targetQuantity) * 100, 100);
+}
+
+// Round to paise so tier prices like 20.25 display cleanly
+function formatUnitPrice(price) {
+    return Number(Number(price).toFixed(2));
+}
+
+function groupPriceText(group) {
+    const unit = group.unit || 'kg';
+    return `Price: ₹${formatUnitPrice(group.pricePerKg)}/${unit} (Save ₹${formatUnitPrice(calculateSavings(group))}/${unit})`;
+}
+
+// How much more the group needs to pool to reach the next, cheaper tier
+function groupNextTierText(group) {
+    if (!group.pricing || group.pricing.tiers.length === 0) return '';
+    const unit = group.unit || 'kg';
+    const next = group.pricing.nextTier;
+    return next
+        ? `📉 ${next.quantityNeeded}${unit} more drops the price to ₹${formatUnitPrice(next.price)}/${unit} for everyone`
+        : '🏷️ Best bulk price unlocked';
+}
+
+function groupProgressText(group) {
+    const unit = group.unit || 'kg';
+    return `${group.currentQuantity}${unit} / ${group.targetQuantity}${unit} target`;
+}
+
 function loadAvailableGroups() {
     const groupsList = document.getElementById('availableGroupsList');
     groupsList.innerHTML = '';
     
-    groupOrders.forEach(group => {
-        const progressPercentage = (group.currentQuantity / group.targetQuantity) * 100;
-        const isJoined = myGroupOrders.some(myGroup => myGroup.id === group.id);
+    const openGroups = groupOrders.filter(group => !group.status || ['active', 'target_reached'].includes(group.status));
+    
+    openGroups.forEach(group => {
+        const isJoined = myGroupOrders.some(myGroup => String(myGroup.id) === String(group.id));
+        const unit = group.unit || 'kg';
         
         const groupCard = document.createElement('div');
         groupCard.className = 'group-card';
+        groupCard.dataset.groupId = group.id;
         groupCard.innerHTML = `
             <div class="group-header">
                 <div class="group-info">
-                    <h4>${group.product} - Bulk Order</h4>
+                    <h4></h4>
                     <div class="group-meta">
-                        <p>Organized by: ${group.organizer}</p>
-                        <p>Price: ₹${group.pricePerKg}/kg (Save ₹${calculateSavings(group.product, group.pricePerKg)}/kg)</p>
+                        <p class="group-organizer"></p>
+                        <p class="group-price">${groupPriceText(group)}</p>
+                        <p class="group-next-tier text-success">${groupNextTierText(group)}</p>
                         <p>Deadline: ${formatDate(group.deadline)}</p>
                     </div>
                 </div>
                 <div class="text-right">
-                    <div class="text-muted">${group.currentVendors}/${group.maxVendors} vendors</div>
+                    <div class="text-muted group-vendor-count">${group.currentVendors}/${group.maxVendors} vendors</div>
                 </div>
             </div>
             <div class="group-progress">
                 <div class="progress-bar">
-                    <div class="progress-fill" style="width: ${progressPercentage}%"></div>
+                    <div class="progress-fill" style="width: ${groupProgressPercentage(group)}%"></div>
                 </div>
-                <div class="progress-text">${group.currentQuantity}kg / ${group.targetQuantity}kg target</div>
+                <div class="progress-text">${groupProgressText(group)}</div>
             </div>
-            <p class="text-muted mb-3">${group.description}</p>
-            <button class="btn-primary" onclick="${isJoined ? `showAlreadyJoinedMessage('${group.product}')` : `joinGroup(${group.id})`}" ${isJoined ? 'style="background: #9ca3af; cursor: not-allowed;"' : ''}>
+            ${groupPriceTrendHtml(group)}
+            <p class="text-muted mb-3 group-description"></p>
+            <button class="btn-primary" ${isJoined ? 'style="background: #9ca3af; cursor: not-allowed;"' : ''}>
                 ${isJoined ? 'Already Joined' : 'Join Group'}
             </button>
         `;
+        
+        // Group titles, descriptions and organizer names are user-written, so set them as text
+        groupCard.querySelector('h4').textContent = `${group.product} - Bulk Order`;
+        groupCard.querySelector('.group-organizer').textContent = `Organized by: ${group.organizer}`;
+        groupCard.querySelector('.group-description').textContent = group.description;
+        groupCard.querySelector('.btn-primary').addEventListener('click', () => {
+            if (isJoined) {
+                showAlreadyJoinedMessage(group.product);
+            } else {
+                joinGroup(group.id);
+            }
+        });
+        
         groupsList.appendChild(groupCard);
+        loadPriceTrends(groupCard);
     });
 }
 
@@ -1416,53 +2068,303 @@ function loadMyGroups() {
     groupsList.innerHTML = '';
     
     myGroupOrders.forEach(myGroup => {
-        const fullGroup = groupOrders.find(g => g.id === myGroup.id);
+        const fullGroup = findGroup(myGroup.id);
         if (!fullGroup) return;
+        const unit = fullGroup.unit || 'kg';
+        const canLeave = ['active', 'target_reached'].includes(myGroup.status);
+        const canPay = !isSampleGroup(myGroup) && ['active', 'target_reached', 'ordered'].includes(myGroup.status);
         
         const groupCard = document.createElement('div');
         groupCard.className = 'group-card';
+        groupCard.dataset.groupId = myGroup.id;
         groupCard.innerHTML = `
             <div class="group-header">
                 <div class="group-info">
-                    <h4>${myGroup.product} - My Order</h4>
+                    <h4></h4>
                     <div class="group-meta">
-                        <p>My Quantity: ${myGroup.myQuantity}kg</p>
-                        <p>Status: <span class="text-success">${myGroup.status.toUpperCase()}</span></p>
+                        <p>My Quantity: ${myGroup.myQuantity}${unit}</p>
+                        <p>Status: <span class="text-success group-status">${formatGroupStatus(myGroup.status)}</span></p>
                         <p>Savings: <span class="text-success">₹${myGroup.totalSavings}</span></p>
                     </div>
                 </div>
             </div>
             <div class="group-progress">
                 <div class="progress-bar">
-                    <div class="progress-fill" style="width: ${(fullGroup.currentQuantity / fullGroup.targetQuantity) * 100}%"></div>
+                    <div class="progress-fill" style="width: ${groupProgressPercentage(fullGroup)}%"></div>
                 </div>
-                <div class="progress-text">${fullGroup.currentQuantity}kg / ${fullGroup.targetQuantity}kg target</div>
+                <div class="progress-text">${groupProgressText(fullGroup)}</div>
             </div>
-            <button class="btn-secondary" onclick="leaveGroup(${myGroup.id})">Leave Group</button>
+            <div class="group-actions">
+                ${canLeave ? `<button class="btn-secondary" onclick="leaveGroup('${myGroup.id}')">Leave Group</button>` : ''}
+                ${canPay ? `<button class="btn-primary" onclick="payGroupShare('${myGroup.id}')"><i class="fas fa-lock"></i> Pay Share</button>` : ''}
+                ${isSampleGroup(myGroup) ? '' : `
+                <button class="btn-secondary" onclick="toggleGroupChat('${myGroup.id}')">
+                    <i class="fas fa-comments"></i> Chat <span class="chat-unread-badge">${myGroup.unreadCount || ''}</span>
+                </button>`}
+            </div>
+            ${isSampleGroup(myGroup) ? '' : `
+            <div class="group-chat-panel" style="display: none;">
+                <div class="group-chat-messages"></div>
+                <form class="group-chat-form" onsubmit="sendGroupChatMessage(event, '${myGroup.id}')">
+                    <input type="text" maxlength="1000" placeholder="Message the group..." required>
+                    <button type="submit" class="btn-primary"><i class="fas fa-paper-plane"></i></button>
+                </form>
+            </div>`}
         `;
+        groupCard.querySelector('h4').textContent = `${myGroup.product} - My Order`;
         groupsList.appendChild(groupCard);
+        
+        // Keep chats open across redraws
+        if (openGroupChats.has(String(myGroup.id))) {
+            showGroupChat(groupCard, myGroup.id);
+        }
     });
 }
 
-function calculateSavings(productName, groupPrice) {
-    // Find regular price from suppliers
-    for (let supplier of suppliers) {
-        const product = supplier.products.find(p => p.name.toLowerCase().includes(productName.toLowerCase()));
-        if (product) {
-            return Math.max(0, product.price - groupPrice);
-        }
+function formatGroupStatus(status) {
+    return status.replace('_', ' ').toUpperCase();
+}
+
+function calculateSavings(group) {
+    const productName = group.product;
+    const groupPrice = group.pricePerKg;
+    
+    // Groups from the API know their product's regular price
+    if (group.regularPrice !== undefined) {
+        return Math.max(0, group.regularPrice - groupPrice);
+    }
+    
+    // Otherwise compare with the cheapest sample supplier selling the same item
+    const prices = sampleOffers(productName).map(offer => offer.price);
+    if (prices.length > 0) {
+        return Math.max(0, Math.min(...prices) - groupPrice);
     }
     return 5; // Default savings
 }
 
-function joinGroup(groupId) {
-    const group = groupOrders.find(g => g.id === groupId);
-    if (!group) {
-        showNotification('Group order not found!', 'error');
-        return;
+// Name an item is compared under offline: "Tomatoes" -> "tomato"
+function commodityKey(name) {
+    const key = name.toLowerCase().replace(/\(.*?\)/g, '').replace(/\s+/g, ' ').trim();
+    if (key.endsWith('oes')) return key.slice(0, -2);
+    if (key.endsWith('s') && !key.endsWith('ss')) return key.slice(0, -1);
+    return key;
+}
+
+// Sample suppliers' offers for the same item, for use without the API
+function sampleOffers(productName) {
+    const key = commodityKey(productName);
+    return suppliers.flatMap(supplier => supplier.products
+        .filter(product => commodityKey(product.name) === key)
+        .map(product => ({ supplierName: supplier.name, price: product.price, unit: product.unit || 'kg', location: supplier.location })))
+        .sort((a, b) => a.price - b.price);
+}
+
+// Compare every supplier's price for an item, per kg / liter / piece with bulk
+// tiers and distance from the catalogue when the product is linked to it
+async function showPriceComparison(productName, commodityId) {
+    let title = productName;
+    let rows = [];
+    let footnote = '';
+    
+    if (commodityId) {
+        try {
+            const origin = await getSearchOrigin();
+            const params = new URLSearchParams(origin || {});
+            const data = await apiCall(`/commodities/${commodityId}/offers?${params}`);
+            const baseUnit = data.commodity.baseUnit;
+            
+            title = data.commodity.name;
+            rows = data.offers.map(offer => ({
+                supplierName: offer.supplier.companyName || offer.supplier.name,
+                listing: `₹${formatUnitPrice(offer.price)}/${offer.product.unit}${offer.product.unitSize ? ` (${offer.product.unitSize} ${baseUnit})` : ''}`,
+                normalised: offer.pricePerBaseUnit !== null ? `₹${formatUnitPrice(offer.pricePerBaseUnit)}/${baseUnit}` : '—',
+                tiers: offer.tiers.map(tier => `${tier.minQuantity}+ ${offer.product.unit}: ${tier.pricePerBaseUnit !== null ? `₹${formatUnitPrice(tier.pricePerBaseUnit)}/${baseUnit}` : `₹${formatUnitPrice(tier.price)}/${offer.product.unit}`}`),
+                distance: offer.distanceKm !== null ? `${offer.distanceKm} km` : '—'
+            }));
+            footnote = `Cheapest first, per ${baseUnit} at the minimum order.`;
+        } catch (error) {
+            console.error('Price comparison fetch error:', error);
+        }
     }
     
-    // Check if group is still open
+    if (rows.length === 0) {
+        rows = sampleOffers(productName).map(offer => ({
+            supplierName: offer.supplierName,
+            listing: `₹${offer.price}/${offer.unit}`,
+            normalised: `₹${offer.price}/${offer.unit}`,
+            tiers: [],
+            distance: offer.location
+        }));
+        footnote = 'Showing sample suppliers.';
+    }
+    
+    const overlay = document.createElement('div');
+    overlay.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0,0,0,0.5);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 4000;
+        backdrop-filter: blur(5px);
+    `;
+    
+    const modal = document.createElement('div');
+    modal.style.cssText = `
+        background: white;
+        border-radius: 12px;
+        padding: 24px;
+        max-width: 640px;
+        width: 90%;
+        max-height: 80vh;
+        overflow-y: auto;
+        box-shadow: 0 20px 40px rgba(0,0,0,0.3);
+        animation: modalSlideIn 0.3s ease-out;
+    `;
+    
+    modal.innerHTML = `
+        <h3 style="margin: 0 0 16px 0; color: #333; font-size: 18px;"></h3>
+        <table class="price-comparison-table">
+            <thead>
+                <tr><th>Supplier</th><th>Listed at</th><th>Compared</th><th>Bulk tiers</th><th>Distance</th></tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+        <p class="text-muted" style="margin: 12px 0 0 0; font-size: 0.8rem;"></p>
+        <div style="display: flex; justify-content: flex-end; margin-top: 16px;">
+            <button onclick="closePriceComparison()" style="padding: 10px 20px; border: 1px solid #ddd; background: white; border-radius: 6px; cursor: pointer;">Close</button>
+        </div>
+    `;
+    
+    // Supplier and product names are user-written, so set them as text
+    modal.querySelector('h3').textContent = `Compare prices: ${title}`;
+    modal.querySelector('p').textContent = rows.length > 0 ? footnote : 'No suppliers list this item yet.';
+    const tbody = modal.querySelector('tbody');
+    rows.forEach((row, index) => {
+        const tr = document.createElement('tr');
+        if (index === 0 && rows.length > 1) tr.className = 'best-offer';
+        [row.supplierName, row.listing, row.normalised, row.tiers.join(', ') || '—', row.distance].forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+    
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+    window.currentPriceComparisonModal = overlay;
+    
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            closePriceComparison();
+        }
+    });
+}
+
+function closePriceComparison() {
+    if (window.currentPriceComparisonModal) {
+        document.body.removeChild(window.currentPriceComparisonModal);
+        window.currentPriceComparisonModal = null;
+    }
+}
+
+const PRICE_TREND_RANGES = [7, 30, 90];
+const DEFAULT_PRICE_TREND_DAYS = 30;
+
+// Placeholder for a product's or commodity's price trend; loadPriceTrends fills it in
+function priceTrendHtml(kind, id) {
+    return `
+        <div class="price-trend" data-kind="${kind}" data-id="${id}" data-days="${DEFAULT_PRICE_TREND_DAYS}">
+            <div class="price-trend-chart"></div>
+            <span class="price-trend-change text-muted">Loading price trend...</span>
+            <span class="price-trend-ranges">
+                ${PRICE_TREND_RANGES.map(days => `<button class="price-trend-range" data-days="${days}" onclick="loadPriceTrend(this.closest('.price-trend'), ${days})">${days}D</button>`).join('')}
+            </span>
+        </div>
+    `;
+}
+
+// A group's trend follows the whole market for its item when the product is
+// catalogued, otherwise the product's own price. Sample groups have none.
+function groupPriceTrendHtml(group) {
+    if (isSampleGroup(group)) return '';
+    if (group.commodityId) return priceTrendHtml('commodity', group.commodityId);
+    return group.productId ? priceTrendHtml('product', group.productId) : '';
+}
+
+function loadPriceTrends(container) {
+    container.querySelectorAll('.price-trend').forEach(trend => loadPriceTrend(trend, Number(trend.dataset.days)));
+}
+
+async function loadPriceTrend(trend, days) {
+    trend.dataset.days = days;
+    trend.querySelectorAll('.price-trend-range').forEach(button => {
+        button.classList.toggle('active', Number(button.dataset.days) === days);
+    });
+    
+    const { kind, id } = trend.dataset;
+    const chart = trend.querySelector('.price-trend-chart');
+    const change = trend.querySelector('.price-trend-change');
+    
+    try {
+        const data = await apiCall(`/${kind === 'commodity' ? 'commodities' : 'products'}/${id}/price-history?days=${days}`);
+        // Another range was picked while this one loaded
+        if (Number(trend.dataset.days) !== days) return;
+        
+        const values = data.series.map(point => (kind === 'commodity' ? point.average : point.price));
+        const { changePercent, current } = data.summary;
+        chart.innerHTML = sparklineSvg(values);
+        change.className = 'price-trend-change';
+        if (changePercent === null) {
+            change.classList.add('text-muted');
+            change.textContent = 'No price history yet';
+        } else if (changePercent === 0) {
+            change.classList.add('text-muted');
+            change.textContent = `Steady at ₹${formatUnitPrice(current)}/${data.unit} for ${days} days`;
+        } else {
+            change.classList.add(changePercent > 0 ? 'price-up' : 'price-down');
+            change.textContent = `${changePercent > 0 ? '▲' : '▼'} ${Math.abs(changePercent)}% in ${days} days (now ₹${formatUnitPrice(current)}/${data.unit})`;
+        }
+    } catch (error) {
+        console.error('Price trend fetch error:', error);
+        chart.innerHTML = '';
+        change.className = 'price-trend-change text-muted';
+        change.textContent = 'Price trend unavailable';
+    }
+}
+
+// Inline SVG line through the known daily values; days with no price are skipped
+function sparklineSvg(values, width = 120, height = 32) {
+    const known = values.map((value, index) => ({ value, index })).filter(point => point.value !== null);
+    if (known.length === 0) return '';
+    
+    const min = Math.min(...known.map(point => point.value));
+    const max = Math.max(...known.map(point => point.value));
+    const x = (index) => (values.length > 1 ? (index / (values.length - 1)) * width : width / 2);
+    // A flat series is drawn across the middle
+    const y = (value) => (max === min ? height / 2 : height - 2 - ((value - min) / (max - min)) * (height - 4));
+    const points = known.map(point => `${x(point.index).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+    
+    return `
+        <svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" preserveAspectRatio="none" aria-hidden="true">
+            <polyline points="${points}" fill="none" stroke="#667eea" stroke-width="1.5" stroke-linejoin="round" stroke-linecap="round"/>
+        </svg>
+    `;
+}
+
+function joinGroup(groupId) {
+    const group = findGroup(groupId);
+    if (!group) {
+        showNotification('Group order not found!', 'error');
+        return;
+    }
+    
+    // Check if group is still open
     if (group.currentVendors >= group.maxVendors) {
         showNotification('This group order is full!', 'warning');
         return;
@@ -1479,26 +2381,38 @@ function joinGroup(groupId) {
     });
 }
 
-function processGroupJoin(group, quantityNum) {
+async function processGroupJoin(group, quantityNum) {
+    const unit = group.unit || 'kg';
     if (quantityNum > (group.targetQuantity - group.currentQuantity)) {
-        showNotification(`Only ${group.targetQuantity - group.currentQuantity}kg space remaining in this group!`, 'warning');
+        showNotification(`Only ${group.targetQuantity - group.currentQuantity}${unit} space remaining in this group!`, 'warning');
         return;
     }
     
-    const savings = calculateSavings(group.product, group.pricePerKg) * quantityNum;
+    if (isSampleGroup(group)) {
+        group.currentQuantity += quantityNum;
+        group.currentVendors += 1;
+    } else {
+        try {
+            const data = await apiCall(`/group-orders/${group.id}/join`, 'POST', { quantity: quantityNum });
+            Object.assign(group, mapGroupOrder(data.groupOrder));
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return;
+        }
+    }
+    
+    // Priced after joining, since the pledge may have unlocked a cheaper tier
+    const savings = formatUnitPrice(calculateSavings(group) * quantityNum);
     
     myGroupOrders.push({
         id: group.id,
         product: group.product,
         myQuantity: quantityNum,
-        status: 'active',
+        status: group.status || 'active',
         totalSavings: savings
     });
     
-    group.currentQuantity += quantityNum;
-    group.currentVendors += 1;
-    
-    showNotification(`✅ Successfully joined! You'll save ₹${savings} on ${quantityNum}kg of ${group.product}.`, 'success');
+    showNotification(`✅ Successfully joined! You'll save ₹${savings} on ${quantityNum}${unit} of ${group.product}.`, 'success');
     loadAvailableGroups();
     updateDashboardStats();
 }
@@ -1508,35 +2422,392 @@ function showAlreadyJoinedMessage(productName) {
 }
 
 function leaveGroup(groupId) {
-    const myGroupIndex = myGroupOrders.findIndex(g => g.id === groupId);
+    const myGroupIndex = myGroupOrders.findIndex(g => String(g.id) === String(groupId));
     if (myGroupIndex === -1) return;
     
     const myGroup = myGroupOrders[myGroupIndex];
-    const fullGroup = groupOrders.find(g => g.id === groupId);
+    const fullGroup = findGroup(groupId);
     
     // Show custom confirmation modal
     showConfirmModal(
         `Leave Group Order`,
         `Are you sure you want to leave the ${myGroup.product} group order?`,
-        () => {
-        // Update group quantities
-        if (fullGroup) {
-            fullGroup.currentQuantity -= myGroup.myQuantity;
-            fullGroup.currentVendors -= 1;
-        }
-        
-        // Remove from my groups
-        myGroupOrders.splice(myGroupIndex, 1);
-        
-            showNotification('You have left the group order.', 'info');
+        async () => {
+            let refunded = 0;
+            if (fullGroup && isSampleGroup(fullGroup)) {
+                fullGroup.currentQuantity -= myGroup.myQuantity;
+                fullGroup.currentVendors -= 1;
+            } else if (fullGroup) {
+                try {
+                    const data = await apiCall(`/group-orders/${fullGroup.id}/leave`, 'POST');
+                    Object.assign(fullGroup, mapGroupOrder(data.groupOrder));
+                    refunded = data.refunds
+                        .filter(refund => refund.status === 'succeeded')
+                        .reduce((total, refund) => total + refund.amount, 0);
+                } catch (error) {
+                    showNotification(error.message, 'error');
+                    return;
+                }
+            }
+            
+            // Remove from my groups
+            myGroupOrders.splice(myGroupOrders.indexOf(myGroup), 1);
+            
+            showNotification(refunded > 0
+                ? `You have left the group order. ₹${Math.round(refunded * 100) / 100} has been refunded.`
+                : 'You have left the group order.', 'info');
             loadMyGroups();
             updateDashboardStats();
         }
     );
 }
 
+// Pay the rest of your share into escrow. The supplier is paid on delivery,
+// and the money comes back if the group is cancelled.
+async function payGroupShare(groupId) {
+    let share;
+    try {
+        const data = await apiCall(`/group-orders/${groupId}/payments`);
+        share = data.share;
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return;
+    }
+    
+    if (!share || share.outstanding <= 0) {
+        showNotification('Your share of this group order is already paid.', 'info');
+        return;
+    }
+    
+    const myGroup = myGroupOrders.find(g => String(g.id) === String(groupId));
+    showConfirmModal(
+        'Pay Your Share',
+        `Pay ₹${share.outstanding} for the ${myGroup ? myGroup.product : ''} group order by UPI? It is held in escrow until your order is delivered.`,
+        async () => {
+            try {
+                await apiCall(`/group-orders/${groupId}/payments`, 'POST', { method: 'upi' });
+                showNotification(`₹${share.outstanding} paid into escrow.`, 'success');
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+        }
+    );
+}
+
+// ---- Group chat ----
+const openGroupChats = new Set();
+// Loaded messages per group order: { messages, hasMore }
+const groupChats = {};
+
+function getMyGroupCard(groupId) {
+    return document.querySelector(`#myGroupsList .group-card[data-group-id="${groupId}"]`);
+}
+
+function toggleGroupChat(groupId) {
+    const card = getMyGroupCard(groupId);
+    if (!card) return;
+    
+    if (openGroupChats.has(String(groupId))) {
+        openGroupChats.delete(String(groupId));
+        card.querySelector('.group-chat-panel').style.display = 'none';
+    } else {
+        openGroupChats.add(String(groupId));
+        showGroupChat(card, groupId);
+    }
+}
+
+async function showGroupChat(card, groupId) {
+    card.querySelector('.group-chat-panel').style.display = 'block';
+    
+    if (!groupChats[groupId]) {
+        try {
+            const data = await apiCall(`/group-orders/${groupId}/messages`);
+            groupChats[groupId] = { messages: data.messages, hasMore: data.hasMore };
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return;
+        }
+    }
+    
+    renderGroupChat(groupId, true);
+    markGroupChatRead(groupId);
+}
+
+function renderGroupChat(groupId, scrollToEnd) {
+    const card = getMyGroupCard(groupId);
+    const chat = groupChats[groupId];
+    if (!card || !chat) return;
+    
+    const list = card.querySelector('.group-chat-messages');
+    list.innerHTML = '';
+    
+    if (chat.hasMore) {
+        const loadEarlier = document.createElement('button');
+        loadEarlier.className = 'chat-load-earlier';
+        loadEarlier.textContent = 'Load earlier messages';
+        loadEarlier.onclick = () => loadEarlierGroupChat(groupId);
+        list.appendChild(loadEarlier);
+    }
+    
+    if (chat.messages.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'text-muted';
+        empty.textContent = 'No messages yet. Say hello to the group!';
+        list.appendChild(empty);
+    }
+    
+    chat.messages.forEach(message => {
+        const isMine = String(message.sender?._id) === String(currentUser?.id);
+        const item = document.createElement('div');
+        item.className = `chat-message${isMine ? ' mine' : ''}`;
+        
+        // Messages are user-written, so set them as text rather than HTML
+        const meta = document.createElement('div');
+        meta.className = 'chat-message-meta';
+        meta.textContent = `${isMine ? 'You' : (message.sender?.businessName || message.sender?.name || 'Member')} • ${new Date(message.timestamp).toLocaleString('en-IN', { dateStyle: 'short', timeStyle: 'short' })}`;
+        const text = document.createElement('div');
+        text.textContent = message.message;
+        
+        item.append(meta, text);
+        list.appendChild(item);
+    });
+    
+    if (scrollToEnd) {
+        list.scrollTop = list.scrollHeight;
+    }
+}
+
+async function loadEarlierGroupChat(groupId) {
+    const chat = groupChats[groupId];
+    if (!chat || chat.messages.length === 0) return;
+    
+    try {
+        const before = encodeURIComponent(chat.messages[0].timestamp);
+        const data = await apiCall(`/group-orders/${groupId}/messages?before=${before}`);
+        chat.messages = [...data.messages, ...chat.messages];
+        chat.hasMore = data.hasMore;
+        renderGroupChat(groupId, false);
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function sendGroupChatMessage(e, groupId) {
+    e.preventDefault();
+    const input = e.target.querySelector('input');
+    const text = input.value.trim();
+    if (!text) return;
+    
+    try {
+        const data = await apiCall(`/group-orders/${groupId}/messages`, 'POST', { message: text });
+        input.value = '';
+        addGroupChatMessage(groupId, data.chatMessage);
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+// Add a message once, whether it arrives from the API response or the socket
+function addGroupChatMessage(groupId, message) {
+    const chat = groupChats[groupId];
+    if (!chat || chat.messages.some(m => m._id === message._id)) return;
+    chat.messages.push(message);
+    renderGroupChat(groupId, true);
+}
+
+function receiveGroupChatMessage({ groupOrderId, message }) {
+    const isMine = String(message.sender?._id) === String(currentUser?.id);
+    
+    if (openGroupChats.has(groupOrderId) && getMyGroupCard(groupOrderId)) {
+        addGroupChatMessage(groupOrderId, message);
+        if (!isMine) markGroupChatRead(groupOrderId);
+        return;
+    }
+    
+    // Drop the cache so the chat reloads in full next time it opens
+    delete groupChats[groupOrderId];
+    
+    const myGroup = myGroupOrders.find(g => String(g.id) === groupOrderId);
+    if (!myGroup || isMine) return;
+    myGroup.unreadCount = (myGroup.unreadCount || 0) + 1;
+    updateGroupChatBadge(groupOrderId, myGroup.unreadCount);
+}
+
+async function markGroupChatRead(groupId) {
+    const myGroup = myGroupOrders.find(g => String(g.id) === String(groupId));
+    if (myGroup) myGroup.unreadCount = 0;
+    updateGroupChatBadge(groupId, 0);
+    
+    try {
+        await apiCall(`/group-orders/${groupId}/messages/read`, 'POST');
+    } catch (error) {
+        console.error('Chat read error:', error);
+    }
+}
+
+function updateGroupChatBadge(groupId, count) {
+    const badge = getMyGroupCard(groupId)?.querySelector('.chat-unread-badge');
+    if (badge) badge.textContent = count || '';
+}
+
+// ---- Real-time group order updates ----
+const SOCKET_URL = API_BASE_URL.replace(/\/api$/, '');
+const GROUP_ORDER_EVENTS = ['joined', 'left', 'quantity-changed', 'price-changed', 'target-reached', 'deadline-passed', 'ordered', 'cancelled'];
+
+let realtimeSocket = null;
+const watchedGroupIds = new Set();
+
+// Open the socket once logged in; the token is read on every (re)connect
+function connectRealtime() {
+    if (typeof io === 'undefined' || realtimeSocket) return;
+    
+    let retriedAuth = false;
+    realtimeSocket = io(SOCKET_URL, {
+        auth: (cb) => cb({ token: authToken })
+    });
+    
+    realtimeSocket.on('connect', () => {
+        retriedAuth = false;
+        // Rooms don't survive a reconnect, so rejoin the groups on screen
+        watchedGroupIds.forEach(id => realtimeSocket.emit('join-group-order', id));
+    });
+    
+    realtimeSocket.on('connect_error', async (error) => {
+        // Network errors are retried automatically; a refused token is not
+        if (realtimeSocket.active || retriedAuth) return;
+        retriedAuth = true;
+        if (await refreshSession()) {
+            realtimeSocket.connect();
+        } else {
+            console.warn('Realtime connection refused:', error.message);
+        }
+    });
+    
+    GROUP_ORDER_EVENTS.forEach(event => {
+        realtimeSocket.on(`group-order:${event}`, update => applyGroupOrderUpdate(event, update));
+    });
+    realtimeSocket.on('group-order:message', receiveGroupChatMessage);
+}
+
+function disconnectRealtime() {
+    if (realtimeSocket) {
+        realtimeSocket.disconnect();
+        realtimeSocket = null;
+    }
+    watchedGroupIds.clear();
+    openGroupChats.clear();
+    Object.keys(groupChats).forEach(id => delete groupChats[id]);
+}
+
+// Subscribe to live updates for these group orders
+function watchGroupOrders(groupIds) {
+    groupIds.forEach(id => {
+        if (watchedGroupIds.has(id)) return;
+        watchedGroupIds.add(id);
+        if (realtimeSocket?.connected) {
+            realtimeSocket.emit('join-group-order', id);
+        }
+    });
+}
+
+function applyGroupOrderUpdate(event, update) {
+    const group = findGroup(update.groupOrderId);
+    if (!group) return;
+    
+    const statusChanged = group.status !== update.status;
+    Object.assign(group, {
+        currentQuantity: update.currentQuantity,
+        targetQuantity: update.targetQuantity,
+        currentVendors: update.participantCount,
+        maxVendors: update.maxParticipants,
+        pricePerKg: update.pricePerUnit,
+        status: update.status
+    });
+    if (update.pricing) group.pricing = update.pricing;
+    
+    const myGroup = myGroupOrders.find(g => String(g.id) === update.groupOrderId);
+    if (myGroup) myGroup.status = update.status;
+    
+    if (event === 'price-changed' && update.pricePerUnit < update.previousPrice) {
+        showNotification(`📉 The ${group.product} group price dropped to ₹${formatUnitPrice(update.pricePerUnit)}/${group.unit || 'kg'}!`, 'success');
+    } else if (event === 'target-reached') {
+        showNotification(`🎉 The ${group.product} group order has reached its target!`, 'success');
+    } else if (event === 'deadline-passed') {
+        showNotification(`⏰ The deadline for the ${group.product} group order has passed.`, 'info');
+    } else if (event === 'ordered' && myGroup) {
+        showNotification(`📦 The ${group.product} group order has closed and your order was placed with the supplier.`, 'success');
+    } else if (event === 'cancelled' && myGroup) {
+        showNotification(`The ${group.product} group order was cancelled. ${update.reason || ''}`, 'warning');
+    }
+    
+    // Status changes affect which buttons a card shows, so redraw; otherwise just move the bars
+    if (statusChanged || event === 'deadline-passed') {
+        if (currentSection === 'groups') {
+            const myGroupsActive = document.getElementById('myGroups').classList.contains('active');
+            myGroupsActive ? loadMyGroups() : loadAvailableGroups();
+        }
+        return;
+    }
+    
+    document.querySelectorAll(`.group-card[data-group-id="${group.id}"]`).forEach(card => {
+        card.querySelector('.progress-fill').style.width = `${groupProgressPercentage(group)}%`;
+        card.querySelector('.progress-text').textContent = groupProgressText(group);
+        const vendorCount = card.querySelector('.group-vendor-count');
+        if (vendorCount) vendorCount.textContent = `${group.currentVendors}/${group.maxVendors} vendors`;
+        const price = card.querySelector('.group-price');
+        if (price) price.textContent = groupPriceText(group);
+        const nextTier = card.querySelector('.group-next-tier');
+        if (nextTier) nextTier.textContent = groupNextTierText(group);
+    });
+}
+
 // Supplier Dashboard functions
-function loadSupplierDashboard() {
+let supplierProductsLoaded = false;
+
+function isSampleProduct(product) {
+    return typeof product.id === 'number';
+}
+
+// Sample products use the default reorder threshold
+const DEFAULT_REORDER_THRESHOLD = 50;
+
+// 'ok', 'low' or 'critical', matching Product.stockLevel() on the server
+function productStockLevel(product) {
+    const threshold = product.reorderThreshold ?? DEFAULT_REORDER_THRESHOLD;
+    if (product.stock <= threshold / 2) return 'critical';
+    if (product.stock <= threshold) return 'low';
+    return 'ok';
+}
+
+function mapSupplierProduct(product) {
+    return {
+        id: product._id,
+        name: product.name,
+        category: product.category,
+        price: product.price,
+        minOrder: product.minimumOrderQuantity,
+        stock: product.availableQuantity,
+        reserved: product.reservedQuantity || 0,
+        reorderThreshold: product.reorderThreshold,
+        unit: product.unit
+    };
+}
+
+// Swap the sample products for the supplier's listed products, once per session
+async function fetchSupplierProducts() {
+    if (supplierProductsLoaded || !authToken || !currentUser || currentUser.userType !== 'supplier') return;
+    
+    try {
+        const data = await apiCall('/products/my/products');
+        supplierProducts = data.products.map(mapSupplierProduct);
+        supplierProductsLoaded = true;
+    } catch (error) {
+        // Keep the sample products when the API is unavailable
+    }
+}
+
+async function loadSupplierDashboard() {
+    await fetchSupplierProducts();
     loadSupplierProducts();
     loadSupplierOrders();
     updateSupplierStats();
@@ -1597,32 +2868,43 @@ function loadSupplierProducts() {
                 productElement.style.borderColor = '#f1f5f9';
             };
             
-            // Determine stock status
+            // Determine stock status against the product's reorder threshold
             let stockStatus = 'In Stock';
             let stockColor = '#059669';
-            if (product.stock < 50) {
+            const level = productStockLevel(product);
+            if (level === 'low') {
                 stockStatus = 'Low Stock';
                 stockColor = '#f59e0b';
             }
-            if (product.stock < 20) {
+            if (level === 'critical') {
                 stockStatus = 'Critical';
                 stockColor = '#dc2626';
             }
             
             productElement.innerHTML = `
                 <div class="product-info" style="flex: 1;">
-                    <h4 style="margin: 0 0 0.5rem 0; color: #2d3748; font-size: 1rem;">${product.name}</h4>
+                    <h4 class="product-name" style="margin: 0 0 0.5rem 0; color: #2d3748; font-size: 1rem;"></h4>
                     <div style="display: flex; gap: 1rem; align-items: center; flex-wrap: wrap;">
-                        <span style="font-weight: 600; color: #059669; font-size: 0.95rem;">₹${product.price}/kg</span>
-                        <span style="color: #718096; font-size: 0.9rem;">Min: ${product.minOrder}kg</span>
-                        <span style="color: ${stockColor}; font-weight: 600; font-size: 0.9rem;">${stockStatus}: ${product.stock}kg</span>
+                        <span class="product-price" style="font-weight: 600; color: #059669; font-size: 0.95rem;"></span>
+                        <span class="product-min-order" style="color: #718096; font-size: 0.9rem;"></span>
+                        <span class="product-stock" style="color: ${stockColor}; font-weight: 600; font-size: 0.9rem;"></span>
+                        ${product.reserved ? '<span class="product-reserved" style="color: #718096; font-size: 0.9rem;"></span>' : ''}
                     </div>
                 </div>
                 <div style="display: flex; gap: 0.5rem;">
-                    <button class="btn-mini btn-secondary" onclick="editProduct(${product.id})" style="padding: 0.5rem 1rem; font-size: 0.85rem; border-radius: 8px;">Edit</button>
-                    <button class="btn-mini btn-primary" onclick="restockProduct(${product.id})" style="padding: 0.5rem 1rem; font-size: 0.85rem; border-radius: 8px;">Restock</button>
+                    <button class="btn-mini btn-secondary edit-product-btn" style="padding: 0.5rem 1rem; font-size: 0.85rem; border-radius: 8px;">Edit</button>
+                    <button class="btn-mini btn-primary restock-product-btn" style="padding: 0.5rem 1rem; font-size: 0.85rem; border-radius: 8px;">Restock</button>
                 </div>
             `;
+            productElement.querySelector('.product-name').textContent = product.name;
+            productElement.querySelector('.product-price').textContent = `₹${product.price}/kg`;
+            productElement.querySelector('.product-min-order').textContent = `Min: ${product.minOrder}kg`;
+            productElement.querySelector('.product-stock').textContent = `${stockStatus}: ${product.stock}kg`;
+            if (product.reserved) {
+                productElement.querySelector('.product-reserved').textContent = `Reserved for orders: ${product.reserved}kg`;
+            }
+            productElement.querySelector('.edit-product-btn').addEventListener('click', () => editProduct(product.id));
+            productElement.querySelector('.restock-product-btn').addEventListener('click', () => restockProduct(product.id));
             productsList.appendChild(productElement);
         });
     });
@@ -1689,7 +2971,8 @@ function loadSupplierOrders() {
 }
 
 function updateSupplierStats() {
-    document.getElementById('productsListed').textContent = supplierProducts.length;
+    document.getElementById('productsCount').textContent = supplierProducts.length;
+    document.getElementById('pendingOrders').textContent = supplierOrders.filter(o => o.status !== 'delivered').length;
     document.getElementById('activeVendors').textContent = new Set(supplierOrders.map(o => o.vendor)).size;
     
     const revenue = supplierOrders
@@ -1700,6 +2983,19 @@ function updateSupplierStats() {
         }, 0);
     
     document.getElementById('monthlyRevenue').textContent = `₹${revenue.toLocaleString()}`;
+    
+    // Replace the local figures with the server's once they arrive
+    fetchDashboardStats('supplier').then(data => {
+        if (!data) return;
+        
+        document.getElementById('productsCount').textContent = data.stats.productsListed;
+        document.getElementById('pendingOrders').textContent = data.stats.pendingOrders;
+        document.getElementById('activeVendors').textContent = data.stats.activeVendors;
+        document.getElementById('monthlyRevenue').textContent = `₹${Math.round(data.stats.monthlyRevenue).toLocaleString()}`;
+        
+        setStatTrend('monthlyRevenueTrend', data.trends.monthlyRevenue, 'vs last month');
+        setStatTrend('activeVendorsTrend', data.trends.activeVendors, 'vs last month');
+    });
 }
 
 function confirmOrder(orderId) {
@@ -1729,17 +3025,13 @@ function confirmOrder(orderId) {
     console.log(`Order ${orderId} confirmed by supplier`);
 }
 
-function editProduct(productId) {
-    showNotification(`Edit product ${productId}. In a real app, this would open an edit form.`, 'info');
-}
-
 // Modal functions
 function createNewOrder() {
     document.getElementById('orderModal').style.display = 'block';
 }
 
 function createGroupOrder() {
-    document.getElementById('groupModal').style.display = 'block';
+    openModal('groupModal');
 }
 
 function addProduct() {
@@ -1754,7 +3046,7 @@ function openModal(modalId) {
         if (modalId === 'orderModal') {
             populateProductSelects();
         } else if (modalId === 'groupModal') {
-            populateProductSelects();
+            populateGroupProductSelect();
         }
     } else {
         showNotification(`Modal ${modalId} not found!`, 'error');
@@ -1796,7 +3088,7 @@ document.getElementById('orderForm').addEventListener('submit', function(e) {
     this.reset();
 });
 
-document.getElementById('groupForm').addEventListener('submit', function(e) {
+document.getElementById('groupForm').addEventListener('submit', async function(e) {
     e.preventDefault();
     
     const product = document.getElementById('groupProduct').value;
@@ -1804,24 +3096,47 @@ document.getElementById('groupForm').addEventListener('submit', function(e) {
     const maxVendors = document.getElementById('maxVendors').value;
     const deadline = document.getElementById('groupDeadline').value;
     const description = document.getElementById('groupDescription').value;
+    const listedProduct = groupProductOptions.get(product);
+    
+    if (listedProduct) {
+        // Real products are priced by the backend from their bulk discount tiers
+        try {
+            const data = await apiCall('/group-orders', 'POST', {
+                title: `${listedProduct.name} - Bulk Order`,
+                description: description.trim().length >= 10
+                    ? description
+                    : `Group order for ${quantity}${listedProduct.unit} of ${listedProduct.name}`,
+                product: listedProduct._id,
+                targetQuantity: parseInt(quantity),
+                maxParticipants: parseInt(maxVendors),
+                // Open until the end of the chosen day
+                deadline: new Date(`${deadline}T23:59:59`).toISOString()
+            });
+            groupOrders.unshift(mapGroupOrder(data.groupOrder));
+            watchGroupOrders([data.groupOrder._id]);
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return;
+        }
+    } else {
+        const sampleProduct = suppliers.flatMap(supplier => supplier.products).find(p => p.name === product);
+        
+        // Add to group orders
+        groupOrders.unshift({
+            id: groupOrders.length + 1,
+            product: product,
+            targetQuantity: parseInt(quantity),
+            currentQuantity: 0,
+            maxVendors: parseInt(maxVendors),
+            currentVendors: 0,
+            pricePerKg: sampleProduct ? sampleProduct.price : 0,
+            deadline: deadline,
+            organizer: "You",
+            description: description
+        });
+    }
     
-    // Add to group orders
-    const newGroup = {
-        id: groupOrders.length + 1,
-        product: product,
-        targetQuantity: parseInt(quantity),
-        currentQuantity: 0,
-        maxVendors: parseInt(maxVendors),
-        currentVendors: 0,
-        pricePerKg: 25, // Estimated price
-        deadline: deadline,
-        organizer: "You",
-        description: description
-    };
-    
-    groupOrders.unshift(newGroup);
-    
-    showNotification(`Group order created for ${quantity}kg of ${product}`, 'success');
+    showNotification(`Group order created for ${quantity}${listedProduct ? listedProduct.unit : 'kg'} of ${listedProduct ? listedProduct.name : product}`, 'success');
     closeModal('groupModal');
     loadGroups();
     this.reset();
@@ -1864,8 +3179,47 @@ function formatDate(dateString) {
     });
 }
 
+// Listed products offered in the group order form, by id
+const groupProductOptions = new Map();
+
+// Offer listed products (with their bulk tiers) for new groups, or the sample products offline
+async function populateGroupProductSelect() {
+    const select = document.getElementById('groupProduct');
+    if (!select) return;
+    
+    try {
+        const data = await apiCall('/products?limit=100');
+        groupProductOptions.clear();
+        data.products.forEach(product => groupProductOptions.set(product._id, product));
+    } catch (error) {
+        console.error('Products fetch error:', error);
+    }
+    
+    select.innerHTML = '<option value="">Select Product</option>';
+    
+    if (groupProductOptions.size > 0) {
+        groupProductOptions.forEach(product => {
+            const option = document.createElement('option');
+            option.value = product._id;
+            const supplierName = product.supplier?.companyName || product.supplier?.name;
+            const tiers = product.bulkDiscounts.length > 0 ? `, down to ₹${formatUnitPrice(product.price * (1 - Math.max(...product.bulkDiscounts.map(d => d.discountPercentage)) / 100))} in bulk` : '';
+            option.textContent = `${product.name}${supplierName ? ` (${supplierName})` : ''} - ₹${product.price}/${product.unit}${tiers}`;
+            select.appendChild(option);
+        });
+        return;
+    }
+    
+    const names = new Set(suppliers.flatMap(supplier => supplier.products.map(product => product.name)));
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+}
+
 function populateProductSelects() {
-    const selects = ['orderProduct', 'groupProduct'];
+    const selects = ['orderProduct'];
     const allProducts = [];
     
     suppliers.forEach(supplier => {
@@ -2025,7 +3379,7 @@ function showNotification(message, type = 'info') {
                     line-height: 1.4;
                     font-weight: 400;
                     word-wrap: break-word;
-                ">${message}</div>
+                " class="notification-message"></div>
             </div>
             <div style="
                 cursor: pointer;
@@ -2044,6 +3398,8 @@ function showNotification(message, type = 'info') {
             </div>
         </div>
     `;
+    // Messages often quote product and group names, so set them as text
+    notification.querySelector('.notification-message').textContent = message;
     
     // Add enhanced animations
     const animationStyle = document.createElement('style');
@@ -2149,7 +3505,7 @@ function showQuantityModal(group, callback) {
     modal.innerHTML = `
         <h3 style="margin: 0 0 16px 0; color: #333; font-size: 18px;">Join Group Order</h3>
         <p style="margin: 0 0 16px 0; color: #666; line-height: 1.4;">
-            How many kg of <strong>${group.product}</strong> do you want to order?<br>
+            How many kg of <strong class="join-product"></strong> do you want to order?<br>
             <small>Minimum: 1kg | Available space: ${group.targetQuantity - group.currentQuantity}kg</small>
         </p>
         <input type="number" id="quantityInput" min="1" max="${group.targetQuantity - group.currentQuantity}" value="10" 
@@ -2159,6 +3515,7 @@ function showQuantityModal(group, callback) {
             <button onclick="confirmQuantity()" style="padding: 10px 20px; border: none; background: linear-gradient(135deg, #10b981, #059669); color: white; border-radius: 6px; cursor: pointer; font-weight: 600; transition: all 0.2s ease;" onmouseover="this.style.transform='translateY(-1px)'" onmouseout="this.style.transform='translateY(0)'">Join Group</button>
         </div>
     `;
+    modal.querySelector('.join-product').textContent = group.product;
     
     // Add animation styles
     const style = document.createElement('style');
@@ -2244,13 +3601,16 @@ function showConfirmModal(title, message, onConfirm) {
     `;
     
     modal.innerHTML = `
-        <h3 style="margin: 0 0 16px 0; color: #333; font-size: 18px;">${title}</h3>
-        <p style="margin: 0 0 24px 0; color: #666; line-height: 1.4;">${message}</p>
+        <h3 style="margin: 0 0 16px 0; color: #333; font-size: 18px;"></h3>
+        <p style="margin: 0 0 24px 0; color: #666; line-height: 1.4;"></p>
         <div style="display: flex; gap: 12px; justify-content: flex-end;">
             <button onclick="closeConfirmModal()" style="padding: 10px 20px; border: 1px solid #ddd; background: white; border-radius: 6px; cursor: pointer;">Cancel</button>
             <button onclick="confirmAction()" style="padding: 10px 20px; border: none; background: linear-gradient(135deg, #dc3545, #fd7e14); color: white; border-radius: 6px; cursor: pointer;">Confirm</button>
         </div>
     `;
+    // Messages often quote product and group names, so set them as text
+    modal.querySelector('h3').textContent = title;
+    modal.querySelector('p').textContent = message;
     
     overlay.appendChild(modal);
     document.body.appendChild(overlay);
@@ -2293,11 +3653,58 @@ function showAuthTab(tabName) {
     document.getElementById(tabName + 'Form').classList.add('active');
 }
 
+// Switch the auth panel to a form by name: login, register, forgotPassword or resetPassword
+function showAuthForm(formName) {
+    document.querySelectorAll('.auth-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.textContent.trim().toLowerCase() === formName);
+    });
+    document.querySelectorAll('.auth-form').forEach(form => form.classList.remove('active'));
+    document.getElementById(formName + 'Form').classList.add('active');
+    
+    const existingMessage = document.getElementById('authMessage');
+    if (existingMessage) existingMessage.remove();
+}
+
 // API Helper function
-// Stub to avoid errors if something still calls apiCall; does nothing real.
-async function apiCall(endpoint, method = 'GET', data = null) {
-    console.warn('apiCall stub invoked; backend not configured.', endpoint, method, data);
-    return {}; // harmless empty response
+// Calls the backend with the current token. Resolves to the parsed JSON body;
+// rejects with an Error carrying `status` and any validation `errors` otherwise.
+async function apiCall(endpoint, method = 'GET', data = null, retryOnExpiry = true) {
+    const options = {
+        method,
+        headers: { 'Content-Type': 'application/json' }
+    };
+    
+    if (authToken) {
+        options.headers['Authorization'] = `Bearer ${authToken}`;
+    }
+    if (data) {
+        options.body = JSON.stringify(data);
+    }
+    
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, options);
+    const result = await response.json().catch(() => ({}));
+    
+    if (!response.ok) {
+        const validationMessage = result.errors && result.errors.map(err => err.msg).join('. ');
+        const error = new Error(validationMessage || result.message || `Request failed with status ${response.status}`);
+        error.status = response.status;
+        error.errors = result.errors || [];
+        
+        // The auth middleware answers 401 for a missing token or user and 403 for a bad or expired one
+        const isSessionError = response.status === 401 ||
+            (response.status === 403 && result.message === 'Invalid or expired token');
+        if (authToken && isSessionError) {
+            // Access tokens are short-lived, so try renewing once before giving up
+            if (retryOnExpiry && await refreshSession()) {
+                return apiCall(endpoint, method, data, false);
+            }
+            endSession('Your session has expired. Please log in again.');
+        }
+        
+        throw error;
+    }
+    
+    return result;
 }
 
 // Show error message in auth form
@@ -2336,42 +3743,6 @@ function showAuthSuccess(message) {
     activeForm.insertBefore(successDiv, activeForm.firstChild);
 }
 
-// Logout function
-function logout() {
-    // Clear authentication data
-    authToken = null;
-    currentUser = null;
-    localStorage.removeItem('authToken');
-    localStorage.removeItem('currentUser');
-    
-    // Hide header
-    const header = document.querySelector('.header');
-    if (header) header.style.display = 'none';
-    
-    // Reset to user selection
-    showSection('userSelection');
-    
-    showNotification('Logged out successfully', 'success');
-}
-
-// Demo data refresh (simulates real-time updates)
-setInterval(() => {
-    // Only run if user is authenticated
-    if (!authToken) return;
-    
-    // Simulate some dynamic updates
-    if (Math.random() > 0.8) {
-        // Update some random order status
-        const randomOrder = recentOrders[Math.floor(Math.random() * recentOrders.length)];
-        const statuses = ['pending', 'confirmed', 'delivered'];
-        const currentIndex = statuses.indexOf(randomOrder.status);
-        if (currentIndex < statuses.length - 1) {
-            randomOrder.status = statuses[currentIndex + 1];
-            loadGroups();
-        }
-    }
-}, 15000); // Update every 15 seconds
-
 // Vendor Management Functions
 function openAddVendorModal() {
     document.getElementById('addVendorModal').style.display = 'block';
@@ -2385,7 +3756,23 @@ function closeAddVendorModal() {
     container.innerHTML = `
         <div class="requirement-item">
             <input type="text" placeholder="Item name" class="req-name" required>
-            <input type="text" placeholder="Quantity (e.g., 10kg/week)" class="req-quantity" required>
+            <input type="number" placeholder="Quantity" class="req-quantity" min="0.1" step="0.1" required>
+            <select class="req-unit" required>
+                <option value="kg">kg</option>
+                <option value="gram">g</option>
+                <option value="liter">L</option>
+                <option value="ml">ml</option>
+                <option value="piece">pieces</option>
+                <option value="dozen">dozen</option>
+                <option value="packet">packets</option>
+                <option value="box">boxes</option>
+            </select>
+            <select class="req-frequency" required>
+                <option value="daily">per day</option>
+                <option value="weekly" selected>per week</option>
+                <option value="fortnightly">per fortnight</option>
+                <option value="monthly">per month</option>
+            </select>
             <select class="req-category" required>
                 <option value="">Category</option>
                 <option value="vegetables">Vegetables</option>
@@ -2412,7 +3799,23 @@ function addRequirementField() {
     newField.className = 'requirement-item';
     newField.innerHTML = `
         <input type="text" placeholder="Item name" class="req-name" required>
-        <input type="text" placeholder="Quantity (e.g., 10kg/week)" class="req-quantity" required>
+        <input type="number" placeholder="Quantity" class="req-quantity" min="0.1" step="0.1" required>
+        <select class="req-unit" required>
+            <option value="kg">kg</option>
+            <option value="gram">g</option>
+            <option value="liter">L</option>
+            <option value="ml">ml</option>
+            <option value="piece">pieces</option>
+            <option value="dozen">dozen</option>
+            <option value="packet">packets</option>
+            <option value="box">boxes</option>
+        </select>
+        <select class="req-frequency" required>
+            <option value="daily">per day</option>
+            <option value="weekly" selected>per week</option>
+            <option value="fortnightly">per fortnight</option>
+            <option value="monthly">per month</option>
+        </select>
         <select class="req-category" required>
             <option value="">Category</option>
             <option value="vegetables">Vegetables</option>
@@ -2458,20 +3861,36 @@ function showAuthMessage(msg, type = 'error') {
     if (formContainer) formContainer.prepend(container);
 }
 
-// Simple in-browser user store
-function getUsers() {
-    try {
-        return JSON.parse(localStorage.getItem('vc_users') || '[]');
-    } catch {
-        return [];
+// Split the free-text address ("Street, City, State, PIN") into the backend's fields
+function parseAddress(text) {
+    const parts = (text || '').split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return undefined;
+    
+    const address = {};
+    if (/^\d{6}$/.test(parts[parts.length - 1])) {
+        address.pincode = parts.pop();
+    }
+    if (parts.length >= 3) {
+        address.state = parts.pop();
+    }
+    if (parts.length >= 2) {
+        address.city = parts.pop();
     }
+    address.street = parts.join(', ');
+    return address;
 }
-function saveUsers(users) {
-    localStorage.setItem('vc_users', JSON.stringify(users));
+
+// Disable a submit button while its request is in flight
+function setButtonLoading(buttonId, isLoading) {
+    const button = document.getElementById(buttonId);
+    if (!button) return;
+    
+    button.disabled = isLoading;
+    button.style.opacity = isLoading ? '0.7' : '';
 }
 
-// Registration (client-only)
-function handleRegister(e) {
+// Registration
+async function handleRegister(e) {
     e.preventDefault();
     const name = document.getElementById('registerName')?.value.trim();
     const phone = document.getElementById('registerPhone')?.value.trim();
@@ -2484,94 +3903,192 @@ function handleRegister(e) {
         return;
     }
 
-    const users = getUsers();
-    if (users.find(u => u.email === email)) {
-        showAuthMessage('Email already registered. Please login.', 'error');
-        return;
-    }
-
     const userType = currentUserType || 'vendor';
-    const newUser = {
-        id: Date.now(),
+    const payload = {
         name,
         phone,
         email,
-        password, // plaintext, demo only
+        password,
         userType,
-        businessName: document.getElementById('businessName')?.value || '',
-        businessType: document.getElementById('businessType')?.value || '',
-        companyName: document.getElementById('companyName')?.value || '',
-        gstNumber: document.getElementById('gstNumber')?.value || '',
-        address: document.getElementById('address')?.value || ''
+        address: parseAddress(document.getElementById('address')?.value)
     };
-    users.push(newUser);
-    saveUsers(users);
 
-    authToken = 'demo-token-' + newUser.id;
-    currentUser = newUser;
-    currentUserType = newUser.userType;
-    localStorage.setItem('authToken', authToken);
-    localStorage.setItem('currentUser', JSON.stringify(currentUser));
+    if (userType === 'vendor') {
+        payload.businessName = document.getElementById('businessName')?.value.trim();
+        payload.businessType = document.getElementById('businessType')?.value;
+    } else {
+        payload.companyName = document.getElementById('companyName')?.value.trim();
+        payload.gstNumber = document.getElementById('gstNumber')?.value.trim().toUpperCase();
+        payload.businessLicense = document.getElementById('businessLicense')?.value.trim();
+    }
 
-    showNavigationElements();
-    showSection(currentUserType === 'vendor' ? 'dashboard' : 'suppliers');
-    showAuthMessage('Account created and logged in!', 'success');
+    setButtonLoading('registerBtn', true);
+    try {
+        const data = await apiCall('/auth/register', 'POST', payload);
+        saveSession(data, data.user, true);
+        startSession(data.user);
+        showNotification('Account created and logged in!', 'success');
+    } catch (error) {
+        showAuthMessage(error.status ? error.message : 'Could not reach the server. Please try again.', 'error');
+    } finally {
+        setButtonLoading('registerBtn', false);
+    }
 }
 
-// Login (client-only)
-function handleLogin(e) {
+// Login
+async function handleLogin(e) {
     e.preventDefault();
     const email = document.getElementById('loginEmail')?.value.trim().toLowerCase();
     const password = document.getElementById('loginPassword')?.value;
+    const remember = document.getElementById('rememberMe')?.checked;
 
     if (!email || !password) {
         showAuthMessage('Email and password are required.', 'error');
         return;
     }
 
-    const users = getUsers();
-    const user = users.find(u => u.email === email && u.password === password);
-    if (!user) {
-        showAuthMessage('Invalid credentials.', 'error');
+    setButtonLoading('loginBtn', true);
+    try {
+        const data = await apiCall('/auth/login', 'POST', { email, password });
+        saveSession(data, data.user, remember);
+        startSession(data.user);
+        showNotification('Logged in successfully!', 'success');
+    } catch (error) {
+        showAuthMessage(error.status ? error.message : 'Could not reach the server. Please try again.', 'error');
+    } finally {
+        setButtonLoading('loginBtn', false);
+    }
+}
+
+// Phone number the login code was last sent to
+let loginCodePhone = null;
+
+// Phone login: text a login code to a vendor's phone
+async function handleLoginCodeRequest(e) {
+    if (e) e.preventDefault();
+    const phone = document.getElementById('otpPhone')?.value.trim();
+    
+    if (!phone) {
+        showAuthMessage('Please enter your phone number.', 'error');
         return;
     }
+    
+    setButtonLoading('otpRequestBtn', true);
+    try {
+        const data = await apiCall('/auth/otp/request', 'POST', { phone });
+        loginCodePhone = phone;
+        document.getElementById('otpPhoneLabel').textContent = phone;
+        showAuthForm('phoneCode');
+        showAuthMessage(data.message, 'success');
+    } catch (error) {
+        showAuthMessage(error.status ? error.message : 'Could not reach the server. Please try again.', 'error');
+    } finally {
+        setButtonLoading('otpRequestBtn', false);
+    }
+}
 
-    authToken = 'demo-token-' + user.id;
-    currentUser = user;
-    currentUserType = user.userType || 'vendor';
-    localStorage.setItem('authToken', authToken);
-    localStorage.setItem('currentUser', JSON.stringify(currentUser));
+// Send another code to the same number
+function resendLoginCode() {
+    document.getElementById('otpPhone').value = loginCodePhone || '';
+    handleLoginCodeRequest();
+}
 
-    showNavigationElements();
-    showSection(currentUserType === 'vendor' ? 'dashboard' : 'suppliers');
-    showAuthMessage('Logged in successfully!', 'success');
+// Phone login: exchange the code for a session
+async function handleLoginCodeVerify(e) {
+    e.preventDefault();
+    const code = document.getElementById('otpCode')?.value.trim();
+    const remember = document.getElementById('otpRememberMe')?.checked;
+    
+    setButtonLoading('otpVerifyBtn', true);
+    try {
+        const data = await apiCall('/auth/otp/verify', 'POST', { phone: loginCodePhone, code });
+        document.getElementById('phoneCodeFormElement').reset();
+        saveSession(data, data.user, remember);
+        startSession(data.user);
+        showNotification('Logged in successfully!', 'success');
+    } catch (error) {
+        showAuthMessage(error.status ? error.message : 'Could not reach the server. Please try again.', 'error');
+    } finally {
+        setButtonLoading('otpVerifyBtn', false);
+    }
 }
 
-// Override existing logout to clear demo session if needed
-function logout() {
-    localStorage.removeItem('authToken');
-    localStorage.removeItem('currentUser');
-    authToken = null;
-    currentUser = null;
-    currentUserType = 'vendor';
-    showSection('userSelection');
-    const header = document.querySelector('.header');
-    if (header) header.style.display = 'none';
+// Email the reset code was last requested for
+let passwordResetEmail = null;
+
+// Forgot password: request a reset code
+async function handleForgotPassword(e) {
+    e.preventDefault();
+    const email = document.getElementById('forgotEmail')?.value.trim().toLowerCase();
+    
+    if (!email) {
+        showAuthMessage('Please enter your email address.', 'error');
+        return;
+    }
+    
+    setButtonLoading('forgotPasswordBtn', true);
+    try {
+        const data = await apiCall('/auth/forgot-password', 'POST', { email });
+        passwordResetEmail = email;
+        document.getElementById('resetEmailLabel').textContent = email;
+        showAuthForm('resetPassword');
+        showAuthMessage(data.message, 'success');
+    } catch (error) {
+        showAuthMessage(error.status ? error.message : 'Could not reach the server. Please try again.', 'error');
+    } finally {
+        setButtonLoading('forgotPasswordBtn', false);
+    }
 }
 
-// Handle vendor form submission
+// Reset password: use the code to set a new password
+async function handleResetPassword(e) {
+    e.preventDefault();
+    const code = document.getElementById('resetCode')?.value.trim();
+    const newPassword = document.getElementById('resetPassword')?.value;
+    const confirmPassword = document.getElementById('resetPasswordConfirm')?.value;
+    
+    if (newPassword !== confirmPassword) {
+        showAuthMessage('Passwords do not match.', 'error');
+        return;
+    }
+    
+    setButtonLoading('resetPasswordBtn', true);
+    try {
+        const data = await apiCall('/auth/reset-password', 'POST', { email: passwordResetEmail, code, newPassword });
+        document.getElementById('resetPasswordFormElement').reset();
+        document.getElementById('loginEmail').value = passwordResetEmail;
+        showAuthForm('login');
+        showAuthMessage(data.message, 'success');
+    } catch (error) {
+        showAuthMessage(error.status ? error.message : 'Could not reach the server. Please try again.', 'error');
+    } finally {
+        setButtonLoading('resetPasswordBtn', false);
+    }
+}
+
+async function logout() {
+    const refreshToken = getSessionStorage().getItem('refreshToken');
+    
+    // Revoke the session server-side so its tokens stop working
+    if (refreshToken) {
+        try {
+            await apiCall('/auth/logout', 'POST', { refreshToken }, false);
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+    }
+    
+    endSession();
+    showNotification('Logged out successfully', 'success');
+}
+
+// Handle requirements form submission (vendors post their own requirements)
 document.addEventListener('DOMContentLoaded', function() {
     const addVendorForm = document.getElementById('addVendorForm');
     if (addVendorForm) {
-        addVendorForm.addEventListener('submit', function(e) {
+        addVendorForm.addEventListener('submit', async function(e) {
             e.preventDefault();
             
-            // Get form data
-            const name = document.getElementById('vendorName').value;
-            const businessType = document.getElementById('vendorBusinessType').value;
-            const location = document.getElementById('vendorLocation').value;
-            const rating = parseFloat(document.getElementById('vendorRating').value);
-            
             // Get requirements
             const requirementItems = document.querySelectorAll('.requirement-item');
             const requirements = [];
@@ -2579,14 +4096,18 @@ document.addEventListener('DOMContentLoaded', function() {
             let isValid = true;
             requirementItems.forEach(item => {
                 const reqName = item.querySelector('.req-name').value.trim();
-                const reqQuantity = item.querySelector('.req-quantity').value.trim();
+                const reqQuantity = parseFloat(item.querySelector('.req-quantity').value);
+                const reqUnit = item.querySelector('.req-unit').value;
+                const reqFrequency = item.querySelector('.req-frequency').value;
                 const reqCategory = item.querySelector('.req-category').value;
                 
-                if (reqName && reqQuantity && reqCategory) {
+                if (reqName && reqQuantity > 0 && reqUnit && reqFrequency && reqCategory) {
                     requirements.push({
-                        name: reqName,
+                        item: reqName,
                         quantity: reqQuantity,
-                        category: reqCategory
+                        unit: reqUnit,
+                        frequency: reqFrequency,
+                        category: BACKEND_CATEGORIES[reqCategory] || reqCategory
                     });
                 } else {
                     isValid = false;
@@ -2603,27 +4124,28 @@ document.addEventListener('DOMContentLoaded', function() {
                 return;
             }
             
-            // Create new vendor object
-            const newVendor = {
-                id: vendors.length + 1,
-                name: name,
-                rating: rating,
-                location: location,
-                businessType: businessType,
-                requirements: requirements
-            };
-            
-            // Add to vendors array
-            vendors.push(newVendor);
+            // Save one at a time so a failure says which requirement it was
+            let saved = 0;
+            try {
+                for (const requirement of requirements) {
+                    await apiCall('/vendors/me/requirements', 'POST', requirement);
+                    saved += 1;
+                }
+            } catch (error) {
+                console.error('Requirement save error:', error);
+                showNotification(`Could not save "${requirements[saved].item}": ${error.message}`, 'error');
+                // Leave only the unsaved requirements in the form to retry
+                Array.from(requirementItems).slice(0, saved).forEach(item => item.remove());
+                return;
+            }
             
-            // Update the marketplace display
-            if (currentUserType === 'supplier' && currentSection === 'marketplace') {
-                displayVendors(vendors);
+            const listedVendors = await fetchVendors();
+            if (listedVendors) {
+                directoryVendors = listedVendors;
             }
             
-            // Close modal and show success message
             closeAddVendorModal();
-            showNotification(`✅ ${name} has been added to the vendor marketplace!`, 'success');
+            showNotification(`✅ ${saved} requirement${saved === 1 ? '' : 's'} posted to the marketplace!`, 'success');
         });
     }
 });